@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Applies this service's own migrations (Calls, CallTranscriptItems, ...) to DB_URI
+
+import dotenv from 'dotenv';
+dotenv.config();
+process.env.DB_AUTO_MIGRATE = 'false';
+
+const db = await import('../src/lib/db.mjs');
+const { runMigrations } = await import('../src/lib/migrate.mjs');
+
+try {
+  const res = await db.initDb();
+  if (!res.ok) {
+    console.error('[migrate] DB not configured:', res.reason);
+    process.exit(2);
+  }
+  const out = await runMigrations(db.sequelize);
+  console.log('[migrate] OK', out.applied.length ? out.applied : '(nothing to apply)');
+  await db.sequelize.close();
+} catch (e) {
+  console.error('[migrate] Error', e?.message || e);
+  process.exit(1);
+}
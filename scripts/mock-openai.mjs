@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// Local stand-in for the OpenAI Realtime SIP API, for offline development and tests.
+//
+//   REST: POST /v1/realtime/calls/{id}/accept | hangup | refer | reject  → 200, recorded in `requests`
+//   WS:   /v1/realtime?call_id={id} — speaks enough of the realtime event protocol for
+//         RealtimeSession: session.created/updated, conversation items, and a scripted audio reply
+//         (response.created → audio delta → response.done) for every response.create.
+//         /v1/realtime?model={model} (the Twilio Media Streams bridge) gets the same, keyed by a
+//         generated `ws_mock_*` id in place of the call id.
+//   Hangup closes the call's WebSocket, like the real SIP side ending the session.
+//
+// Run standalone:  node scripts/mock-openai.mjs [port]   then set OPENAI_BASE_URL=http://localhost:<port>
+
+import http from 'node:http';
+import { EventEmitter } from 'node:events';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+let seq = 0;
+const nextId = (prefix) => `${prefix}_mock_${++seq}`;
+
+export async function startMockOpenAI({ port = 0, apiKey = null, log = false } = {}) {
+  const events = new EventEmitter();
+  const requests = [];       // { callId, action, body, headers }
+  const received = [];       // { callId, event } — client → server realtime events
+  const sockets = new Map(); // callId -> ws
+
+  const say = (...args) => { if (log) console.log('[mock-openai]', ...args); };
+
+  function authorized(headers) {
+    if (!apiKey) return true;
+    return headers.authorization === `Bearer ${apiKey}`;
+  }
+
+  const server = http.createServer((req, res) => {
+    const m = req.url.match(/^\/v1\/realtime\/calls\/([^/]+)\/(accept|hangup|refer|reject)$/);
+    if (req.method !== 'POST' || !m) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'not found' } }));
+    }
+    if (!authorized(req.headers)) {
+      res.writeHead(401, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'invalid api key' } }));
+    }
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const callId = decodeURIComponent(m[1]);
+      const action = m[2];
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch { body = raw; }
+      const entry = { callId, action, body, headers: req.headers };
+      requests.push(entry);
+      say(action, callId);
+      events.emit('request', entry);
+      events.emit(action, entry);
+      if (action === 'hangup' || action === 'reject') {
+        const ws = sockets.get(callId);
+        if (ws) setTimeout(() => { try { ws.close(); } catch {} }, 20);
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const callId = url.searchParams.get('call_id') || (url.searchParams.get('model') ? nextId('ws') : null);
+    if (url.pathname !== '/v1/realtime' || !callId || !authorized(req.headers)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return socket.destroy();
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => attach(ws, callId));
+  });
+
+  function attach(ws, callId) {
+    sockets.set(callId, ws);
+    let session = { type: 'realtime', id: nextId('sess'), model: 'gpt-realtime', instructions: '' };
+    let lastItemId = null;
+    let lastUserText = '';
+    const send = (event) => {
+      if (ws.readyState !== ws.OPEN) return;
+      ws.send(JSON.stringify({ event_id: nextId('event'), ...event }));
+    };
+
+    ws.on('message', (data) => {
+      let event;
+      try { event = JSON.parse(String(data)); } catch { return; }
+      received.push({ callId, event });
+      events.emit('event', { callId, event });
+
+      if (event.type === 'session.update') {
+        session = { ...session, ...(event.session || {}) };
+        send({ type: 'session.updated', session });
+      } else if (event.type === 'conversation.item.create') {
+        const item = { id: nextId('item'), status: 'completed', ...event.item };
+        const text = (item.content || []).map(c => c.text || c.transcript || '').join(' ').trim();
+        if (item.role === 'user') lastUserText = text;
+        send({ type: 'conversation.item.added', previous_item_id: lastItemId, item });
+        send({ type: 'conversation.item.done', previous_item_id: lastItemId, item });
+        lastItemId = item.id;
+      } else if (event.type === 'response.create') {
+        respond(`(mock reply) ${lastUserText}`.trim());
+      }
+    });
+    ws.on('close', () => {
+      if (sockets.get(callId) === ws) sockets.delete(callId);
+      events.emit('ws_closed', { callId });
+    });
+
+    function respond(transcript) {
+      const responseId = nextId('resp');
+      const itemId = nextId('item');
+      const base = { id: itemId, type: 'message', role: 'assistant' };
+      send({ type: 'response.created', response: { id: responseId, object: 'realtime.response', status: 'in_progress', output: [] } });
+      send({ type: 'conversation.item.added', previous_item_id: lastItemId, item: { ...base, status: 'in_progress', content: [] } });
+      send({
+        type: 'response.output_audio.delta',
+        response_id: responseId, item_id: itemId, output_index: 0, content_index: 0,
+        delta: Buffer.alloc(160, 0xff).toString('base64'), // 20 ms of μ-law silence
+      });
+      send({ type: 'response.output_audio.done', response_id: responseId, item_id: itemId, output_index: 0, content_index: 0 });
+      const done = { ...base, status: 'completed', content: [{ type: 'output_audio', transcript }] };
+      send({ type: 'conversation.item.done', previous_item_id: lastItemId, item: done });
+      lastItemId = itemId;
+      send({
+        type: 'response.done',
+        response: {
+          id: responseId, object: 'realtime.response', status: 'completed', output: [done],
+          usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
+        },
+      });
+      events.emit('response', { callId, responseId, transcript });
+    }
+
+    send({ type: 'session.created', session });
+    events.emit('connected', { callId });
+  }
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  say('listening on', url);
+
+  return {
+    url,
+    events,
+    requests,
+    received,
+    // Push a server event to a connected call (e.g. input_audio_buffer.speech_started)
+    emitToCall(callId, event) {
+      const ws = sockets.get(callId);
+      if (ws) ws.send(JSON.stringify({ event_id: nextId('event'), ...event }));
+    },
+    // Resolve with the first `name` event payload matching `predicate`
+    waitFor(name, predicate = () => true, timeoutMs = 5000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          events.off(name, onEvent);
+          reject(new Error(`mock-openai: timed out waiting for ${name}`));
+        }, timeoutMs);
+        function onEvent(payload) {
+          if (!predicate(payload)) return;
+          clearTimeout(timer);
+          events.off(name, onEvent);
+          resolve(payload);
+        }
+        events.on(name, onEvent);
+      });
+    },
+    async close() {
+      for (const ws of sockets.values()) { try { ws.terminate(); } catch {} }
+      wss.close();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.argv[2] || process.env.MOCK_OPENAI_PORT || 8765);
+  const mock = await startMockOpenAI({ port, log: true });
+  console.log(`[mock-openai] Set OPENAI_BASE_URL=${mock.url}`);
+}
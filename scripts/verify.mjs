@@ -1,5 +1,6 @@
 #!/usr/bin/env node
-// Simple deploy verification: checks root and /db/health
+// Deploy verification: checks /, /db/health, /healthz, /readyz and /metrics. Exits non-zero when any
+// check fails or the service reports config warnings.
 
 import dotenv from 'dotenv';
 dotenv.config();
@@ -18,11 +19,11 @@ const base = ensureHttp(
 
 const to = (ms) => new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), ms));
 
-async function getJson(url) {
+async function getJson(url, headers = {}) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), 10_000);
   try {
-    const res = await fetch(url, { signal: controller.signal });
+    const res = await fetch(url, { signal: controller.signal, headers });
     const text = await res.text();
     let json;
     try { json = JSON.parse(text); } catch { json = { raw: text }; }
@@ -46,6 +47,27 @@ async function getJson(url) {
       process.exit(2);
     }
 
+    for (const path of ['/healthz', '/readyz']) {
+      const res = await getJson(`${base}${path}`);
+      console.log(`[verify] GET ${path}`, res.status, res.ok, res.json);
+      if (!res.ok || res.json?.ok !== true) {
+        console.error(`[verify] ${path} failed:`, (res.json?.errors || []).join('; ') || res.status);
+        process.exit(3);
+      }
+      if (res.json?.warnings?.length) {
+        console.error(`[verify] ${path} warnings:`, res.json.warnings.join('; '));
+        process.exit(4);
+      }
+    }
+
+    const metricsToken = process.env.METRICS_TOKEN;
+    const metrics = await getJson(`${base}/metrics`, metricsToken ? { Authorization: `Bearer ${metricsToken}` } : {});
+    console.log('[verify] GET /metrics', metrics.status, metrics.ok);
+    if (!metrics.ok || !String(metrics.json?.raw || '').includes('rabbot_active_calls')) {
+      console.error('[verify] /metrics failed');
+      process.exit(5);
+    }
+
     console.log('[verify] OK');
   } catch (e) {
     console.error('[verify] Error', e?.message || e);
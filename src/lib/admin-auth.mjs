@@ -0,0 +1,46 @@
+// src/lib/admin-auth.mjs — ADMIN_TOKEN check for admin/support routes
+// The token is only read from headers (`x-admin-token` or `Authorization: Bearer ...`), never the
+// query string, and compared in constant time. Without ADMIN_TOKEN the admin surface is disabled.
+import crypto from 'node:crypto';
+
+function digest(s) {
+  return crypto.createHash('sha256').update(String(s)).digest();
+}
+
+export function bearerToken(headers) {
+  const auth = String(headers?.authorization || '');
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+export function adminTokenFrom(headers) {
+  const direct = headers?.['x-admin-token'];
+  if (direct) return String(direct);
+  return bearerToken(headers);
+}
+
+// Constant-time: compares fixed-length digests so neither content nor length leaks through timing
+export function tokenMatches(token, expected) {
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+export function isAdminToken(token) {
+  return tokenMatches(token, process.env.ADMIN_TOKEN || '');
+}
+
+// Fastify preHandler
+export async function requireAdmin(request, reply) {
+  if (!process.env.ADMIN_TOKEN) {
+    return reply.code(503).send({ ok: false, error: 'admin disabled (ADMIN_TOKEN not set)' });
+  }
+  if (!isAdminToken(adminTokenFrom(request.headers))) {
+    request.log.warn({ url: request.url, ip: request.ip }, 'Admin auth failed');
+    return reply.code(401).send({ ok: false, error: 'unauthorized' });
+  }
+}
+
+// Who did it, for the audit trail (optional `x-admin-actor` header, e.g. support agent email)
+export function adminActor(request) {
+  return String(request.headers?.['x-admin-actor'] || 'admin').slice(0, 120);
+}
@@ -0,0 +1,847 @@
+// src/lib/call-manager.mjs — owns every live call, over OpenAI SIP or a Twilio Media Stream
+// Screening, accept/reject, the Realtime Agents session, live billing, caps, escalation and the call
+// record all hang off one registry of calls, so calls can be listed, inspected, whispered to and ended
+// from outside (admin routes, shutdown). The transport only decides how audio reaches the session and
+// how the line is dropped. Each call is answered by one persona version (src/lib/personas.mjs), which
+// supplies the prompt, voice, greeting, goodbyes and tools. No Fastify dependency: pass any pino-style logger.
+import { RealtimeAgent, RealtimeSession } from '@openai/agents/realtime';
+import {
+  totalSecondsLeft, chargeCall, ensureInitialTrialTopup, isPro, secondsUsedSince, recordActivity,
+} from './license.mjs';
+import { normalizeDigits } from './contacts.mjs';
+import { buildCheckoutLink } from './catalog.mjs';
+import { createEscalation, createCallGuards, HANDOFF_PHRASE } from './escalation.mjs';
+import { recordCallStart, recordCallEnd, createTranscriptRecorder } from './calls.mjs';
+import { screenCaller } from './screening.mjs';
+import { normalizePersona } from './personas.mjs';
+import { createScheduleCallbackTool } from './scheduled-calls.mjs';
+import {
+  loadCallerMemory, memoryInstructions, memoryGreeting, canRemember, summarizeTranscript, saveCallSummary, createForgetTool,
+} from './memory.mjs';
+import { recapChannel, sendCallRecap, createFollowUpTool } from './follow-ups.mjs';
+import { createSelfServiceTools } from './self-service.mjs';
+import { topupUserFor } from './pools.mjs';
+import { realtimeCallUrl, realtimeCallWsUrl, realtimeWsUrl } from './openai.mjs';
+import { TwilioMediaStreamTransport } from './twilio-media.mjs';
+import { callAdmissions, firstAudioSeconds, callDurationSeconds, billingCheckFailures, hangupFailures } from './metrics.mjs';
+import { sendSms as sendProviderSms } from './sms.mjs';
+import { renderTemplate } from './sms-templates.mjs';
+
+// Opening line when we are the ones calling (a scheduled callback)
+function callbackGreeting(callback, persona) {
+  const about = callback.note ? ` about: ${callback.note}` : '';
+  return `You are calling the caller back, as they asked${about}. Greet them as ${persona.name} returning their call and ask whether now is still a good time.`;
+}
+
+// How long a Twilio call admitted by /incoming-call may take to open its media stream
+const STREAM_WAIT_MS = 30000;
+
+// Comma-separated seconds, e.g. "120,30" → [120, 30]
+function thresholds(value) {
+  return String(value || '')
+    .split(',')
+    .map(v => Number(v.trim()))
+    .filter(v => v > 0)
+    .sort((a, b) => b - a);
+}
+
+function spokenDuration(seconds) {
+  if (seconds < 90) return `${Math.max(10, Math.round(seconds / 10) * 10)} seconds`;
+  const mins = Math.round(seconds / 60);
+  return `${mins} minute${mins === 1 ? '' : 's'}`;
+}
+
+// Find a caller identifier (E.164 or digits) from SIP headers
+export function callerFromSipHeaders(headers) {
+  try {
+    const map = new Map();
+    for (const h of headers || []) {
+      const name = String(h?.name || '').toLowerCase();
+      const value = String(h?.value || '');
+      if (!name) continue;
+      map.set(name, value);
+    }
+    // Priority order of common caller-id sources
+    const candidates = [
+      map.get('x-user-id'),
+      map.get('x-user-phone'),
+      map.get('x-twilio-from'),
+      map.get('p-asserted-identity'),
+      map.get('remote-party-id'),
+      map.get('from'),
+      map.get('caller'),
+    ].filter(Boolean);
+    for (const raw of candidates) {
+      // Pull first +digits or long digit run
+      const m = String(raw).match(/\+?\d{6,}/);
+      if (m) return normalizeDigits(m[0]);
+      // Fallback: inside angle brackets <sip:+1...>
+      const m2 = String(raw).match(/<[^>]*>/);
+      if (m2) {
+        const d = normalizeDigits(m2[0]);
+        if (d) return d;
+      }
+    }
+  } catch {}
+  return '';
+}
+
+// The number that was called (our line), when the SIP side passes it on
+export function dialedFromSipHeaders(headers) {
+  for (const wanted of ['x-dialed-number', 'x-twilio-to', 'to']) {
+    const raw = (headers || []).find(h => String(h?.name || '').toLowerCase() === wanted)?.value;
+    const m = String(raw || '').match(/\+?\d{6,}/);
+    if (m) return normalizeDigits(m[0]);
+  }
+  return '';
+}
+
+// `selectPersona({ userId, dialed, sipHeaders })` picks the persona for each call; without one, every call
+// gets a persona built from `instructions` and `voice`.
+export function createCallManager({
+  apiKey,
+  projectId = null,
+  instructions,
+  voice = 'cedar',
+  model = 'gpt-realtime',
+  log = console,
+  sendSms = (uid, body, opts = {}) => sendProviderSms(uid, body, { log, ...opts }),
+  selectPersona = null,
+} = {}) {
+  const calls = new Map(); // callId -> live call
+  const fixedPersona = selectPersona ? null : normalizePersona({ id: 'default', version: 0, instructions, voice });
+  let draining = false;
+
+  function apiHeaders() {
+    return {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      ...(projectId ? { 'OpenAI-Project': projectId } : {}),
+    };
+  }
+
+  // Refuse an incoming SIP call. Screening uses SCREEN_REJECT_STATUS (default 603 Decline).
+  async function rejectSipCall(callId, statusCode = Number(process.env.SCREEN_REJECT_STATUS || '603')) {
+    try {
+      const res = await fetch(realtimeCallUrl(callId, 'reject'), {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ status_code: statusCode }),
+      });
+      if (!res.ok) {
+        const t = await res.text().catch(() => '');
+        log.warn({ callId, status: res.status, body: t }, 'SIP reject failed');
+        return false;
+      }
+      log.info({ callId, statusCode }, 'SIP call rejected');
+      return true;
+    } catch (e) {
+      log.warn({ callId, err: e?.message || String(e) }, 'SIP reject error');
+      return false;
+    }
+  }
+
+  async function hangupSipCall(callId) {
+    try {
+      const res = await fetch(realtimeCallUrl(callId, 'hangup'), { method: 'POST', headers: apiHeaders() });
+      if (!res.ok) {
+        const t = await res.text().catch(() => '');
+        log.warn({ callId, status: res.status, body: t }, 'SIP hangup call failed');
+        hangupFailures.inc();
+        return false;
+      }
+      log.info({ callId }, 'SIP call hung up');
+      return true;
+    } catch (e) {
+      log.warn({ callId, err: e?.message || String(e) }, 'SIP hangup call error');
+      hangupFailures.inc();
+      return false;
+    }
+  }
+
+  async function acceptSipCall(callId, persona) {
+    const acceptRes = await fetch(realtimeCallUrl(callId, 'accept'), {
+      method: 'POST',
+      headers: apiHeaders(),
+      body: JSON.stringify({
+        type: 'realtime',
+        model,
+        instructions: persona.instructions,
+        audio: {
+          input: { format: 'g711_ulaw' },
+          output: { format: 'g711_ulaw', voice: persona.voice },
+        },
+      }),
+    });
+    if (!acceptRes.ok) {
+      const bodyText = await acceptRes.text().catch(() => '');
+      throw new Error(`SIP accept failed: ${acceptRes.status} ${acceptRes.statusText} ${bodyText}`);
+    }
+    let acceptBody = null;
+    try { acceptBody = await acceptRes.json(); } catch {}
+    const acceptHeaders = {};
+    try {
+      acceptRes.headers.forEach((v, k) => {
+        if (String(k).toLowerCase() === 'set-cookie') return;
+        acceptHeaders[k] = v;
+      });
+    } catch {}
+    log.info({ callId, status: acceptRes.status, accept: acceptBody, headers: acceptHeaders }, 'SIP accept OK');
+  }
+
+  function snapshot(call) {
+    const now = Date.now();
+    return {
+      callId: call.callId,
+      userId: call.userId,
+      transport: call.transport,
+      state: call.state,
+      screen: call.screen,
+      startedAt: new Date(call.startedAt).toISOString(),
+      durationSeconds: Math.round((now - call.startedAt) / 1000),
+      billedSeconds: call.billedSeconds,
+      endReason: call.endReason,
+      persona: call.persona?.key ?? null,
+      scheduledCallId: call.callback?.id ?? null,
+    };
+  }
+
+  async function personaFor({ callId, userId, dialed, sipHeaders }) {
+    if (fixedPersona) return fixedPersona;
+    try {
+      return await selectPersona({ userId, dialed, sipHeaders });
+    } catch (e) {
+      log.error({ callId, err: e?.message || String(e) }, 'No persona for call');
+      return null;
+    }
+  }
+
+  // Draining, screened out or no persona → { reject: true, endReason }; otherwise { reject: false, screen, persona }
+  async function admit({ callId, userId, dialed = null, sipHeaders = [] }) {
+    // Shutting down: turn new calls away as busy so the carrier can retry another instance
+    if (draining) {
+      log.info({ callId, userId }, 'Incoming call: draining, rejecting call');
+      return { reject: true, endReason: 'rejected:shutdown' };
+    }
+    const screen = await screenCaller(userId).catch((e) => {
+      log.warn({ callId, err: e?.message || String(e) }, 'Screening failed; accepting');
+      return { action: 'accept', rule: 'screening-error', message: null };
+    });
+    log.info({ callId, userId, screen }, 'Incoming call: screening decision');
+    // A ledger row would create a Contact (with the default balance) for every turned-away number: those are
+    // only logged, unless the contact already exists
+    if (userId !== 'anonymous' && (screen.action === 'accept' || screen.known)) {
+      recordActivity(userId, {
+        actionType: 'screening',
+        outcome: screen.action,
+        info: { call_id: callId, rule: screen.rule },
+      }).catch(() => {});
+    }
+    if (screen.action === 'reject') return { reject: true, endReason: `rejected:${screen.rule}` };
+    const persona = await personaFor({ callId, userId, dialed, sipHeaders });
+    if (!persona) return { reject: true, endReason: 'error' };
+    log.info({ callId, persona: persona.key }, 'Incoming call: persona');
+    return { reject: false, screen, persona };
+  }
+
+  function registerCall({ callId, userId, sipHeaders = [], screen, persona, transport, callback }) {
+    const call = {
+      callId,
+      userId,
+      sipHeaders,
+      persona,
+      transport,
+      callback, // { id, note } when this is a scheduled callback we placed
+      media: null, // Twilio: { ws, streamSid } once the stream starts
+      screen,
+      state: 'accepting',
+      startedAt: Date.now(),
+      acceptedAt: null,
+      billedSeconds: 0,
+      endReason: null,
+      forgetMemory: false, // caller asked us to forget: no summary for this call
+      stop: null,
+      whisper: null,
+    };
+    calls.set(callId, call);
+    return call;
+  }
+
+  // Drops the phone line: SIP hangup through OpenAI, or closing the Twilio stream (Twilio then ends the call)
+  async function endLine(call) {
+    if (call.transport === 'sip') return hangupSipCall(call.callId);
+    if (!call.media) return false;
+    try { call.media.ws.close(); } catch {}
+    log.info({ callId: call.callId }, 'Twilio media stream closed');
+    return true;
+  }
+
+  // SIP webhook: screening → reject, or accept and attach the agent session. Resolves once the accept
+  // decision is made. `callback` ({ id, note }) marks a scheduled callback we placed.
+  async function handleIncoming({ callId, userId = 'anonymous', sipHeaders = [], callback = null }) {
+    const admission = await admit({ callId, userId, dialed: dialedFromSipHeaders(sipHeaders), sipHeaders });
+    if (admission.reject) {
+      const status = admission.endReason === 'rejected:shutdown' ? Number(process.env.SHUTDOWN_REJECT_STATUS || '486') : undefined;
+      await rejectSipCall(callId, status);
+      await recordCallStart({ callId, caller: userId, sipHeaders });
+      await recordCallEnd(callId, { endReason: admission.endReason, billedSeconds: 0 });
+      callAdmissions.inc({ transport: 'sip', outcome: 'rejected' });
+      return { ok: true, action: 'reject' };
+    }
+    const { screen, persona } = admission;
+    const call = registerCall({ callId, userId, sipHeaders, screen, persona, transport: 'sip', callback });
+
+    try {
+      log.info({ callId }, 'SIP incoming: accepting call');
+      await acceptSipCall(callId, persona);
+      call.acceptedAt = Date.now();
+    } catch (err) {
+      calls.delete(callId);
+      await recordCallStart({ callId, caller: userId, sipHeaders, persona: persona.key });
+      await recordCallEnd(callId, { endReason: 'error', billedSeconds: 0 });
+      callAdmissions.inc({ transport: 'sip', outcome: 'failed' });
+      log.error({ err }, 'Failed to accept SIP call');
+      return { ok: false, action: 'accept', error: err?.message || String(err) };
+    }
+    recordCallStart({ callId, caller: userId, sipHeaders, persona: persona.key }).catch(() => {});
+    callAdmissions.inc({ transport: 'sip', outcome: 'accepted' });
+
+    // Connect shortly after accept
+    setTimeout(() => { attachAgentsSession(call); }, 150);
+    return { ok: true, action: screen.action };
+  }
+
+  // Twilio voice webhook: the same admission before any audio flows. Resolves with { action: 'reject', busy }
+  // for a TwiML <Reject>, or { action } while the call waits for its media stream (handleMediaStream).
+  // `dialed` is our number on the call.
+  async function handleTwilioIncoming({ callSid, userId = 'anonymous', dialed = null, callback = null }) {
+    const admission = await admit({ callId: callSid, userId, dialed });
+    await recordCallStart({ callId: callSid, caller: userId, persona: admission.persona?.key ?? null });
+    if (admission.reject) {
+      await recordCallEnd(callSid, { endReason: admission.endReason, billedSeconds: 0 });
+      callAdmissions.inc({ transport: 'twilio', outcome: 'rejected' });
+      return { action: 'reject', busy: admission.endReason === 'rejected:shutdown' };
+    }
+    const call = registerCall({ callId: callSid, userId, screen: admission.screen, persona: admission.persona, transport: 'twilio', callback });
+    call.streamTimer = setTimeout(() => {
+      if (call.media || calls.get(callSid) !== call) return;
+      calls.delete(callSid);
+      log.warn({ callId: callSid }, 'Twilio media stream never started');
+      callAdmissions.inc({ transport: 'twilio', outcome: 'failed' });
+      recordCallEnd(callSid, { endReason: call.endReason || 'error', billedSeconds: 0 }).catch(() => {});
+    }, STREAM_WAIT_MS);
+    call.streamTimer.unref?.();
+    return { action: admission.screen.action };
+  }
+
+  // Twilio Media Stream WebSocket: waits for the `start` event, then bridges the stream to an agent
+  // session. Only streams for calls admitted by handleTwilioIncoming are bridged; anything else is closed.
+  function handleMediaStream(ws) {
+    const onMessage = (data) => {
+      let event;
+      try { event = JSON.parse(String(data)); } catch { return; }
+      if (event.event !== 'start') return;
+      ws.off('message', onMessage);
+      const callSid = event.start?.callSid;
+      const call = calls.get(callSid);
+      if (!call || call.transport !== 'twilio' || call.media) {
+        log.warn({ callId: callSid }, 'Unknown Twilio media stream; closing');
+        try { ws.close(); } catch {}
+        return;
+      }
+      clearTimeout(call.streamTimer);
+      call.media = { ws, streamSid: event.start.streamSid || event.streamSid };
+      call.acceptedAt = Date.now();
+      callAdmissions.inc({ transport: 'twilio', outcome: 'accepted' });
+      // Caller gone before the session is up: attachAgentsSession's connect fails and records this reason
+      ws.once('close', () => { if (call.state === 'accepting') call.endReason = call.endReason || 'caller-hangup'; });
+      log.info({ callId: callSid, streamSid: call.media.streamSid }, 'Twilio media stream started');
+      attachAgentsSession(call);
+    };
+    ws.on('message', onMessage);
+  }
+
+  // Attach a Realtime Agents session to the call: over the SIP call's own WebSocket, or a fresh realtime
+  // session bridged to the Twilio stream
+  async function attachAgentsSession(call) {
+    const { callId: id, userId, persona } = call;
+    // Hung up from outside between accept and attach: nothing to connect
+    if (call.endReason) {
+      calls.delete(id);
+      await endLine(call);
+      await recordCallEnd(id, { endReason: call.endReason, billedSeconds: 0 });
+      return;
+    }
+    const wsUrl = call.transport === 'twilio' ? realtimeWsUrl(model) : realtimeCallWsUrl(id);
+    log.info({ callId: id, url: wsUrl }, 'Connecting Realtime Agents session');
+
+    // Escalation rules from the prompt, enforced in code: 2 tool failures or 3 no-input timeouts
+    const guards = createCallGuards({
+      onNoInput: () => {
+        try { session.sendMessage('The caller has been silent. In one short sentence, gently check whether they are still there.'); } catch {}
+      },
+      onTrip: (reason) => { autoEscalate(reason); },
+    });
+    const escalation = createEscalation({
+      callId: id,
+      userId,
+      transport: call.transport,
+      sendSms,
+      log,
+      wrapExecute: guards.wrap,
+    });
+
+    async function autoEscalate(reason) {
+      if (ended) return;
+      log.info({ callId: id, userId, reason }, 'Auto-escalating call');
+      try { session.sendMessage(`Say only: "${HANDOFF_PHRASE}"`); } catch {}
+      const DELAY = Number(process.env.AUTO_ESCALATE_DELAY_MS || '4000');
+      setTimeout(async () => {
+        const r = await escalation.escalate(reason, 'auto').catch(() => null);
+        if (r?.mode === 'fallback' && !ended) {
+          try { session.sendMessage(`Calmly tell the caller: "${r.say}"${r.texted ? ' and that you also texted it to them' : ''}.`); } catch {}
+        }
+      }, Math.max(0, DELAY));
+    }
+
+    // What we remember about a returning caller: their name and recent call summaries
+    const memory = await loadCallerMemory(userId).catch(() => ({ name: null, summaries: [] }));
+    const memoryBlock = memoryInstructions(memory);
+
+    // Build the agent and session with telephone audio (μ-law, 8 kHz) on both transports
+    const tools = [
+      escalation.tool,
+      createScheduleCallbackTool({ callId: id, userId, log, wrapExecute: guards.wrap }),
+      createForgetTool({ callId: id, userId, log, onForget: () => { call.forgetMemory = true; }, wrapExecute: guards.wrap }),
+      createFollowUpTool({ callId: id, userId, log, wrapExecute: guards.wrap }),
+      ...createSelfServiceTools({ callId: id, userId, log, sendSms, usedSeconds: () => billableSeconds() - chargedSeconds, wrapExecute: guards.wrap }),
+    ];
+    const agent = new RealtimeAgent({
+      name: persona.name,
+      instructions: memoryBlock ? `${persona.instructions}\n\n${memoryBlock}` : persona.instructions,
+      tools: persona.tools ? tools.filter(t => persona.tools.includes(t.name)) : tools,
+    });
+
+    const session = new RealtimeSession(agent, {
+      transport: call.transport === 'twilio'
+        ? new TwilioMediaStreamTransport({ twilioWebSocket: call.media.ws, streamSid: call.media.streamSid })
+        : 'websocket',
+      model,
+      // Ensure g711/PCMU audio and set voice
+      config: {
+        outputModalities: ['audio'],
+        audio: {
+          input: { format: { type: 'audio/pcmu' } },
+          output: { format: { type: 'audio/pcmu' }, voice: persona.voice },
+        },
+      },
+    });
+
+    // Persisted call record + transcript, finalized once when the call ends
+    const transcript = createTranscriptRecorder(session, id);
+    let finalized = false;
+    async function finalizeCall(reason) {
+      if (finalized) return;
+      finalized = true;
+      call.state = 'ended';
+      call.endReason = call.endReason || reason;
+      stopTimers();
+      await chargeForCall();
+      await recordCallEnd(id, { endReason: call.endReason, billedSeconds: call.billedSeconds });
+      const saved = await transcript.save();
+      log.info({ callId: id, endReason: call.endReason, billedSeconds: call.billedSeconds, transcriptItems: saved }, 'Call record saved');
+      callDurationSeconds.observe({ transport: call.transport, end_reason: call.endReason }, (Date.now() - (call.acceptedAt || call.startedAt)) / 1000);
+      // Still registered until here, so a draining shutdown waits for the summary too
+      await afterCall().catch((e) => log.warn({ callId: id, err: e?.message || String(e) }, 'Post-call step failed'));
+      calls.delete(id);
+    }
+
+    // One summary of the call feeds caller memory and the recap text. Nothing is kept or sent after
+    // "forget what we talked about".
+    async function afterCall() {
+      if (call.forgetMemory) return;
+      const remember = await canRemember(userId);
+      const channel = await recapChannel(userId);
+      if (!remember && !channel) return;
+      const summary = await summarizeTranscript(transcript.items(), { log, assistant: persona?.name });
+      if (!summary) return;
+      if (remember) await saveCallSummary({ callId: id, userId, summary, log });
+      if (channel && summary.next_step) await sendCallRecap({ callId: id, userId, nextStep: summary.next_step, channel, sendSms });
+    }
+
+    // Basic observability
+    session.transport.on('connected', () => {
+      log.info({ callId: id }, 'Agents session connected');
+    });
+    session.transport.on('disconnected', () => {
+      log.info({ callId: id }, 'Agents session disconnected');
+      stopTimers();
+      if (call.media) endLine(call);
+      finalizeCall('caller-hangup').catch(() => {});
+    });
+    session.on('error', (err) => {
+      log.error({ callId: id, err }, 'Agents session error');
+    });
+    session.transport.on('turn_done', () => { if (!ended) guards.agentTurnDone(); });
+    // First agent audio: streamed to us on the Twilio bridge, played by OpenAI on SIP calls
+    let heardFirstAudio = false;
+    session.transport.on('*', (ev) => {
+      if (ev?.type === 'input_audio_buffer.speech_started') guards.callerSpoke();
+      if (!heardFirstAudio && (ev?.type === 'response.output_audio.delta' || ev?.type === 'output_audio_buffer.started')) {
+        heardFirstAudio = true;
+        firstAudioSeconds.observe({ transport: call.transport }, (Date.now() - (call.acceptedAt || call.startedAt)) / 1000);
+      }
+    });
+
+    // Billing: measured from accept to hangup, on one ledger row per call. While the call runs, a watchdog adds the
+    // time so far to that row on every check, so other live calls on the same balance (or pool) see it and a crash
+    // loses at most one tick, and ends the call when the balance runs out. The row is settled when the call ends.
+    const TICK_SECONDS = Number(process.env.BILLING_TICK_SECONDS || '10');
+    const GRACE_SECONDS = Number(process.env.BILLING_GRACE_SECONDS || '0') || 0;
+    const MIN_CHARGE_SECONDS = Number(process.env.BILLING_MIN_CHARGE_SECONDS || '0') || 0;
+    // Low-balance heads-up: spoken at each threshold (seconds left), plus an optional early top-up SMS
+    const LOW_BALANCE_WARNINGS = thresholds(process.env.LOW_BALANCE_WARNING_SECONDS ?? '120');
+    const LOW_BALANCE_SMS_SECONDS = Number(process.env.LOW_BALANCE_SMS_SECONDS || '0') || 0;
+    const warned = new Set();
+    let topupSmsTried = false;
+    let topupSmsSent = null; // template of the top-up text that went out, if one did
+    let billingTimer = null;
+    let billable = false;
+    let charged = false;
+    let chargedSeconds = 0; // already in the stored balance
+    let ended = false;
+
+    // Per-call duration cap (0 = none) and per-caller daily cap, both counted in seconds
+    const PER_CALL_CAP = Number(process.env.PER_CALL_CAP_SECONDS || '0') || 0;
+    const UNLIMITED_CALL_CAP = Number(process.env.UNLIMITED_PER_CALL_CAP_SECONDS || process.env.PER_CALL_CAP_SECONDS || '0') || 0;
+    const DAILY_CAP = Number(process.env.DAILY_CALLER_CAP_SECONDS || '0') || 0;
+    const CAP_WARNING_SECONDS = Number(process.env.CALL_CAP_WARNING_SECONDS || '60') || 0;
+    let capTimer = null;
+    let capWarnTimer = null;
+
+    function stopTimers() {
+      if (billingTimer) { clearTimeout(billingTimer); billingTimer = null; }
+      if (capTimer) { clearTimeout(capTimer); capTimer = null; }
+      if (capWarnTimer) { clearTimeout(capWarnTimer); capWarnTimer = null; }
+      guards.stop();
+    }
+
+    // The first GRACE_SECONDS are free; any call billed at all is billed at least MIN_CHARGE_SECONDS
+    function billableSeconds(now = Date.now()) {
+      if (!billable) return 0;
+      const seconds = Math.round((now - call.acceptedAt) / 1000) - GRACE_SECONDS;
+      return seconds > 0 ? Math.max(seconds, MIN_CHARGE_SECONDS) : 0;
+    }
+
+    // End-of-call reconciliation: the single charge for the whole call
+    async function chargeForCall() {
+      if (!billable || charged) return;
+      charged = true;
+      const endedAt = Date.now();
+      call.billedSeconds = billableSeconds(endedAt);
+      if (call.billedSeconds <= 0) return;
+      const res = await chargeCall(userId, { callId: id, seconds: call.billedSeconds, startedAt: call.acceptedAt, endedAt });
+      if (!res.ok) log.warn({ callId: id, userId, seconds: call.billedSeconds }, 'Call charge not recorded');
+    }
+
+    // Budget for this call: the tighter of the per-call cap and what's left of today's cap
+    async function callBudgetSeconds() {
+      const unlimited = await isPro(userId).catch(() => false);
+      const limits = [];
+      const perCall = unlimited ? UNLIMITED_CALL_CAP : PER_CALL_CAP;
+      if (perCall > 0) limits.push({ seconds: perCall, reason: 'call-cap' });
+      if (DAILY_CAP > 0) {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+        const used = await secondsUsedSince(userId, startOfDay).catch(() => 0);
+        limits.push({ seconds: Math.max(0, DAILY_CAP - used), reason: 'daily-cap' });
+      }
+      limits.sort((a, b) => a.seconds - b.seconds);
+      return limits[0] || null;
+    }
+
+    function armCapTimers(budget) {
+      if (!budget) return;
+      const warnAt = budget.seconds - CAP_WARNING_SECONDS;
+      if (CAP_WARNING_SECONDS > 0 && warnAt > 0) {
+        capWarnTimer = setTimeout(() => {
+          if (ended) return;
+          const mins = Math.max(1, Math.round(CAP_WARNING_SECONDS / 60));
+          try {
+            session.sendMessage(
+              `At a natural pause, briefly let the caller know there is about ${mins} minute${mins === 1 ? '' : 's'} left in this call so you can wrap up together.`
+            );
+          } catch {}
+        }, warnAt * 1000);
+      }
+      capTimer = setTimeout(() => { stopSession(budget.reason); }, budget.seconds * 1000);
+      log.info({ callId: id, userId, budget }, 'Call budget armed');
+    }
+
+    // One try per call; resolves to whether the text went out (opt-outs and provider failures don't)
+    async function sendTopupSms(uid, { early = false } = {}) {
+      topupSmsTried = true;
+      const template = early ? 'low-balance' : 'out-of-minutes';
+      // A pool member's link tops up the pool
+      const buyFor = await topupUserFor(uid);
+      const link = buildCheckoutLink(buyFor, process.env.TOPUP_SMS_PACK, buyFor === uid ? {} : { giftFrom: uid }) || 'https://gumroad.com/';
+      const { text, locale } = renderTemplate(template, { link }, { to: uid });
+      const sent = await sendSms(uid, text, { template, locale, callId: id });
+      if (sent) topupSmsSent = template;
+      return sent;
+    }
+
+    function farewellFor(reason) {
+      if (reason === 'screened') return `Say exactly this to the caller, then stop speaking: "${call.screen?.message || ''}"`;
+      if (reason === 'out-of-minutes') {
+        if (topupSmsSent === 'low-balance') return persona.farewells['out-of-minutes-texted'];
+        if (!topupSmsSent) return persona.farewells['out-of-minutes-not-texted'];
+      }
+      return persona.farewells[reason] || null;
+    }
+
+    // Ends the call. Reasons with a farewell get a spoken goodbye first; `graceful: false` hangs up now.
+    async function stopSession(reason, { graceful = true } = {}) {
+      if (ended) {
+        // Already saying goodbye; a hard stop cuts it short
+        if (!graceful) {
+          await endLine(call);
+          try { session.close(); } catch {}
+        }
+        return;
+      }
+      ended = true;
+      call.state = 'ending';
+      call.endReason = call.endReason || reason;
+      stopTimers();
+      // The goodbye says whether the link was texted, so the text goes first
+      if (graceful && reason === 'out-of-minutes' && !topupSmsTried) await sendTopupSms(userId).catch(() => false);
+      const farewell = graceful ? farewellFor(reason) : null;
+      try {
+        if (farewell) {
+          // Wait for OUR final response to finish, then hang up.
+          // We arm on our next turn_started, capture its response.id, and hang up on matching turn_done.
+          const MAX_WAIT_MS = Number(process.env.HANGUP_MAX_WAIT_MS || '10000');
+          let armed = true;
+          let targetResponseId = null;
+          let fallbackTimer = null;
+          const cleanup = () => {
+            try { session.transport.off('turn_started', onTurnStarted); } catch {}
+            try { session.transport.off('turn_done', onTurnDone); } catch {}
+            if (fallbackTimer) { clearTimeout(fallbackTimer); fallbackTimer = null; }
+          };
+          const endNow = () => {
+            cleanup();
+            const POST_DELAY = Number(process.env.HANGUP_POST_TURN_DELAY_MS || '2500');
+            setTimeout(() => {
+              endLine(call);
+              try { session.close(); } catch {}
+            }, Math.max(0, POST_DELAY));
+          };
+          const onTurnStarted = (ev) => {
+            if (!armed || targetResponseId) return;
+            const rid = ev?.providerData?.response?.id || ev?.response?.id || null;
+            if (rid) {
+              targetResponseId = rid;
+              armed = false;
+            }
+          };
+          const onTurnDone = (ev) => {
+            const rid = ev?.response?.id || null;
+            if (!targetResponseId) return; // haven't captured our response yet
+            if (rid && rid === targetResponseId) {
+              endNow();
+            }
+          };
+          try { session.transport.on('turn_started', onTurnStarted); } catch {}
+          try { session.transport.on('turn_done', onTurnDone); } catch {}
+          fallbackTimer = setTimeout(() => { endNow(); }, MAX_WAIT_MS);
+
+          // Ask the agent to inform the caller (after listeners armed)
+          try {
+            session.sendMessage(farewell);
+          } catch {}
+        } else {
+          await endLine(call);
+          try { session.close(); } catch {}
+        }
+      } catch {}
+      log.info({ callId: id, userId, reason }, 'Session closed');
+    }
+
+    call.stop = stopSession;
+    call.whisper = (text) => {
+      if (ended) return false;
+      session.sendMessage(`(Note from the operator — do not read this aloud; act on it naturally at the next turn.) ${text}`);
+      return true;
+    };
+
+    const connect = async () => {
+      await session.connect({ apiKey, url: wsUrl });
+      call.state = 'active';
+    };
+
+    try {
+      // Screening chose a canned message only: say it and hang up
+      if (call.screen?.action === 'announce') {
+        await connect();
+        setTimeout(() => stopSession('screened'), 300);
+        return;
+      }
+
+      // One-time initial trial top-up for first-time callers (if configured)
+      try { await ensureInitialTrialTopup(userId).catch(() => {}); } catch {}
+
+      // Check entitlement before connecting
+      const remaining = await totalSecondsLeft(userId).catch(() => 0);
+      if (remaining <= 0) {
+        // Connect to deliver the out-of-minutes announcement and SMS, then hang up gracefully
+        await connect();
+        setTimeout(() => stopSession('out-of-minutes'), 300);
+        return;
+      }
+
+      const budget = await callBudgetSeconds();
+      if (budget && budget.seconds <= 0) {
+        await connect();
+        setTimeout(() => stopSession(budget.reason), 300);
+        return;
+      }
+
+      await connect();
+      armCapTimers(budget);
+
+      // From here on the call is billable; watch the balance while it runs
+      billable = true;
+      scheduleBillingCheck(remaining - billableSeconds());
+
+      // Optional: immediate greeting so callers hear something promptly
+      session.sendMessage(call.callback ? callbackGreeting(call.callback, persona) : memoryGreeting(memory) || persona.greeting);
+    } catch (e) {
+      log.error({ callId: id, err: e?.message || e }, 'Failed to connect Agents session');
+      call.endReason = call.endReason || 'error';
+      stopTimers();
+      finalizeCall('error').catch(() => {});
+    }
+
+    // Next check: the regular tick, or sooner when the balance or a warning threshold is coming up
+    function scheduleBillingCheck(secondsLeft) {
+      if (ended) return;
+      const upcoming = [...LOW_BALANCE_WARNINGS, LOW_BALANCE_SMS_SECONDS]
+        .filter(t => t > 0 && t < secondsLeft)
+        .map(t => secondsLeft - t);
+      const wait = Math.min(TICK_SECONDS, secondsLeft, ...upcoming);
+      billingTimer = setTimeout(billingCheck, Math.max(1, wait) * 1000);
+    }
+
+    async function warnLowBalance(secondsLeft) {
+      // The text goes first, so the agent only mentions one that went out
+      if (LOW_BALANCE_SMS_SECONDS > 0 && secondsLeft <= LOW_BALANCE_SMS_SECONDS && !topupSmsTried) {
+        await sendTopupSms(userId, { early: true }).catch(() => false);
+      }
+      const crossed = LOW_BALANCE_WARNINGS.filter(t => secondsLeft <= t && !warned.has(t));
+      if (crossed.length) {
+        // Several thresholds at once (e.g. a call that starts low): one message for the lowest
+        crossed.forEach(t => warned.add(t));
+        const smsNote = topupSmsSent ? ' and that we texted them a link to add more' : '';
+        log.info({ callId: id, userId, secondsLeft }, 'Low balance warning');
+        try {
+          session.sendMessage(
+            `At the next natural pause, briefly let the caller know they have about ${spokenDuration(secondsLeft)} of calling time left${smsNote}, then continue the conversation.`
+          );
+        } catch {}
+      }
+    }
+
+    async function billingCheck() {
+      billingTimer = null;
+      let left = TICK_SECONDS;
+      try {
+        const seconds = billableSeconds();
+        if (seconds > chargedSeconds) {
+          const res = await chargeCall(userId, { callId: id, seconds, startedAt: call.acceptedAt, final: false });
+          if (res.ok) chargedSeconds = seconds;
+        }
+        const total = await totalSecondsLeft(userId);
+        call.billedSeconds = billableSeconds();
+        left = total - (call.billedSeconds - chargedSeconds);
+        if (left <= 0) {
+          await stopSession('out-of-minutes');
+          return;
+        }
+        await warnLowBalance(left);
+      } catch (e) {
+        log.warn({ callId: id, err: e?.message || String(e) }, 'Billing check failed');
+        billingCheckFailures.inc();
+      }
+      scheduleBillingCheck(left);
+    }
+  }
+
+  // Ends a live call; `graceful` lets the agent say goodbye first
+  async function hangup(callId, { reason = 'admin-hangup', graceful = true } = {}) {
+    const call = calls.get(callId);
+    if (!call) return false;
+    if (call.stop) {
+      await call.stop(reason, { graceful });
+    } else {
+      call.state = 'ending';
+      call.endReason = reason;
+      await endLine(call);
+    }
+    return true;
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function waitForCalls(deadline) {
+    while (calls.size && Date.now() < deadline) await sleep(200);
+    return calls.size;
+  }
+
+  return {
+    handleIncoming,
+    handleTwilioIncoming,
+    handleMediaStream,
+    list() {
+      return [...calls.values()].map(snapshot);
+    },
+    get(callId) {
+      const call = calls.get(callId);
+      return call ? snapshot(call) : null;
+    },
+    hangup,
+    isDraining() {
+      return draining;
+    },
+    // Shutdown: refuse new calls, give live ones `graceSeconds` to finish, then say goodbye and hang up
+    // the rest. Resolves with the number of calls that still had not ended (those are hung up hard), once
+    // their final charge and call record are written or SHUTDOWN_FINALIZE_SECONDS have passed, so the DB
+    // pool isn't closed under them.
+    async drain({ graceSeconds = Number(process.env.SHUTDOWN_DRAIN_SECONDS || '20') } = {}) {
+      draining = true;
+      log.info({ activeCalls: calls.size, graceSeconds }, 'Draining calls');
+      await waitForCalls(Date.now() + Math.max(0, graceSeconds) * 1000);
+      if (!calls.size) return 0;
+
+      await Promise.all([...calls.keys()].map((callId) => hangup(callId, { reason: 'shutdown' })));
+      const farewellMs = Number(process.env.HANGUP_MAX_WAIT_MS || '10000') + Number(process.env.HANGUP_POST_TURN_DELAY_MS || '2500');
+      await waitForCalls(Date.now() + farewellMs + 2000);
+      const stuck = calls.size;
+      if (stuck) {
+        log.warn({ stuck }, 'Calls still live after drain; hanging up');
+        await Promise.all([...calls.keys()].map((callId) => hangup(callId, { reason: 'shutdown', graceful: false })));
+        const finalizeMs = Number(process.env.SHUTDOWN_FINALIZE_SECONDS || '5') * 1000;
+        const unfinished = await waitForCalls(Date.now() + finalizeMs);
+        if (unfinished) log.error({ unfinished }, 'Calls not finalized before shutdown; their charges may be missing');
+      }
+      return stuck;
+    },
+    // Private instruction to the agent; the caller only hears how the agent acts on it
+    whisper(callId, text) {
+      const call = calls.get(callId);
+      if (!call?.whisper || !text) return false;
+      return call.whisper(String(text));
+    },
+  };
+}
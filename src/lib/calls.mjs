@@ -0,0 +1,104 @@
+// src/lib/calls.mjs — persisted call records (Calls) and transcripts (CallTranscriptItems)
+import { initDb } from './db.mjs';
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+export async function recordCallStart({ callId, caller, contactWid = null, sipHeaders = [], persona = null, startedAt = new Date() }) {
+  try {
+    const { Call } = await models();
+    if (!Call) return null;
+    const [row] = await Call.findOrCreate({
+      where: { call_id: callId },
+      defaults: { call_id: callId, caller, contact_wid: contactWid, started_at: startedAt, sip_headers: sipHeaders, persona },
+    });
+    return row;
+  } catch (e) {
+    console.warn('[Calls] Start record failed', e?.message || e);
+    return null;
+  }
+}
+
+// Only the first end wins: later disconnect events don't overwrite the real end reason
+export async function recordCallEnd(callId, { endReason, billedSeconds, endedAt = new Date() } = {}) {
+  try {
+    const { Call } = await models();
+    if (!Call) return false;
+    const [count] = await Call.update(
+      { ended_at: endedAt, end_reason: endReason || null, billed_seconds: Math.max(0, Math.round(Number(billedSeconds) || 0)) },
+      { where: { call_id: callId, ended_at: null } }
+    );
+    return count > 0;
+  } catch (e) {
+    console.warn('[Calls] End record failed', e?.message || e);
+    return false;
+  }
+}
+
+function itemText(item) {
+  const parts = Array.isArray(item?.content) ? item.content : [];
+  return parts
+    .map(p => p?.transcript ?? p?.text ?? '')
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+// Follows a RealtimeSession's history and remembers when each caller/agent turn happened.
+// Caller turns are stamped at the speech_started that produced them, agent turns when first seen.
+// User-role items without audio are our own injected instructions (greeting, whispers) and are flagged `injected`.
+export function createTranscriptRecorder(session, callId) {
+  const items = new Map(); // itemId -> { seq, role, text, spokenAt, injected }
+  let lastSpeechStartedAt = null;
+
+  function track(history) {
+    for (const item of history || []) {
+      if (item?.type !== 'message' || !item.itemId) continue;
+      if (item.role !== 'user' && item.role !== 'assistant') continue;
+      let entry = items.get(item.itemId);
+      if (!entry) {
+        const spokenAt = item.role === 'user' && lastSpeechStartedAt ? lastSpeechStartedAt : new Date();
+        const injected = item.role === 'user' && !(item.content || []).some(p => p?.type === 'input_audio');
+        entry = { seq: items.size, role: item.role, text: '', spokenAt, injected };
+        items.set(item.itemId, entry);
+        if (item.role === 'user') lastSpeechStartedAt = null;
+      }
+      const text = itemText(item);
+      if (text) entry.text = text;
+    }
+  }
+
+  session.on('history_updated', track);
+  session.transport.on('*', (ev) => {
+    if (ev?.type === 'input_audio_buffer.speech_started') lastSpeechStartedAt = new Date();
+  });
+
+  return {
+    items() {
+      return [...items.entries()].map(([itemId, e]) => ({ itemId, ...e }));
+    },
+    async save() {
+      const rows = this.items().map(e => ({
+        call_id: callId,
+        item_id: e.itemId,
+        seq: e.seq,
+        role: e.role === 'user' ? 'caller' : 'agent',
+        text: e.text || null,
+        spoken_at: e.spokenAt,
+      }));
+      if (!rows.length) return 0;
+      try {
+        const { CallTranscriptItem } = await models();
+        if (!CallTranscriptItem) return 0;
+        await CallTranscriptItem.bulkCreate(rows, { updateOnDuplicate: ['text'], conflictAttributes: ['call_id', 'item_id'] });
+        return rows.length;
+      } catch (e) {
+        console.warn('[Calls] Transcript save failed', e?.message || e);
+        return 0;
+      }
+    },
+  };
+}
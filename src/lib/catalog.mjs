@@ -0,0 +1,104 @@
+// src/lib/catalog.mjs — Gumroad product catalog: maps permalinks/variants to entitlements
+//
+// GUMROAD_CATALOG is a JSON object keyed by pack id, e.g.
+//   {
+//     "min30":   { "permalink": "rabbot-minutes", "variant": "30 minutes", "seconds": 1800 },
+//     "monthly": { "permalink": "rabbot-unlimited", "unlimited": true, "periodDays": 31 },
+//     "season":  { "permalink": "rabbot-season", "unlimited": true, "expiresAt": "2027-01-01T00:00:00Z" }
+//   }
+// A pack grants either `seconds` (one-off top-up) or `unlimited` (until now + periodDays, or until
+// expiresAt; neither → no expiry). Without a catalog, GUMROAD_PRODUCT_PERMALINK is a single seconds
+// pack worth PAID_SECONDS_PER_PURCHASE.
+import dotenv from 'dotenv';
+dotenv.config();
+
+const STORE_URL = (process.env.GUMROAD_STORE_URL || 'https://yitzi.gumroad.com').replace(/\/+$/, '');
+const SUBSCRIPTION_GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || '3') || 0;
+
+function legacyCatalog() {
+  const product = process.env.GUMROAD_PRODUCT_PERMALINK;
+  if (!product) return {};
+  return { default: { permalink: product, seconds: Number(process.env.PAID_SECONDS_PER_PURCHASE || '1800') } };
+}
+
+export function loadCatalog() {
+  const raw = process.env.GUMROAD_CATALOG || '';
+  if (!raw) return legacyCatalog();
+  try {
+    const parsed = JSON.parse(raw);
+    const out = {};
+    for (const [packId, p] of Object.entries(parsed || {})) {
+      if (!p || typeof p !== 'object' || !p.permalink) continue;
+      out[packId] = {
+        permalink: String(p.permalink),
+        variant: p.variant ? String(p.variant) : null,
+        seconds: Math.max(0, Number(p.seconds) || 0),
+        unlimited: !!p.unlimited,
+        periodDays: Math.max(0, Number(p.periodDays) || 0),
+        expiresAt: p.expiresAt || null,
+        label: p.label || packId,
+      };
+    }
+    return out;
+  } catch (e) {
+    console.warn('[Catalog] Invalid GUMROAD_CATALOG JSON:', e?.message || e);
+    return legacyCatalog();
+  }
+}
+
+export function getPack(packId) {
+  const catalog = loadCatalog();
+  if (packId && catalog[packId]) return { id: packId, ...catalog[packId] };
+  const fallback = process.env.GUMROAD_DEFAULT_PACK || Object.keys(catalog)[0];
+  return fallback && catalog[fallback] ? { id: fallback, ...catalog[fallback] } : null;
+}
+
+// Variant names from a ping: JSON `variants: {Tier: "Monthly"}` or form-encoded `variants[Tier]=Monthly`
+function variantsOf(body) {
+  const out = [];
+  if (body?.variants && typeof body.variants === 'object') out.push(...Object.values(body.variants));
+  else if (typeof body?.variants === 'string') out.push(body.variants);
+  for (const [k, v] of Object.entries(body || {})) {
+    if (k.startsWith('variants[')) out.push(v);
+  }
+  return out.map(v => String(v).toLowerCase().trim()).filter(Boolean);
+}
+
+// Resolve the pack bought in a Gumroad ping; a variant-specific pack wins over a permalink-only one
+export function resolvePackForSale(body) {
+  const permalink = String(body?.product_permalink || body?.permalink || '').split('/').pop();
+  const variants = variantsOf(body);
+  let match = null;
+  for (const [id, p] of Object.entries(loadCatalog())) {
+    if (p.permalink !== permalink) continue;
+    if (p.variant) {
+      if (variants.includes(p.variant.toLowerCase())) return { id, ...p };
+    } else if (!match) {
+      match = { id, ...p };
+    }
+  }
+  return match;
+}
+
+// Expiry (Date) for an unlimited grant of this pack, or null when it does not expire
+export function unlimitedExpiryFor(pack, now = new Date()) {
+  if (!pack?.unlimited) return null;
+  if (pack.expiresAt) {
+    const d = new Date(pack.expiresAt);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  if (pack.periodDays > 0) {
+    return new Date(now.getTime() + (pack.periodDays + SUBSCRIPTION_GRACE_DAYS) * 24 * 60 * 60 * 1000);
+  }
+  return null;
+}
+
+// `giftFrom` buys the pack for `userId` on someone else's behalf; the sale is credited to `userId`
+export function buildCheckoutLink(userId, packId, { giftFrom = null } = {}) {
+  const pack = getPack(packId);
+  if (!pack) return '';
+  const params = new URLSearchParams({ wanted: 'true', userId: String(userId || '') });
+  if (giftFrom) params.set('gift_from', String(giftFrom));
+  if (pack.variant) params.set('variant', pack.variant);
+  return `${STORE_URL}/l/${pack.permalink}?${params.toString()}`;
+}
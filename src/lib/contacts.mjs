@@ -33,7 +33,8 @@ function candidateWidsFromDigits(digits) {
   ];
 }
 
-export async function findContactByPhone(phone) {
+// Pass `transaction` to read inside one (a connection already held, e.g. by a ledger change)
+export async function findContactByPhone(phone, { transaction } = {}) {
   const { Contact } = await ensureDb();
   if (!Contact) {
     console.warn('[Contacts] No Contact model (missing DB_URI?).');
@@ -50,7 +51,8 @@ export async function findContactByPhone(phone) {
         { number: digits },
         { wid: { [Op.in]: widCands } }
       ]
-    }
+    },
+    transaction,
   });
   if (contact) {
     console.log('[Contacts] Found', { id: contact.id, wid: contact.wid, number: contact.number });
@@ -90,3 +92,19 @@ export async function getContactByWid(wid) {
   if (!wid) return null;
   return await Contact.findOne({ where: { wid } });
 }
+
+export async function setContactBlocked(phone, blocked) {
+  const res = await findOrCreateByPhone(phone);
+  if (!res.contact) return { ok: false, contact: null, reason: res.reason || 'not-found' };
+  await res.contact.update({ is_blocked: !!blocked });
+  console.log('[Contacts] Blocked flag set', { wid: res.contact.wid, blocked: !!blocked });
+  return { ok: true, contact: res.contact };
+}
+
+export async function setContactName(phone, name) {
+  const res = await findOrCreateByPhone(phone);
+  if (!res.contact) return { ok: false, contact: null, reason: res.reason || 'not-found' };
+  await res.contact.update({ name });
+  console.log('[Contacts] Name set', { wid: res.contact.wid });
+  return { ok: true, contact: res.contact };
+}
@@ -5,6 +5,18 @@ dotenv.config();
 let sequelize = null;
 let Contact = null;
 let UserActivity = null;
+let Call = null;
+let CallTranscriptItem = null;
+let SmsMessage = null;
+let SmsOptOut = null;
+let ScheduledCall = null;
+let CallSummary = null;
+let Persona = null;
+let FollowUpPreference = null;
+let PromoCode = null;
+let MinutePool = null;
+let MinutePoolMember = null;
+let GumroadSaleClaim = null;
 
 function pickDbUri() {
   const candidates = [
@@ -130,10 +142,194 @@ async function initDb() {
     { tableName: 'UserActivities', underscored: true }
   );
 
+  // Service-owned tables below; created by our own migrations (src/migrations), never by the aibot ones
+  Call = sequelize.define(
+    'Call',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      call_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      caller: { type: DataTypes.STRING, allowNull: true },
+      contact_wid: { type: DataTypes.STRING, allowNull: true },
+      started_at: { type: DataTypes.DATE, allowNull: false },
+      ended_at: { type: DataTypes.DATE, allowNull: true },
+      billed_seconds: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      end_reason: { type: DataTypes.STRING, allowNull: true },
+      sip_headers: { type: DataTypes.JSONB, allowNull: true },
+      persona: { type: DataTypes.STRING, allowNull: true }
+    },
+    { tableName: 'Calls', underscored: true }
+  );
+
+  CallTranscriptItem = sequelize.define(
+    'CallTranscriptItem',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      call_id: { type: DataTypes.STRING, allowNull: false },
+      item_id: { type: DataTypes.STRING, allowNull: false },
+      seq: { type: DataTypes.INTEGER, allowNull: false },
+      role: { type: DataTypes.STRING, allowNull: false },
+      text: { type: DataTypes.TEXT, allowNull: true },
+      spoken_at: { type: DataTypes.DATE, allowNull: false }
+    },
+    { tableName: 'CallTranscriptItems', underscored: true }
+  );
+
+  // Outbound SMS log with delivery status (src/lib/sms.mjs)
+  SmsMessage = sequelize.define(
+    'SmsMessage',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      to: { type: DataTypes.STRING, allowNull: false },
+      provider: { type: DataTypes.STRING, allowNull: false },
+      template: { type: DataTypes.STRING, allowNull: true },
+      locale: { type: DataTypes.STRING, allowNull: true },
+      body: { type: DataTypes.TEXT, allowNull: false },
+      status: { type: DataTypes.STRING, allowNull: false },
+      provider_status: { type: DataTypes.STRING, allowNull: true },
+      provider_message_id: { type: DataTypes.STRING, allowNull: true },
+      error: { type: DataTypes.TEXT, allowNull: true },
+      call_id: { type: DataTypes.STRING, allowNull: true },
+      channel: { type: DataTypes.STRING, allowNull: false, defaultValue: 'sms' }
+    },
+    { tableName: 'SmsMessages', underscored: true }
+  );
+
+  // Numbers that replied STOP (src/lib/sms-policy.mjs); START flips opted_out back
+  SmsOptOut = sequelize.define(
+    'SmsOptOut',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      number: { type: DataTypes.STRING, allowNull: false, unique: true },
+      opted_out: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      keyword: { type: DataTypes.STRING, allowNull: true },
+      changed_at: { type: DataTypes.DATE, allowNull: false }
+    },
+    { tableName: 'SmsOptOuts', underscored: true }
+  );
+
+  // Outbound callbacks waiting to be dialed (src/lib/scheduled-calls.mjs)
+  ScheduledCall = sequelize.define(
+    'ScheduledCall',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: { type: DataTypes.STRING, allowNull: false },
+      run_at: { type: DataTypes.DATE, allowNull: false },
+      status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      max_attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+      note: { type: DataTypes.TEXT, allowNull: true },
+      source: { type: DataTypes.STRING, allowNull: false },
+      origin_call_id: { type: DataTypes.STRING, allowNull: true },
+      dialer: { type: DataTypes.STRING, allowNull: true },
+      provider_call_id: { type: DataTypes.STRING, allowNull: true },
+      last_error: { type: DataTypes.TEXT, allowNull: true }
+    },
+    { tableName: 'ScheduledCalls', underscored: true }
+  );
+
+  // Post-call summaries the agent remembers on the caller's next call (src/lib/memory.mjs)
+  CallSummary = sequelize.define(
+    'CallSummary',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      call_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      user_id: { type: DataTypes.STRING, allowNull: false },
+      topics: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      next_step: { type: DataTypes.TEXT, allowNull: true },
+      follow_ups: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] }
+    },
+    { tableName: 'CallSummaries', underscored: true }
+  );
+
+  // Persona versions added without a deploy (src/lib/personas.mjs); `config` holds the persona fields
+  Persona = sequelize.define(
+    'Persona',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      persona_id: { type: DataTypes.STRING, allowNull: false },
+      version: { type: DataTypes.INTEGER, allowNull: false },
+      config: { type: DataTypes.JSONB, allowNull: false }
+    },
+    { tableName: 'Personas', underscored: true }
+  );
+
+  // Per-contact opt-in/out for post-call recap texts (src/lib/follow-ups.mjs); channel: auto | sms | whatsapp
+  FollowUpPreference = sequelize.define(
+    'FollowUpPreference',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      enabled: { type: DataTypes.BOOLEAN, allowNull: false },
+      channel: { type: DataTypes.STRING, allowNull: false, defaultValue: 'auto' },
+      source: { type: DataTypes.STRING, allowNull: true }
+    },
+    { tableName: 'FollowUpPreferences', underscored: true }
+  );
+
+  // Promo codes redeemed for seconds (src/lib/promos.mjs); `redemptions` counts uses against max_redemptions
+  PromoCode = sequelize.define(
+    'PromoCode',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING, allowNull: false, unique: true },
+      seconds: { type: DataTypes.INTEGER, allowNull: false },
+      expires_at: { type: DataTypes.DATE, allowNull: true },
+      max_redemptions: { type: DataTypes.INTEGER, allowNull: true },
+      redemptions: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      disabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      note: { type: DataTypes.STRING, allowNull: true },
+      created_by: { type: DataTypes.STRING, allowNull: true }
+    },
+    { tableName: 'PromoCodes', underscored: true }
+  );
+
+  // Shared minute pools (src/lib/pools.mjs): members' calls are billed to the owner's Contact balance
+  MinutePool = sequelize.define(
+    'MinutePool',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      owner_user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: true }
+    },
+    { tableName: 'MinutePools', underscored: true }
+  );
+
+  MinutePoolMember = sequelize.define(
+    'MinutePoolMember',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      pool_id: { type: DataTypes.INTEGER, allowNull: false },
+      user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      monthly_limit_seconds: { type: DataTypes.INTEGER, allowNull: true }
+    },
+    { tableName: 'MinutePoolMembers', underscored: true }
+  );
+
+  // Which contact a Gumroad sale was credited to (src/lib/gumroad.mjs), by webhook or license key; one per sale
+  GumroadSaleClaim = sequelize.define(
+    'GumroadSaleClaim',
+    {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      sale_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+      subscription_id: { type: DataTypes.STRING, allowNull: true },
+      user_id: { type: DataTypes.STRING, allowNull: false },
+      source: { type: DataTypes.STRING, allowNull: false },
+      credited_at: { type: DataTypes.DATE, allowNull: true },
+      details: { type: DataTypes.JSONB, allowNull: true }
+    },
+    { tableName: 'GumroadSaleClaims', underscored: true }
+  );
+
   // Do NOT sync/alter — we share the existing table managed by `aibot` migrations
   await sequelize.authenticate();
   console.log('[DB] Connected. Contacts table is now shared with aibot. DSN:', redactUri(normalized));
+
+  // Our own tables: apply pending migrations unless disabled (DB_AUTO_MIGRATE=false → run `npm run db:migrate`)
+  if (String(process.env.DB_AUTO_MIGRATE || 'true').toLowerCase() !== 'false') {
+    const { runMigrations } = await import('./migrate.mjs');
+    await runMigrations(sequelize);
+  }
   return { ok: true };
 }
 
-export { sequelize, Contact, UserActivity, initDb };
+export { sequelize, Contact, UserActivity, Call, CallTranscriptItem, SmsMessage, SmsOptOut, ScheduledCall, CallSummary, Persona, FollowUpPreference, PromoCode, MinutePool, MinutePoolMember, GumroadSaleClaim, initDb };
@@ -0,0 +1,103 @@
+// src/lib/dialers.mjs — places outbound calls for the callback scheduler
+// OUTBOUND_DIALER picks how: twilio (default) rings the user through the Twilio REST API and, once they
+// answer, fetches /outbound-call, which bridges the call over Media Streams like /incoming-call; sip rings
+// them the same way but hands the answered leg to OpenAI with a SIP INVITE (<Dial><Sip>) to
+// OUTBOUND_SIP_URI (default sip:<OPENAI_PROJECT_ID>@sip.api.openai.com;transport=tls), carrying X-User-Id
+// so /openai-sip treats it like any other call. Twilio reports the outcome to /outbound-call/status.
+import { formatE164 } from './sms.mjs';
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+// Public base URL Twilio calls back to: PUBLIC_BASE_URL, else Railway's public domain
+export function publicBaseUrl() {
+  const explicit = String(process.env.PUBLIC_BASE_URL || '').trim();
+  if (explicit) return explicit.replace(/\/+$/, '');
+  const railway = String(process.env.RAILWAY_PUBLIC_DOMAIN || '').trim();
+  return railway ? `https://${railway.replace(/^https?:\/\//, '').replace(/\/+$/, '')}` : '';
+}
+
+function outboundSipUri() {
+  const explicit = String(process.env.OUTBOUND_SIP_URI || '').trim();
+  if (explicit) return explicit.startsWith('sip:') ? explicit : `sip:${explicit}`;
+  const project = String(process.env.OPENAI_PROJECT_ID || '').trim();
+  return project ? `sip:${project}@sip.api.openai.com;transport=tls` : '';
+}
+
+function callerId() {
+  return formatE164(process.env.OUTBOUND_CALLER_ID || process.env.TWILIO_FROM || process.env.TWILIO_NUMBER || '');
+}
+
+// Twilio REST: POST /Calls.json with either `Url` (TwiML fetched on answer) or inline `Twiml`
+async function createTwilioCall({ to, scheduledCallId, answer }) {
+  const SID = process.env.TWILIO_ACCOUNT_SID;
+  const AUTH = process.env.TWILIO_AUTH_TOKEN;
+  const base = publicBaseUrl();
+  const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(SID)}/Calls.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': 'Basic ' + Buffer.from(`${SID}:${AUTH}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({
+      To: to,
+      From: callerId(),
+      ...answer,
+      Timeout: String(Number(process.env.OUTBOUND_RING_SECONDS || '30')),
+      StatusCallback: `${base}/outbound-call/status?id=${encodeURIComponent(scheduledCallId)}`,
+      StatusCallbackMethod: 'POST',
+    }),
+  });
+  if (!resp.ok) {
+    const t = await resp.text().catch(() => '');
+    return { ok: false, error: `${resp.status} ${t}`.trim().slice(0, 500) };
+  }
+  const json = await resp.json().catch(() => ({}));
+  return { ok: true, id: json.sid || null };
+}
+
+const twilioConfigured = () => !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && callerId() && publicBaseUrl());
+
+// Dialers: { configured() → boolean, dial({ to, userId, scheduledCallId }) → { ok, id?, error? } } with `to` in E.164
+const dialers = {
+  twilio: {
+    configured: twilioConfigured,
+    dial({ to, scheduledCallId }) {
+      const url = `${publicBaseUrl()}/outbound-call?id=${encodeURIComponent(scheduledCallId)}`;
+      return createTwilioCall({ to, scheduledCallId, answer: { Url: url, Method: 'POST' } });
+    },
+  },
+
+  sip: {
+    configured: () => twilioConfigured() && !!outboundSipUri(),
+    dial({ to, userId, scheduledCallId }) {
+      const uri = `${outboundSipUri()}?X-User-Id=${encodeURIComponent(userId)}&X-Scheduled-Call-Id=${encodeURIComponent(scheduledCallId)}`;
+      const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response><Dial><Sip>${escapeXml(uri)}</Sip></Dial></Response>`;
+      return createTwilioCall({ to, scheduledCallId, answer: { Twiml: twiml } });
+    },
+  },
+};
+
+export function dialerName() {
+  const name = String(process.env.OUTBOUND_DIALER || 'twilio').trim().toLowerCase();
+  return dialers[name] ? name : 'twilio';
+}
+
+// The configured dialer, or null when it lacks credentials / a public URL
+export function getDialer(name = dialerName()) {
+  const dialer = dialers[name];
+  if (!dialer?.configured()) return null;
+  return {
+    name,
+    async dial({ userId, scheduledCallId }) {
+      const to = formatE164(userId);
+      if (!to) return { ok: false, error: 'no number' };
+      try {
+        return await dialer.dial({ to, userId, scheduledCallId });
+      } catch (e) {
+        return { ok: false, error: e?.message || String(e) };
+      }
+    },
+  };
+}
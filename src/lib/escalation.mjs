@@ -0,0 +1,183 @@
+// src/lib/escalation.mjs — human escalation for live calls
+// `escalate_to_human` transfers the call when a target is configured (ESCALATION_SIP_URI or ESCALATION_PHONE):
+// SIP calls via the Realtime calls `refer` endpoint, Twilio calls by redirecting them through the Twilio REST
+// API to a <Dial>. Otherwise it falls back to a spoken crisis-line message plus an SMS. Call guards enforce the prompt's "2 tool failures or 3 no-input events" rule in code.
+import { tool } from '@openai/agents/realtime';
+import { recordActivity } from './license.mjs';
+import { realtimeCallUrl } from './openai.mjs';
+
+const DEFAULT_CRISIS_MESSAGE = 'If you are in danger or thinking about harming yourself, please call your local emergency number right away. In the US you can call or text 988 at any time.';
+
+export const HANDOFF_PHRASE = 'Thanks for your patience—I’m connecting you with a specialist now.';
+
+export function escalationTarget() {
+  const sip = String(process.env.ESCALATION_SIP_URI || '').trim();
+  if (sip) return sip.startsWith('sip:') ? sip : `sip:${sip}`;
+  const phone = String(process.env.ESCALATION_PHONE || '').replace(/[^\d+]/g, '');
+  if (phone) return `tel:${phone.startsWith('+') ? phone : `+${phone}`}`;
+  return '';
+}
+
+export function crisisMessage() {
+  return String(process.env.CRISIS_LINE_MESSAGE || '').trim() || DEFAULT_CRISIS_MESSAGE;
+}
+
+// POST /v1/realtime/calls/{id}/refer — asks the SIP side to transfer the caller to `targetUri`
+export async function referCall(callId, targetUri) {
+  const res = await fetch(realtimeCallUrl(callId, 'refer'), {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+      ...(process.env.OPENAI_PROJECT_ID ? { 'OpenAI-Project': process.env.OPENAI_PROJECT_ID } : {}),
+    },
+    body: JSON.stringify({ target_uri: targetUri }),
+  });
+  if (!res.ok) {
+    const t = await res.text().catch(() => '');
+    throw new Error(`SIP refer failed: ${res.status} ${t}`);
+  }
+  return true;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+// POST /Calls/{CallSid}.json with new TwiML — Twilio leaves the media stream and dials `targetUri` (sip: or tel:)
+export async function redirectTwilioCall(callSid, targetUri) {
+  const SID = process.env.TWILIO_ACCOUNT_SID;
+  const AUTH = process.env.TWILIO_AUTH_TOKEN;
+  if (!SID || !AUTH) throw new Error('Twilio redirect failed: TWILIO_ACCOUNT_SID/TWILIO_AUTH_TOKEN not set');
+  const dial = targetUri.startsWith('tel:')
+    ? `<Number>${escapeXml(targetUri.slice(4))}</Number>`
+    : `<Sip>${escapeXml(targetUri)}</Sip>`;
+  const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(SID)}/Calls/${encodeURIComponent(callSid)}.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': 'Basic ' + Buffer.from(`${SID}:${AUTH}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ Twiml: `<?xml version="1.0" encoding="UTF-8"?><Response><Dial>${dial}</Dial></Response>` }),
+  });
+  if (!res.ok) {
+    const t = await res.text().catch(() => '');
+    throw new Error(`Twilio redirect failed: ${res.status} ${t}`);
+  }
+  return true;
+}
+
+// Per-call escalation. `transport` is the call's ('sip' or 'twilio', whose callId is the CallSid), `sendSms(userId,
+// body, opts)` the caller's SMS sender, `log` a pino-style logger and `wrapExecute` lets call guards count tool failures. Returns { escalate, tool }; `escalate` runs at most
+// once per call and resolves to { ok, mode: 'transfer' | 'fallback', say, texted } — what the agent should say
+// and whether the crisis-line text went out.
+export function createEscalation({ callId, userId, transport = 'sip', sendSms, log, wrapExecute = (fn) => fn }) {
+  let result = null;
+
+  async function escalate(reason, source = 'agent') {
+    if (result) return result;
+    const target = escalationTarget();
+    const info = { call_id: callId, reason: reason || null, source };
+
+    if (target) {
+      try {
+        if (transport === 'twilio') await redirectTwilioCall(callId, target);
+        else await referCall(callId, target);
+        log?.info?.({ callId, userId, target, reason, source }, 'Escalation: call transferred');
+        await recordActivity(userId, { actionType: 'escalation', outcome: 'transfer', info: { ...info, target } }).catch(() => {});
+        result = { ok: true, mode: 'transfer', say: HANDOFF_PHRASE };
+        return result;
+      } catch (e) {
+        log?.warn?.({ callId, userId, target, err: e?.message || String(e) }, 'Escalation: transfer failed, using fallback');
+        info.transfer_error = e?.message || String(e);
+      }
+    }
+
+    const message = crisisMessage();
+    let texted = false;
+    if (userId && userId !== 'anonymous') {
+      try { texted = !!await sendSms?.(userId, message, { template: 'crisis-line', callId }); } catch {}
+    }
+    log?.info?.({ callId, userId, reason, source }, 'Escalation: crisis-line fallback');
+    await recordActivity(userId, { actionType: 'escalation', outcome: 'fallback', info }).catch(() => {});
+    result = { ok: true, mode: 'fallback', say: message, texted };
+    return result;
+  }
+
+  const escalateTool = tool({
+    name: 'escalate_to_human',
+    description: 'Connect the caller with a human specialist. Use immediately for self-harm, threats or harassment, or when the caller asks for a human.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Short reason for the escalation' },
+      },
+      required: ['reason'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ reason }) => {
+      const r = await escalate(reason, 'agent');
+      if (r.mode === 'transfer') return `Transfer started. Say only: "${r.say}"`;
+      const textNote = r.texted ? ' and let them know you also texted it to them' : '';
+      return `No specialist line is available right now. Calmly tell the caller: "${r.say}"${textNote}. Stay with them.`;
+    }),
+  });
+
+  return { escalate, tool: escalateTool };
+}
+
+// Counts tool failures and consecutive no-input timeouts; calls `onTrip(reason)` once a limit is hit
+export function createCallGuards({ onTrip, onNoInput, maxToolFailures, maxNoInput, noInputMs } = {}) {
+  const MAX_TOOL_FAILURES = Number(maxToolFailures ?? process.env.ESCALATE_AFTER_TOOL_FAILURES ?? '2') || 2;
+  const MAX_NO_INPUT = Number(maxNoInput ?? process.env.ESCALATE_AFTER_NO_INPUT ?? '3') || 3;
+  const NO_INPUT_MS = Number(noInputMs ?? process.env.NO_INPUT_TIMEOUT_MS ?? '10000') || 10000;
+  let toolFailures = 0;
+  let noInput = 0;
+  let timer = null;
+  let tripped = false;
+
+  function trip(reason) {
+    if (tripped) return;
+    tripped = true;
+    stop();
+    onTrip?.(reason);
+  }
+
+  function stop() {
+    if (timer) { clearTimeout(timer); timer = null; }
+  }
+
+  return {
+    // Wrap a tool execute function: throws and `{ ok: false }` results count as failures
+    wrap(execute) {
+      return async (...args) => {
+        try {
+          const out = await execute(...args);
+          if (out && typeof out === 'object' && out.ok === false) toolFailures += 1;
+          if (toolFailures >= MAX_TOOL_FAILURES) trip('tool_failures');
+          return out;
+        } catch (e) {
+          toolFailures += 1;
+          if (toolFailures >= MAX_TOOL_FAILURES) trip('tool_failures');
+          throw e;
+        }
+      };
+    },
+    // Agent finished speaking: start waiting for the caller
+    agentTurnDone() {
+      if (tripped) return;
+      stop();
+      timer = setTimeout(() => {
+        timer = null;
+        noInput += 1;
+        if (noInput >= MAX_NO_INPUT) trip('no_input');
+        else onNoInput?.(noInput);
+      }, NO_INPUT_MS);
+    },
+    callerSpoke() {
+      noInput = 0;
+      stop();
+    },
+    stop,
+  };
+}
@@ -0,0 +1,139 @@
+// src/lib/follow-ups.mjs — post-call recap: a short text with the next step the caller agreed to
+// Off unless the contact opted in (the agent's `set_call_recaps` tool or POST /admin/contacts/:phone/follow-ups);
+// CALL_RECAPS_DEFAULT=on flips the default for contacts who never chose. The next step comes from the same
+// post-call summary caller memory uses (src/lib/memory.mjs). Recaps go on WhatsApp when the SMS provider can
+// deliver it, the contact is a WhatsApp contact (its wid ends in @c.us) and either asked for WhatsApp (the agent's
+// tool or the admin route) or has had a WhatsApp message from us before (SmsMessages); otherwise as an SMS. A
+// WhatsApp recap that fails is sent as an SMS. The usual SMS policy applies (STOP, cooldown, quiet hours).
+import { tool } from '@openai/agents/realtime';
+import { initDb } from './db.mjs';
+import { normalizeDigits, findContactByPhone } from './contacts.mjs';
+import { recordActivity } from './license.mjs';
+import { sendSms as sendProviderSms, providerSupportsWhatsApp } from './sms.mjs';
+import { renderTemplate } from './sms-templates.mjs';
+
+const CHANNELS = new Set(['auto', 'sms', 'whatsapp']);
+
+// user -> { enabled, channel } (used when no DB is configured)
+const memoryPreferences = new Map();
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+function defaultEnabled() {
+  return /^(1|true|on|yes)$/i.test(String(process.env.CALL_RECAPS_DEFAULT || 'off').trim());
+}
+
+// { enabled, channel, chosen } — `chosen` is false while the contact is on the default
+export async function getFollowUpPreference(userId) {
+  const user = normalizeDigits(userId);
+  const fallback = { enabled: defaultEnabled(), channel: 'auto', chosen: false };
+  if (!user) return fallback;
+  try {
+    const { FollowUpPreference } = await models();
+    if (FollowUpPreference) {
+      const row = await FollowUpPreference.findOne({ where: { user_id: user } });
+      return row ? { enabled: !!row.enabled, channel: row.channel || 'auto', chosen: true } : fallback;
+    }
+  } catch (e) {
+    console.warn('[FollowUps] Preference lookup failed', e?.message || e);
+  }
+  const saved = memoryPreferences.get(user);
+  return saved ? { ...saved, chosen: true } : fallback;
+}
+
+// `source` is agent | admin
+export async function setFollowUpPreference(userId, { enabled, channel = 'auto', source = null }) {
+  const user = normalizeDigits(userId);
+  if (!user || typeof enabled !== 'boolean' || !CHANNELS.has(channel)) return false;
+  memoryPreferences.set(user, { enabled, channel });
+  try {
+    const { FollowUpPreference } = await models();
+    if (FollowUpPreference) {
+      await FollowUpPreference.upsert({ user_id: user, enabled, channel, source }, { conflictFields: ['user_id'] });
+    }
+  } catch (e) {
+    console.warn('[FollowUps] Preference update failed', e?.message || e);
+    return false;
+  }
+  recordActivity(user, { actionType: 'follow_ups', outcome: enabled ? 'opt_in' : 'opt_out', info: { channel, source } }).catch(() => {});
+  return true;
+}
+
+// Contacts aibot knows from WhatsApp have a `<digits>@c.us` wid (as do the ones this service creates)
+async function isWhatsAppContact(userId) {
+  try {
+    const { contact } = await findContactByPhone(userId);
+    return !contact || String(contact.wid || '').endsWith('@c.us');
+  } catch (e) {
+    console.warn('[FollowUps] Contact lookup failed', e?.message || e);
+    return false;
+  }
+}
+
+// Most contacts have that wid, so in auto mode only a message that actually went out on WhatsApp shows they use it
+async function reachedOnWhatsApp(userId) {
+  try {
+    const { SmsMessage } = await models();
+    if (!SmsMessage) return false;
+    const { Op } = await import('sequelize');
+    const row = await SmsMessage.findOne({
+      where: { to: `+${normalizeDigits(userId)}`, channel: 'whatsapp', status: { [Op.in]: ['sent', 'delivered'] } },
+    });
+    return !!row;
+  } catch (e) {
+    console.warn('[FollowUps] WhatsApp history lookup failed', e?.message || e);
+    return false;
+  }
+}
+
+// Where a recap for this caller goes: 'sms' | 'whatsapp', or null when they haven't opted in
+export async function recapChannel(userId) {
+  if (!normalizeDigits(userId) || userId === 'anonymous') return null;
+  const pref = await getFollowUpPreference(userId);
+  if (!pref.enabled) return null;
+  if (!providerSupportsWhatsApp() || pref.channel === 'sms' || !await isWhatsAppContact(userId)) return 'sms';
+  if (pref.channel === 'whatsapp') return 'whatsapp';
+  return await reachedOnWhatsApp(userId) ? 'whatsapp' : 'sms';
+}
+
+// Sends the recap through `sendSms(uid, body, opts)` (default: the configured provider), as an SMS when
+// WhatsApp fails; resolves to true when the provider accepted it
+export async function sendCallRecap({ callId, userId, nextStep, channel, sendSms = sendProviderSms }) {
+  if (!nextStep || !channel) return false;
+  const rendered = renderTemplate('call-recap', { next_step: nextStep }, { to: userId });
+  if (!rendered) return false;
+  const opts = { template: 'call-recap', locale: rendered.locale, callId };
+  if (await sendSms(userId, rendered.text, { ...opts, channel })) return true;
+  return channel === 'whatsapp' ? sendSms(userId, rendered.text, { ...opts, channel: 'sms' }) : false;
+}
+
+// Agent tool: the caller asks for (or to stop) a text recap after each call
+export function createFollowUpTool({ callId, userId, log = console, wrapExecute = (fn) => fn }) {
+  return tool({
+    name: 'set_call_recaps',
+    description: 'Turn on or off a short text the caller receives after each call with the next step you agreed on. Use when the caller asks for it, or accepts your offer to text them the next step. Pass channel when they say how they want it: WhatsApp or a regular text message.',
+    parameters: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', description: 'true to send recaps, false to stop them' },
+        channel: { type: ['string', 'null'], enum: ['whatsapp', 'sms', null], description: '\'whatsapp\' or \'sms\' when the caller asked for WhatsApp or a regular text; null to keep what they had' },
+      },
+      required: ['enabled', 'channel'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ enabled, channel: asked }) => {
+      if (!normalizeDigits(userId) || userId === 'anonymous') return 'The caller\'s number is hidden, so we cannot text them.';
+      const channel = CHANNELS.has(asked) ? asked : (await getFollowUpPreference(userId)).channel;
+      const ok = await setFollowUpPreference(userId, { enabled, channel, source: 'agent' });
+      if (!ok) return { ok: false, error: 'Could not save the preference. Apologize briefly.' };
+      log.info({ callId, userId, enabled, channel }, 'Call recaps preference set');
+      return enabled
+        ? 'Recaps are on: after this call the caller gets a text with the next step. Confirm briefly.'
+        : 'Recaps are off. Confirm briefly.';
+    }),
+  });
+}
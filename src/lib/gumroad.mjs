@@ -0,0 +1,104 @@
+// src/lib/gumroad.mjs — Gumroad license keys: verify a key and credit what it bought
+// Used by POST /billing/license/verify and the agent's `redeem_license` tool. A sale is credited once, to
+// one contact: the first to claim it (GumroadSaleClaims, unique on sale_id), by webhook or by redeeming its
+// license key. A key credits with the sale's idempotency keys (`gumroad:sale:<sale_id>:*`) and writes the same
+// `sale` ledger row as the webhook; the claim records what was credited, so a refund or dispute ping claws it
+// back from whoever redeemed it.
+import { initDb } from './db.mjs';
+import { normalizeDigits } from './contacts.mjs';
+import { grantPro, addPaidSeconds, recordActivity } from './license.mjs';
+import { resolvePackForSale, unlimitedExpiryFor } from './catalog.mjs';
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+// Binds a sale to a contact; the unique sale_id is what concurrent deliveries race on. Resolves to { ok: true }
+// when this call inserted the claim, or the contact's earlier claim was never marked credited (that delivery
+// stopped partway; the grants' idempotency keys make finishing it safe), and otherwise to { ok: false, userId }
+// with the contact it belongs to. Without a DB there is nothing to bind.
+export async function claimSale({ saleId, userId, source, subscriptionId = null }) {
+  const { GumroadSaleClaim } = await models();
+  if (!GumroadSaleClaim || !saleId) return { ok: true };
+  const user = normalizeDigits(userId) || String(userId);
+  const [claim, created] = await GumroadSaleClaim.findOrCreate({
+    where: { sale_id: String(saleId) },
+    defaults: { sale_id: String(saleId), subscription_id: subscriptionId ? String(subscriptionId) : null, user_id: user, source },
+  });
+  return created || (claim.user_id === user && !claim.credited_at) ? { ok: true } : { ok: false, userId: claim.user_id };
+}
+
+// Records what a claimed sale credited (seconds, unlimited, expires_at, ...), for refunds, disputes and cancellations
+export async function markSaleCredited(saleId, details) {
+  const { GumroadSaleClaim } = await models();
+  if (!GumroadSaleClaim || !saleId) return;
+  await GumroadSaleClaim.update({ credited_at: new Date(), details }, { where: { sale_id: String(saleId) } });
+}
+
+// The credited claim a refund, dispute or cancellation is about: by sale id, else the subscription's latest sale
+export async function findCreditedSale({ saleId, subscriptionId }) {
+  const { GumroadSaleClaim } = await models();
+  if (!GumroadSaleClaim) return null;
+  const { Op } = await import('sequelize');
+  const credited = { credited_at: { [Op.ne]: null } };
+  if (saleId) {
+    const claim = await GumroadSaleClaim.findOne({ where: { sale_id: String(saleId), ...credited } });
+    if (claim) return claim;
+  }
+  if (subscriptionId) {
+    return await GumroadSaleClaim.findOne({ where: { subscription_id: String(subscriptionId), ...credited }, order: [['id', 'DESC']] });
+  }
+  return null;
+}
+
+// Refunded, charged back or (still) disputed purchases credit nothing
+function reversed(purchase) {
+  return !!(purchase.refunded || purchase.chargebacked || (purchase.disputed && !purchase.dispute_won));
+}
+
+// Resolves to { ok: true, purchase, pack, seconds } or { ok: false, reason: 'not-configured' | 'invalid' |
+// 'refunded' | 'already-redeemed' | 'no-db', details? }; throws when Gumroad can't be reached
+export async function redeemLicense(userId, licenseKey) {
+  const product = process.env.GUMROAD_PRODUCT_PERMALINK;
+  if (!product) return { ok: false, reason: 'not-configured' };
+  const res = await fetch('https://api.gumroad.com/v2/licenses/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ product_permalink: product, license_key: licenseKey }),
+  });
+  const json = await res.json();
+  if (!json.success) return { ok: false, reason: 'invalid', details: json };
+  const purchase = json.purchase || {};
+  if (reversed(purchase)) return { ok: false, reason: 'refunded' };
+  const { GumroadSaleClaim } = await models();
+  if (!GumroadSaleClaim) return { ok: false, reason: 'no-db' };
+
+  // Already credited (by the webhook or an earlier redemption), to this contact or another
+  const saleId = String(purchase.sale_id || purchase.id || `license:${licenseKey}`);
+  const claim = await claimSale({ saleId, userId, source: 'license', subscriptionId: purchase.subscription_id });
+  if (!claim.ok) return { ok: false, reason: 'already-redeemed' };
+
+  const key = `gumroad:sale:${saleId}`;
+  const pack = resolvePackForSale({ ...purchase, product_permalink: product });
+  const expiresAt = pack?.unlimited ? unlimitedExpiryFor(pack) : null;
+  if (pack?.unlimited) {
+    await grantPro(userId, licenseKey, { idempotencyKey: `${key}:pro`, expiresAt, info: { sale_id: saleId, pack: pack.id } });
+  }
+  const seconds = pack ? pack.seconds : Number(process.env.PAID_SECONDS_PER_PURCHASE || '1800');
+  if (seconds > 0) await addPaidSeconds(userId, seconds, { idempotencyKey: `${key}:seconds`, info: { sale_id: saleId } });
+  const details = {
+    sale_id: saleId,
+    subscription_id: purchase.subscription_id ? String(purchase.subscription_id) : null,
+    product_permalink: product,
+    pack: pack?.id || null,
+    seconds,
+    unlimited: !!pack?.unlimited,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    source: 'license',
+  };
+  await recordActivity(userId, { actionType: 'gumroad', outcome: 'sale', idempotencyKey: key, info: details });
+  await markSaleCredited(saleId, details);
+  return { ok: true, purchase, pack, seconds };
+}
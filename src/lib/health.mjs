@@ -0,0 +1,58 @@
+// src/lib/health.mjs — checks behind GET /healthz and /readyz (src/plugins/health.mjs)
+// checkConfig() never throws: errors mean calls cannot be handled correctly (the instance is not ready),
+// warnings mean it runs with something important turned off. scripts/verify.mjs fails a deploy on either.
+import { selectPersona } from './personas.mjs';
+
+// Env vars holding JSON; a typo silently falls back to defaults at runtime, so it's an error here
+const JSON_ENV = [
+  'GUMROAD_CATALOG', 'SMS_TEMPLATES', 'SMS_LOCALE_BY_PREFIX', 'SMS_TIMEZONE_BY_PREFIX',
+  'TWILIO_GEO_FROM_MAP', 'PERSONA_BY_CALLER', 'PERSONA_BY_DIALED',
+];
+
+const DB_TIMEOUT_MS = 3000;
+
+export async function checkConfig() {
+  const errors = [];
+  const warnings = [];
+  if (!process.env.OPENAI_API_KEY) errors.push('OPENAI_API_KEY is not set');
+  for (const name of JSON_ENV) {
+    const raw = process.env[name];
+    if (!raw) continue;
+    try { JSON.parse(raw); } catch { errors.push(`${name} is not valid JSON`); }
+  }
+  try {
+    await selectPersona();
+  } catch (e) {
+    errors.push(e?.message || String(e));
+  }
+  if (!process.env.OPENAI_WEBHOOK_SECRET) {
+    if (process.env.OPENAI_WEBHOOK_ALLOW_UNSIGNED === 'true') warnings.push('OPENAI_WEBHOOK_SECRET is not set; /openai-sip accepts unsigned webhooks');
+    else errors.push('OPENAI_WEBHOOK_SECRET is not set; /openai-sip rejects all webhooks');
+  }
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    if (process.env.TWILIO_WEBHOOK_ALLOW_UNSIGNED === 'true') warnings.push('TWILIO_AUTH_TOKEN is not set; Twilio webhooks are accepted unsigned');
+    else warnings.push('TWILIO_AUTH_TOKEN is not set; Twilio webhooks (/incoming-call, /outbound-call, /sms/inbound) are refused');
+  }
+  if (!process.env.ADMIN_TOKEN) warnings.push('ADMIN_TOKEN is not set; admin routes are disabled');
+  if (!process.env.GUMROAD_SELLER_ID) warnings.push('GUMROAD_SELLER_ID is not set; Gumroad webhooks are refused');
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+// { status: 'ok' | 'down' | 'not-configured', error? }
+export async function checkDb() {
+  const db = await import('./db.mjs');
+  try { await db.initDb(); } catch {}
+  if (!db.sequelize) return { status: 'not-configured' };
+  let timer;
+  try {
+    await Promise.race([
+      db.sequelize.authenticate(),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timed out')), DB_TIMEOUT_MS); }),
+    ]);
+    return { status: 'ok' };
+  } catch (e) {
+    return { status: 'down', error: e?.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
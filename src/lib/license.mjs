@@ -1,6 +1,8 @@
 // src/lib/license.mjs — DB-backed entitlements
+import { randomUUID } from 'node:crypto';
 import { Contact, UserActivity, initDb, sequelize } from './db.mjs';
 import { findContactByPhone, normalizeDigits } from './contacts.mjs';
+import { poolFor } from './pools.mjs';
 
 const RBT_TO_SECONDS = Number(process.env.RBT_TO_SECONDS || '3') || 3; // 1 RBT = 60 seconds
 const UNLIMITED_SECONDS = Number(process.env.UNLIMITED_SECONDS || String(10 * 365 * 24 * 60 * 60)); // 10 years
@@ -8,121 +10,423 @@ const TRIAL_INIT_SECONDS = Number(process.env.TRIAL_INIT_SECONDS || process.env.
 
 function id(u) { return String(u || ''); }
 
-async function getOrCreateContactForUser(userId) {
+// Inside a transaction, pass it: a query outside it would wait for a second pool connection while holding the first
+async function getOrCreateContactForUser(userId, { transaction } = {}) {
   await initDb();
-  const res = await findContactByPhone(userId);
+  const res = await findContactByPhone(userId, { transaction });
   if (res?.contact) return res.contact;
   // Create a minimal contact using normalized phone digits
   const digits = normalizeDigits(userId);
   const wid = `${digits}@c.us`;
-  return await Contact.create({ wid, number: digits });
+  const [contact] = await Contact.findOrCreate({ where: { wid }, defaults: { wid, number: digits }, transaction });
+  return contact;
 }
 
-// Non-persistent view of remaining seconds based on DB state
+// Single path for every Contact.rbt change. Locks the contact row, lets `plan` decide the change
+// from the locked state, applies it and writes the UserActivities row in the same transaction.
+// `plan(contact)` returns { rbtChange, outcome, info } or { skip: reason }.
+// If `idempotencyKey` was already recorded for this contact, nothing is applied, unless `amend(prior)` says that
+// row is still open: then `plan(contact, { transaction, prior })` decides a further change, which is added to
+// that row in place (a running call's single row). Pass `transaction` to make the change part of a larger one
+// (e.g. both sides of a transfer).
+export async function applyLedgerChange(userId, { actionType, idempotencyKey = null, plan, amend = null, transaction: outer = null }) {
+  const c = await getOrCreateContactForUser(userId, { transaction: outer });
+  if (!c) return { ok: false, reason: 'no-contact' };
+  const apply = async (transaction) => {
+    const locked = await Contact.findOne({ where: { wid: c.wid }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked) return { ok: false, reason: 'no-contact' };
+
+    let prior = null;
+    if (idempotencyKey) {
+      prior = await UserActivity.findOne({
+        where: { contactId: locked.wid, contextual_info: { idempotency_key: String(idempotencyKey) } },
+        transaction,
+      });
+      if (prior && !amend?.(prior)) return { ok: true, applied: false, duplicate: true, rbtChange: prior.rbt_change, activity: prior };
+    }
+
+    const decision = await plan(locked, { transaction, prior });
+    if (!decision || decision.skip) return { ok: false, applied: false, reason: decision?.skip || 'skipped' };
+
+    const before = Math.max(0, Number(locked.rbt ?? 0) || 0);
+    const after = Math.max(0, before + (Number(decision.rbtChange) || 0));
+    const change = after - before;
+    if (change !== 0) {
+      await Contact.update({ rbt: after }, { where: { wid: locked.wid }, transaction });
+    }
+    const info = {
+      ...(decision.info || {}),
+      ...(idempotencyKey ? { idempotency_key: String(idempotencyKey) } : {}),
+    };
+    const activity = prior
+      ? await prior.update({ action_outcome: decision.outcome, rbt_change: prior.rbt_change + change, contextual_info: info }, { transaction })
+      : await UserActivity.create({
+        contactId: locked.wid,
+        action_type: actionType,
+        action_outcome: decision.outcome,
+        rbt_change: change,
+        contextual_info: info,
+      }, { transaction });
+    return { ok: true, applied: true, rbtBefore: before, rbtAfter: after, rbtChange: change, contact: locked, activity };
+  };
+  return outer ? await apply(outer) : await sequelize.transaction(apply);
+}
+
+// Latest grant_pro/revoke_pro ledger row: decides whether is_unlimited is time-limited
+async function latestLicenseEntry(wid, transaction) {
+  const { Op } = await import('sequelize');
+  return await UserActivity?.findOne?.({
+    where: { contactId: wid, action_type: 'license', action_outcome: { [Op.in]: ['grant_pro', 'revoke_pro'] } },
+    order: [['id', 'DESC']],
+    transaction,
+  });
+}
+
+function grantExpiry(entry) {
+  if (entry?.action_outcome !== 'grant_pro') return null;
+  const exp = entry.contextual_info?.expires_at;
+  return exp ? new Date(exp) : null;
+}
+
+// Locks contact rows in a fixed order, so two changes touching the same pair of contacts can't deadlock
+async function lockContacts(wids, transaction) {
+  for (const wid of [...new Set(wids)].sort()) {
+    await Contact.findOne({ where: { wid }, transaction, lock: transaction.LOCK.UPDATE });
+  }
+}
+
+// View of remaining seconds based on DB state. An unlimited grant past its expires_at is revoked here.
+// A pool member sees the pool owner's balance (src/lib/pools.mjs).
 export async function ensureEntitlement(userId) {
+  const pool = await poolFor(userId);
+  if (pool) return poolEntitlement(pool);
   const c = await getOrCreateContactForUser(userId);
   if (!c) return { trialLeft: 0, paidLeft: 0 };
-  if (c.is_unlimited) return { trialLeft: 0, paidLeft: UNLIMITED_SECONDS };
+  if (c.is_unlimited) {
+    const grant = await latestLicenseEntry(c.wid);
+    const exp = grantExpiry(grant);
+    if (!exp || exp.getTime() > Date.now()) {
+      return { trialLeft: 0, paidLeft: UNLIMITED_SECONDS, unlimitedUntil: exp ? exp.toISOString() : null };
+    }
+    await revokePro(userId, { idempotencyKey: `license:expired:${grant.id}`, info: { reason: 'expired', expires_at: exp.toISOString() } });
+  }
   const rbt = Math.max(0, Number(c.rbt ?? 0) || 0);
   const paidLeft = rbt * RBT_TO_SECONDS;
   return { trialLeft: 0, paidLeft };
 }
 
+// The owner's balance, capped by what's left of the member's monthly limit (which also caps unlimited pools)
+async function poolEntitlement(pool) {
+  const view = { ...await ensureEntitlement(pool.owner), pool: { id: pool.poolId, owner: pool.owner } };
+  if (pool.monthlyLimitSeconds == null) return view;
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const monthlyLeft = Math.max(0, pool.monthlyLimitSeconds - await secondsUsedSince(pool.member, monthStart, { pooledOnly: true }));
+  const { unlimitedUntil, ...limited } = view; // a member with a limit isn't unlimited
+  return { ...limited, paidLeft: Math.min(view.paidLeft || 0, monthlyLeft), monthlyLeft };
+}
+
 export async function totalSecondsLeft(userId) {
   const e = await ensureEntitlement(userId);
   return Math.max(0, (e.trialLeft || 0) + (e.paidLeft || 0));
 }
 
-// Deducts usage from DB (unlimited → no-op). For non-unlimited, decrements rbt by ceil(seconds/RBT_TO_SECONDS)
+// A `voice_call` ledger change for usage: on the caller's balance, or for a pool member on the owner's (with
+// `member` and `pool_id` in its info) plus a `pooled` row without a balance change under the member, which
+// their daily cap and monthly limit count. `usage(c, { transaction, pool, prior })` decides the charge from the
+// locked billed contact: { tokens, info }, or null when there is nothing to record; `info.tokens` may give the
+// row's total when it is amended (see `amend` in applyLedgerChange). `pool` overrides poolFor(userId) (null: the
+// caller's own balance). Resolves to the balance change's result.
+async function applyUsage(userId, { idempotencyKey, outcome, usage, amend = null, pool: billedPool }) {
+  const pool = billedPool === undefined ? await poolFor(userId) : billedPool;
+  let charged = null;
+  const planFor = (extra) => async (c, { transaction, prior }) => {
+    const due = await usage(c, { transaction, pool, prior });
+    if (!due) return { skip: 'zero' };
+    charged = due;
+    const info = { ...due.info, ...extra };
+    if (c.is_unlimited) return { rbtChange: 0, outcome: 'unlimited', info };
+    return { rbtChange: -due.tokens, outcome, info: { tokens: due.tokens, ...info } };
+  };
+  if (!pool) return applyLedgerChange(userId, { actionType: 'voice_call', idempotencyKey, amend, plan: planFor({}) });
+  const [owner, member] = await Promise.all([getOrCreateContactForUser(pool.owner), getOrCreateContactForUser(userId)]);
+  return await sequelize.transaction(async (transaction) => {
+    await lockContacts([owner.wid, member.wid], transaction);
+    const res = await applyLedgerChange(pool.owner, {
+      actionType: 'voice_call',
+      idempotencyKey,
+      amend,
+      transaction,
+      plan: planFor({ member: pool.member, pool_id: pool.poolId }),
+    });
+    if (res.applied) {
+      await applyLedgerChange(userId, {
+        actionType: 'voice_call',
+        idempotencyKey,
+        amend,
+        transaction,
+        plan: () => ({ rbtChange: 0, outcome: 'pooled', info: { tokens: charged.tokens, ...charged.info, pool_id: pool.poolId, billed_to: pool.owner } }),
+      });
+    }
+    return res;
+  });
+}
+
+// Deducts usage from DB (unlimited → logged no-op). For non-unlimited, decrements rbt by ceil(seconds/RBT_TO_SECONDS), floored at 0
 export async function deductSeconds(userId, seconds, opts = {}) {
   const reason = opts.reason || 'usage';
-  const c = await getOrCreateContactForUser(userId);
-  if (!c) return { trialLeft: 0, paidLeft: 0 };
-  if (c.is_unlimited) {
-    // Log activity but don't decrement
-    try {
-      await UserActivity?.create?.({
-        contactId: c.wid,
-        action_type: 'voice_call',
-        action_outcome: 'unlimited',
-        rbt_change: 0,
-        contextual_info: { seconds: Math.max(0, Number(seconds)||0), reason }
-      });
-    } catch {}
-    return ensureEntitlement(userId);
-  }
   const secs = Math.max(0, Number(seconds) || 0);
   const tokens = Math.ceil(secs / RBT_TO_SECONDS);
-  if (tokens <= 0) return ensureEntitlement(userId);
-  const before = Math.max(0, Number(c.rbt ?? 0) || 0);
-  const after = Math.max(0, before - tokens);
   try {
-    await Contact.update({ rbt: after }, { where: { wid: c.wid } });
-    await UserActivity?.create?.({
-      contactId: c.wid,
-      action_type: 'voice_call',
-      action_outcome: 'deduct',
-      rbt_change: -tokens, // negative tokens spent
-      contextual_info: { seconds: secs, tokens, reason }
+    const res = await applyUsage(userId, {
+      idempotencyKey: opts.idempotencyKey,
+      outcome: 'deduct',
+      usage: () => (tokens > 0 ? { tokens, info: { seconds: secs, reason } } : null),
     });
-    console.log('[Billing][DB] Deduct', { wid: c.wid, seconds: secs, tokens, rbt_before: before, rbt_after: after });
+    if (res.applied && res.rbtChange) {
+      console.log('[Billing][DB] Deduct', { wid: res.contact.wid, seconds: secs, tokens, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
+    }
   } catch (e) {
     console.warn('[Billing][DB] Deduct failed', e?.message || e);
   }
   return ensureEntitlement(userId);
 }
 
+// Charges a call up to `seconds` (its billable time so far) on one ledger row per call, keyed `call:<id>`: each
+// charge while the call runs (`final: false`) adds what the row doesn't have yet to it in place, so other live
+// calls on the same balance (or pool) see it and a crash loses at most one check; the charge when the call ends
+// (`final: true`) settles the row, and any later charge for the call is a duplicate. The row has the call's
+// seconds and tokens (rounded up to whole RBT once overall); the balance is floored at 0. A call stays billed
+// where its row is, even if the caller joins or leaves a pool meanwhile. Running calls of unlimited callers get
+// no row unless a pool's monthly limit counts them.
+export async function chargeCall(userId, { callId, seconds, startedAt, endedAt, final = true } = {}) {
+  const secs = Math.max(0, Math.round(Number(seconds) || 0));
+  const idempotencyKey = callId ? `call:${callId}` : null;
+  const usage = async (c, { pool, prior }) => {
+    if (!prior && (!secs || (!final && c.is_unlimited && pool?.monthlyLimitSeconds == null))) return null;
+    const had = { seconds: Number(prior?.contextual_info?.seconds) || 0, tokens: Number(prior?.contextual_info?.tokens) || 0 };
+    const tokens = c.is_unlimited ? 0 : Math.max(0, Math.ceil(secs / RBT_TO_SECONDS) - had.tokens);
+    if (prior && !final && secs <= had.seconds && !tokens) return null;
+    return {
+      tokens,
+      info: {
+        seconds: Math.max(secs, had.seconds),
+        tokens: had.tokens + tokens,
+        reason: 'voice_call',
+        call_id: callId,
+        ...(final ? {} : { interim: true }),
+        ...(startedAt ? { started_at: new Date(startedAt).toISOString() } : {}),
+        ...(endedAt ? { ended_at: new Date(endedAt).toISOString() } : {}),
+      },
+    };
+  };
+  try {
+    const res = await applyUsage(userId, {
+      idempotencyKey,
+      outcome: 'call',
+      usage,
+      amend: (row) => !!row.contextual_info?.interim,
+      pool: await callPool(userId, idempotencyKey),
+    });
+    if (res.applied && final) {
+      console.log('[Billing][DB] Call charged', { wid: res.contact.wid, callId, seconds: secs, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
+    }
+    // Nothing to add to the call's row is not a failure
+    return { ok: !!res.ok || res.reason === 'zero', duplicate: !!res.duplicate, rbtChange: res.rbtChange || 0 };
+  } catch (e) {
+    console.warn('[Billing][DB] Call charge failed', e?.message || e);
+    return { ok: false };
+  }
+}
+
+// Where a call's row is billed: the pool it started on (the caller's `pooled` copy names it), their own balance,
+// or, before its first charge, wherever the caller is billed now
+async function callPool(userId, idempotencyKey) {
+  if (!idempotencyKey) return undefined;
+  const caller = await getOrCreateContactForUser(userId);
+  const row = await UserActivity.findOne({ where: { contactId: caller.wid, contextual_info: { idempotency_key: idempotencyKey } } });
+  if (!row) return undefined;
+  if (row.action_outcome !== 'pooled') return null;
+  const info = row.contextual_info;
+  return { poolId: info.pool_id, owner: info.billed_to, member: normalizeDigits(userId), monthlyLimitSeconds: null };
+}
+
 // Converts seconds to tokens and increments Contact.rbt
-export async function addPaidSeconds(userId, seconds) {
-  const c = await getOrCreateContactForUser(userId);
-  if (!c) return { ok: false };
+export async function addPaidSeconds(userId, seconds, opts = {}) {
   const secs = Math.max(0, Number(seconds) || 0);
   const tokens = Math.ceil(secs / RBT_TO_SECONDS);
   if (tokens <= 0) return { ok: true };
-  const before = Math.max(0, Number(c.rbt ?? 0) || 0);
-  const after = before + tokens;
   try {
-    await Contact.update({ rbt: after }, { where: { wid: c.wid } });
-    await UserActivity?.create?.({
-      contactId: c.wid,
-      action_type: 'topup',
-      action_outcome: 'seconds_to_rbt',
-      rbt_change: tokens,
-      contextual_info: { seconds: secs, tokens }
+    const res = await applyLedgerChange(userId, {
+      actionType: 'topup',
+      idempotencyKey: opts.idempotencyKey,
+      plan: () => ({ rbtChange: tokens, outcome: 'seconds_to_rbt', info: { seconds: secs, tokens, ...(opts.info || {}) } }),
     });
-    console.log('[Billing][DB] Top-up', { wid: c.wid, seconds: secs, tokens, rbt_before: before, rbt_after: after });
+    if (res.applied) {
+      console.log('[Billing][DB] Top-up', { wid: res.contact.wid, seconds: secs, tokens, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
+    }
+    return { ok: !!res.ok, duplicate: !!res.duplicate };
   } catch (e) {
     console.warn('[Billing][DB] Top-up failed', e?.message || e);
+    return { ok: false };
   }
-  return { ok: true };
 }
 
-// Set unlimited and store license_key
-export async function grantPro(userId, licenseKey) {
-  const c = await getOrCreateContactForUser(userId);
-  if (!c) return false;
+// Removes seconds regardless of is_unlimited (refunds, chargebacks); floored at 0 RBT
+export async function removePaidSeconds(userId, seconds, opts = {}) {
+  const secs = Math.max(0, Number(seconds) || 0);
+  const tokens = Math.ceil(secs / RBT_TO_SECONDS);
+  if (tokens <= 0) return { ok: true };
   try {
-    await Contact.update({ is_unlimited: true, license_key: licenseKey || c.license_key }, { where: { wid: c.wid } });
-    await UserActivity?.create?.({
-      contactId: c.wid,
-      action_type: 'license',
-      action_outcome: 'grant_pro',
-      rbt_change: 0,
-      contextual_info: { license_key: licenseKey || null }
+    const res = await applyLedgerChange(userId, {
+      actionType: opts.actionType || 'clawback',
+      idempotencyKey: opts.idempotencyKey,
+      plan: () => ({ rbtChange: -tokens, outcome: opts.outcome || 'rbt_removed', info: { seconds: secs, tokens, ...(opts.info || {}) } }),
+    });
+    if (res.applied) {
+      console.log('[Billing][DB] Clawback', { wid: res.contact.wid, seconds: secs, tokens, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
+    }
+    return { ok: !!res.ok, duplicate: !!res.duplicate };
+  } catch (e) {
+    console.warn('[Billing][DB] Clawback failed', e?.message || e);
+    return { ok: false };
+  }
+}
+
+// RBT tokens worth `seconds`, rounded up
+export function rbtForSeconds(seconds) {
+  return Math.ceil(Math.max(0, Number(seconds) || 0) / RBT_TO_SECONDS);
+}
+
+// Moves seconds from one contact's RBT balance to another's in one transaction, with a `gift` ledger row
+// under each (gift_sent / gift_received, linked by transfer_id). Nothing moves when the sender's balance is
+// short; an unlimited sender gives from their RBT balance too.
+export async function transferSeconds(fromUserId, toUserId, seconds, opts = {}) {
+  const secs = Math.max(0, Math.round(Number(seconds) || 0));
+  const tokens = rbtForSeconds(secs);
+  if (tokens <= 0) return { ok: false, reason: 'zero' };
+  const key = opts.idempotencyKey || null;
+  try {
+    const [from, to] = await Promise.all([getOrCreateContactForUser(fromUserId), getOrCreateContactForUser(toUserId)]);
+    if (!from || !to) return { ok: false, reason: 'no-contact' };
+    if (from.wid === to.wid) return { ok: false, reason: 'same-contact' };
+    const info = { seconds: secs, tokens, transfer_id: key || randomUUID(), ...(opts.info || {}) };
+    const res = await sequelize.transaction(async (transaction) => {
+      await lockContacts([from.wid, to.wid], transaction);
+      const sent = await applyLedgerChange(fromUserId, {
+        actionType: 'gift',
+        idempotencyKey: key && `${key}:sent`,
+        transaction,
+        plan: (c) => ((Number(c.rbt) || 0) < tokens
+          ? { skip: 'insufficient' }
+          : { rbtChange: -tokens, outcome: 'gift_sent', info: { ...info, to: to.number || to.wid } }),
+      });
+      if (!sent.applied) return sent;
+      await applyLedgerChange(toUserId, {
+        actionType: 'gift',
+        idempotencyKey: key && `${key}:received`,
+        transaction,
+        plan: () => ({ rbtChange: tokens, outcome: 'gift_received', info: { ...info, from: from.number || from.wid } }),
+      });
+      return sent;
     });
-    console.log('[Billing][DB] Grant pro', { wid: c.wid });
-    return true;
+    if (res.applied) {
+      console.log('[Billing][DB] Gift', { from: from.wid, to: to.wid, seconds: secs, tokens, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
+    }
+    return { ok: !!res.ok, duplicate: !!res.duplicate, reason: res.reason, seconds: secs };
+  } catch (e) {
+    console.warn('[Billing][DB] Gift failed', e?.message || e);
+    return { ok: false, reason: 'error' };
+  }
+}
+
+// Set unlimited and store license_key. `opts.expiresAt` time-limits the grant; an active grant that
+// lasts longer (or forever) is never shortened by a new one.
+export async function grantPro(userId, licenseKey, opts = {}) {
+  try {
+    const res = await applyLedgerChange(userId, {
+      actionType: 'license',
+      idempotencyKey: opts.idempotencyKey,
+      plan: async (c, { transaction }) => {
+        let expiresAt = opts.expiresAt ? new Date(opts.expiresAt) : null;
+        if (c.is_unlimited) {
+          const prior = await latestLicenseEntry(c.wid, transaction);
+          const priorExp = grantExpiry(prior);
+          if (!priorExp) expiresAt = null;
+          else if (expiresAt && priorExp > expiresAt) expiresAt = priorExp;
+        }
+        await Contact.update({ is_unlimited: true, license_key: licenseKey || c.license_key }, { where: { wid: c.wid }, transaction });
+        return {
+          rbtChange: 0,
+          outcome: 'grant_pro',
+          info: { license_key: licenseKey || null, expires_at: expiresAt ? expiresAt.toISOString() : null, ...(opts.info || {}) },
+        };
+      },
+    });
+    if (res.applied) console.log('[Billing][DB] Grant pro', { wid: res.contact.wid });
+    return !!res.ok;
   } catch (e) {
     console.warn('[Billing][DB] Grant pro failed', e?.message || e);
     return false;
   }
 }
 
+export async function revokePro(userId, opts = {}) {
+  try {
+    const res = await applyLedgerChange(userId, {
+      actionType: 'license',
+      idempotencyKey: opts.idempotencyKey,
+      plan: async (c, { transaction }) => {
+        await Contact.update({ is_unlimited: false }, { where: { wid: c.wid }, transaction });
+        return { rbtChange: 0, outcome: 'revoke_pro', info: { ...(opts.info || {}) } };
+      },
+    });
+    if (res.applied) console.log('[Billing][DB] Revoke pro', { wid: res.contact.wid });
+    return !!res.ok;
+  } catch (e) {
+    console.warn('[Billing][DB] Revoke pro failed', e?.message || e);
+    return false;
+  }
+}
+
+// Ledger row without a balance change (decisions, audit trail). Honors idempotencyKey like any other change.
+export async function recordActivity(userId, { actionType, outcome, info, idempotencyKey } = {}) {
+  return applyLedgerChange(userId, {
+    actionType,
+    idempotencyKey,
+    plan: () => ({ rbtChange: 0, outcome, info }),
+  });
+}
+
+// A pool member is unlimited when the owner is and the member has no monthly limit
 export async function isPro(userId) {
+  const pool = await poolFor(userId);
+  if (pool) return pool.monthlyLimitSeconds == null && isPro(pool.owner);
   const c = await getOrCreateContactForUser(userId);
   return !!c?.is_unlimited;
 }
 
+// Call seconds logged for this caller since `since` (unlimited calls included), for daily caps; `pooledOnly`
+// counts only calls billed to a pool, for members' monthly limits. A pool owner's rows for members' calls
+// don't count as the owner's own calls.
+export async function secondsUsedSince(userId, since, { pooledOnly = false } = {}) {
+  const c = await getOrCreateContactForUser(userId);
+  if (!c || !UserActivity) return 0;
+  const { Op } = await import('sequelize');
+  const rows = await UserActivity.findAll({
+    where: {
+      contactId: c.wid,
+      action_type: 'voice_call',
+      timestamp: { [Op.gte]: since },
+      ...(pooledOnly ? { action_outcome: 'pooled' } : {}),
+    },
+    attributes: ['contextual_info'],
+  });
+  return rows
+    .filter(r => !r.contextual_info?.member)
+    .reduce((sum, r) => sum + (Math.max(0, Number(r.contextual_info?.seconds) || 0)), 0);
+}
+
 export async function getUserLicense(userId) {
   const c = await getOrCreateContactForUser(userId);
   return c?.license_key || null;
@@ -133,33 +437,29 @@ export async function upgradeEntitlementFromContact(userId /*, contact */) {
   return ensureEntitlement(userId);
 }
 
-// One-time initial trial: top up RBT for a first-time caller
+// One-time initial trial: top up RBT for a first-time caller.
+// The prior-grant check runs under the contact row lock, so concurrent first calls grant once.
 export async function ensureInitialTrialTopup(userId, seconds = TRIAL_INIT_SECONDS) {
   try {
     await initDb();
-    const c = await getOrCreateContactForUser(userId);
-    if (!c) return { ok: false, reason: 'no-contact' };
-    if (c.is_unlimited) return { ok: false, reason: 'unlimited' };
     const secs = Math.max(0, Number(seconds) || 0);
     if (secs <= 0) return { ok: false, reason: 'disabled' };
-
-    // If we already granted a trial topup, skip
-    const prior = await UserActivity?.findOne?.({ where: { contactId: c.wid, action_type: 'trial_topup' } });
-    if (prior) return { ok: false, reason: 'already-granted' };
-
     const tokens = Math.ceil(secs / RBT_TO_SECONDS);
     if (tokens <= 0) return { ok: false, reason: 'zero' };
-    const before = Math.max(0, Number(c.rbt ?? 0) || 0);
-    const after = before + tokens;
-    await Contact.update({ rbt: after }, { where: { wid: c.wid } });
-    await UserActivity?.create?.({
-      contactId: c.wid,
-      action_type: 'trial_topup',
-      action_outcome: 'grant',
-      rbt_change: tokens,
-      contextual_info: { seconds: secs, tokens }
+    // Pool members call on the pool's balance
+    if (await poolFor(userId)) return { ok: false, reason: 'pooled' };
+
+    const res = await applyLedgerChange(userId, {
+      actionType: 'trial_topup',
+      plan: async (c, { transaction }) => {
+        if (c.is_unlimited) return { skip: 'unlimited' };
+        const prior = await UserActivity.findOne({ where: { contactId: c.wid, action_type: 'trial_topup' }, transaction });
+        if (prior) return { skip: 'already-granted' };
+        return { rbtChange: tokens, outcome: 'grant', info: { seconds: secs, tokens } };
+      },
     });
-    console.log('[Billing][DB] Trial top-up', { wid: c.wid, seconds: secs, tokens, rbt_before: before, rbt_after: after });
+    if (!res.applied) return { ok: false, reason: res.reason };
+    console.log('[Billing][DB] Trial top-up', { wid: res.contact.wid, seconds: secs, tokens, rbt_before: res.rbtBefore, rbt_after: res.rbtAfter });
     return { ok: true, seconds: secs, tokens };
   } catch (e) {
     console.warn('[Billing][DB] Trial top-up failed', e?.message || e);
@@ -0,0 +1,184 @@
+// src/lib/memory.mjs — caller memory: what we talked about last time
+// When a call ends, the caller's side of the transcript is summarized (topics, the next step they agreed
+// to, follow-ups) with a small chat model and stored in CallSummaries. When a known caller rings again,
+// their name from Contacts and the last MEMORY_RECENT_CALLS summaries are added to the agent's
+// instructions so it can greet them by name and pick up where they left off. The `forget_caller_memory`
+// tool deletes every stored summary for the caller and skips summarizing the current call.
+// Set CALLER_MEMORY=false to turn all of this off.
+import { tool } from '@openai/agents/realtime';
+import { initDb } from './db.mjs';
+import { findContactByPhone, normalizeDigits } from './contacts.mjs';
+import { recordActivity } from './license.mjs';
+import { openaiBaseUrl } from './openai.mjs';
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    topics: { type: 'array', items: { type: 'string' }, description: 'What the caller talked about, a few words each' },
+    next_step: { type: ['string', 'null'], description: 'The next step the caller agreed to, if any' },
+    follow_ups: { type: 'array', items: { type: 'string' }, description: 'Things to ask about or check on next time' },
+  },
+  required: ['topics', 'next_step', 'follow_ups'],
+  additionalProperties: false,
+};
+
+// `assistant` is the persona's display name
+function summaryPrompt(assistant) {
+  return `You summarize a phone call between a caller and ${assistant}, a supportive assistant, so it can pick up where they left off next time. Be brief and factual, in the language of the call. Only include what was actually said; leave fields empty when nothing fits.`;
+}
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+export function memoryEnabled() {
+  return !/^(0|false|off|no)$/i.test(String(process.env.CALLER_MEMORY || 'true').trim());
+}
+
+const isKnown = (userId) => !!normalizeDigits(userId) && userId !== 'anonymous';
+
+// { name, summaries: [{ at, topics, nextStep, followUps }] } for the caller, newest summary first
+export async function loadCallerMemory(userId) {
+  const empty = { name: null, summaries: [] };
+  if (!memoryEnabled() || !isKnown(userId)) return empty;
+  const userKey = normalizeDigits(userId);
+  const [found, rows] = await Promise.all([
+    findContactByPhone(userKey).catch(() => null),
+    models().then(({ CallSummary }) => CallSummary?.findAll({
+      where: { user_id: userKey },
+      order: [['created_at', 'DESC']],
+      limit: Number(process.env.MEMORY_RECENT_CALLS || '3') || 3,
+    })).catch(() => null),
+  ]);
+  const contact = found?.contact;
+  const name = String(contact?.name || contact?.pushname || contact?.short_name || '').trim() || null;
+  const summaries = (rows || []).map(r => ({
+    at: r.created_at,
+    topics: r.topics || [],
+    nextStep: r.next_step || null,
+    followUps: r.follow_ups || [],
+  }));
+  return { name, summaries };
+}
+
+// Block appended to the agent instructions; '' when there is nothing to remember
+export function memoryInstructions({ name, summaries } = {}) {
+  if (!name && !summaries?.length) return '';
+  const lines = ['# Caller Memory'];
+  if (name) lines.push(`The caller's name is ${name}.`);
+  if (summaries?.length) {
+    lines.push('Notes from their most recent calls, newest first. Use them naturally; do not read them out:');
+    for (const s of summaries) {
+      const day = new Date(s.at).toISOString().slice(0, 10);
+      const parts = [];
+      if (s.topics.length) parts.push(`talked about ${s.topics.join('; ')}`);
+      if (s.nextStep) parts.push(`agreed next step: ${s.nextStep}`);
+      if (s.followUps.length) parts.push(`follow up on: ${s.followUps.join('; ')}`);
+      if (parts.length) lines.push(`- ${day}: ${parts.join('. ')}.`);
+    }
+  }
+  lines.push('If the caller asks you to forget what you talked about, confirm, then use forget_caller_memory and stop referring to these notes.');
+  return lines.join('\n');
+}
+
+// Opening line for a caller we know, or null
+export function memoryGreeting({ name, summaries } = {}) {
+  if (!name && !summaries?.length) return null;
+  const who = name ? ` by name (${name})` : '';
+  const pickUp = summaries?.length ? ' and, in a few words, offer to pick up where you left off last time' : '';
+  return `The caller has called before. Welcome them back${who}${pickUp}, then ask how you can help today.`;
+}
+
+// Summarize a call from transcript items ({ role, text, injected }); `assistant` is the name of the persona
+// that took the call. Resolves to { topics, next_step, follow_ups } or null when there was nothing to summarize
+// or the request failed.
+export async function summarizeTranscript(items, { log = console, assistant = 'The Rabbot' } = {}) {
+  const lines = (items || [])
+    .filter(e => e.text && !e.injected)
+    .map(e => `${e.role === 'user' ? 'Caller' : assistant}: ${e.text}`);
+  if (!lines.some(l => l.startsWith('Caller:'))) return null;
+  try {
+    const res = await fetch(`${openaiBaseUrl()}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json',
+        ...(process.env.OPENAI_PROJECT_ID ? { 'OpenAI-Project': process.env.OPENAI_PROJECT_ID } : {}),
+      },
+      body: JSON.stringify({
+        model: process.env.MEMORY_SUMMARY_MODEL || 'gpt-4o-mini',
+        messages: [
+          { role: 'system', content: summaryPrompt(assistant) },
+          { role: 'user', content: lines.join('\n') },
+        ],
+        response_format: { type: 'json_schema', json_schema: { name: 'call_summary', strict: true, schema: SUMMARY_SCHEMA } },
+      }),
+    });
+    if (!res.ok) {
+      const t = await res.text().catch(() => '');
+      log.warn?.({ status: res.status, body: t.slice(0, 500) }, 'Call summary request failed');
+      return null;
+    }
+    const json = await res.json();
+    const summary = JSON.parse(json?.choices?.[0]?.message?.content || 'null');
+    if (!summary) return null;
+    return {
+      topics: (summary.topics || []).map(String).filter(Boolean).slice(0, 10),
+      next_step: summary.next_step ? String(summary.next_step) : null,
+      follow_ups: (summary.follow_ups || []).map(String).filter(Boolean).slice(0, 10),
+    };
+  } catch (e) {
+    log.warn?.({ err: e?.message || String(e) }, 'Call summary failed');
+    return null;
+  }
+}
+
+// Whether a summary of this caller's call would be kept (so the post-call step can skip summarizing)
+export async function canRemember(userId) {
+  if (!memoryEnabled() || !isKnown(userId)) return false;
+  const { CallSummary } = await models();
+  return !!CallSummary;
+}
+
+// Post-call step: store a summary from summarizeTranscript(). Skips hidden numbers, calls without a DB and
+// empty summaries.
+export async function saveCallSummary({ callId, userId, summary, log = console }) {
+  if (!memoryEnabled() || !isKnown(userId)) return null;
+  if (!summary || (!summary.topics.length && !summary.next_step && !summary.follow_ups.length)) return null;
+  const { CallSummary } = await models();
+  if (!CallSummary) return null;
+  try {
+    const [row] = await CallSummary.upsert({ call_id: callId, user_id: normalizeDigits(userId), ...summary });
+    log.info?.({ callId, userId, topics: summary.topics.length }, 'Call summary saved');
+    return row;
+  } catch (e) {
+    log.warn?.({ callId, err: e?.message || String(e) }, 'Call summary save failed');
+    return null;
+  }
+}
+
+// Deletes everything remembered about the caller; resolves to the number of summaries removed
+export async function forgetCaller(userId) {
+  if (!isKnown(userId)) return 0;
+  const { CallSummary } = await models();
+  if (!CallSummary) return 0;
+  return CallSummary.destroy({ where: { user_id: normalizeDigits(userId) } });
+}
+
+// Agent tool: "forget what we talked about". `onForget` runs on success so the call skips its own summary.
+export function createForgetTool({ callId, userId, log = console, onForget = () => {}, wrapExecute = (fn) => fn }) {
+  return tool({
+    name: 'forget_caller_memory',
+    description: 'Permanently forget what the caller talked about on previous calls and this one. Use only when the caller asks you to forget; confirm with them first.',
+    parameters: { type: 'object', properties: {}, required: [], additionalProperties: false },
+    execute: wrapExecute(async () => {
+      onForget();
+      const removed = await forgetCaller(userId);
+      log.info({ callId, userId, removed }, 'Caller memory forgotten');
+      recordActivity(userId, { actionType: 'memory', outcome: 'forgotten', info: { call_id: callId, removed } }).catch(() => {});
+      return 'Done: nothing from previous calls or this one will be remembered. Briefly confirm this to the caller and do not refer to earlier calls again.';
+    }),
+  });
+}
@@ -0,0 +1,113 @@
+// src/lib/metrics.mjs — process-wide Prometheus metrics, rendered by GET /metrics (src/plugins/health.mjs)
+// A tiny registry instead of a client library: counters, gauges and histograms with labels, in the text
+// exposition format. Every metric is defined here so /metrics lists them all even before the first call.
+
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (!pairs.length) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  return Number.isFinite(n) ? String(n) : 'NaN';
+}
+
+function define(type, name, help, extra = {}) {
+  const series = new Map(); // labelKey -> { pairs, value | buckets/sum/count }
+  const metric = { type, name, help, series, ...extra };
+  registry.push(metric);
+  return metric;
+}
+
+function entry(metric, labels, init) {
+  const key = labelKey(labels);
+  let e = metric.series.get(key);
+  if (!e) {
+    e = { pairs: JSON.parse(key), ...init() };
+    metric.series.set(key, e);
+  }
+  return e;
+}
+
+export function counter(name, help) {
+  const metric = define('counter', name, help);
+  return {
+    inc(labels = {}, by = 1) {
+      entry(metric, labels, () => ({ value: 0 })).value += by;
+    },
+  };
+}
+
+export function gauge(name, help) {
+  const metric = define('gauge', name, help);
+  return {
+    set(labels = {}, value = 0) {
+      entry(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    // Replaces every series at once (e.g. active calls by transport)
+    reset() {
+      metric.series.clear();
+    },
+  };
+}
+
+export function histogram(name, help, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const metric = define('histogram', name, help, { bounds });
+  return {
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const e = entry(metric, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((b, i) => { if (value <= b) e.counts[i] += 1; });
+      e.sum += value;
+      e.count += 1;
+    },
+  };
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const m of registry) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const e of m.series.values()) {
+      if (m.type !== 'histogram') {
+        lines.push(`${m.name}${formatLabels(e.pairs)} ${formatNumber(e.value)}`);
+        continue;
+      }
+      m.bounds.forEach((b, i) => {
+        lines.push(`${m.name}_bucket${formatLabels([...e.pairs, ['le', formatNumber(b)]])} ${e.counts[i]}`);
+      });
+      lines.push(`${m.name}_bucket${formatLabels([...e.pairs, ['le', '+Inf']])} ${e.count}`);
+      lines.push(`${m.name}_sum${formatLabels(e.pairs)} ${formatNumber(e.sum)}`);
+      lines.push(`${m.name}_count${formatLabels(e.pairs)} ${e.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const activeCalls = gauge('rabbot_active_calls', 'Calls in progress on this instance, by transport');
+export const callAdmissions = counter('rabbot_call_admissions_total', 'Incoming calls by transport and outcome (accepted, rejected, failed)');
+export const firstAudioSeconds = histogram(
+  'rabbot_first_audio_seconds',
+  'Time from accepting a call to the first agent audio, by transport',
+  [0.25, 0.5, 1, 1.5, 2, 3, 5, 10]
+);
+export const callDurationSeconds = histogram(
+  'rabbot_call_duration_seconds',
+  'Call duration from accept to end, by transport and end reason',
+  [15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+);
+export const billingCheckFailures = counter('rabbot_billing_check_failures_total', 'In-call balance checks that failed');
+export const hangupFailures = counter('rabbot_hangup_failures_total', 'SIP hangup requests that failed');
+export const smsSends = counter('rabbot_sms_total', 'SMS send attempts by template and outcome (sent, outbox, failed, suppressed, disabled)');
+export const gumroadWebhooks = counter('rabbot_gumroad_webhooks_total', 'Gumroad webhooks by event type and outcome');
@@ -0,0 +1,36 @@
+// src/lib/migrate.mjs — runs this service's own migrations (Calls, transcripts, ...)
+// Applied names are tracked in `RabbotMigrations`, separate from aibot's SequelizeMeta. All pending
+// migrations run in one transaction; each `up` must pass `{ transaction }` to its queryInterface calls.
+import migrations from '../migrations/index.mjs';
+
+const META_TABLE = 'RabbotMigrations';
+const LOCK_KEY = 72_616_262; // arbitrary app-wide advisory lock id ("rbb")
+
+export async function runMigrations(sequelize) {
+  if (!sequelize) return { ok: false, reason: 'no-db' };
+  const { DataTypes } = await import('sequelize');
+  const queryInterface = sequelize.getQueryInterface();
+  const applied = [];
+
+  await sequelize.transaction(async (transaction) => {
+    // Serialize concurrent deploys/replicas
+    await sequelize.query(`SELECT pg_advisory_xact_lock(${LOCK_KEY})`, { transaction });
+    await sequelize.query(
+      `CREATE TABLE IF NOT EXISTS "${META_TABLE}" (name VARCHAR(255) PRIMARY KEY, run_at TIMESTAMPTZ NOT NULL DEFAULT NOW())`,
+      { transaction }
+    );
+    const [rows] = await sequelize.query(`SELECT name FROM "${META_TABLE}"`, { transaction });
+    const done = new Set(rows.map(r => r.name));
+
+    for (const m of migrations) {
+      if (done.has(m.name)) continue;
+      console.log('[DB] Migrating', m.name);
+      await m.up({ queryInterface, DataTypes, sequelize, transaction });
+      await sequelize.query(`INSERT INTO "${META_TABLE}" (name) VALUES (:name)`, { replacements: { name: m.name }, transaction });
+      applied.push(m.name);
+    }
+  });
+
+  if (applied.length) console.log('[DB] Migrations applied:', applied);
+  return { ok: true, applied };
+}
@@ -0,0 +1,24 @@
+// src/lib/openai.mjs — OpenAI endpoint URLs
+// OPENAI_BASE_URL (default https://api.openai.com) points REST calls and the realtime WebSocket at
+// another host, e.g. the local mock in scripts/mock-openai.mjs for offline tests.
+
+export function openaiBaseUrl() {
+  return String(process.env.OPENAI_BASE_URL || 'https://api.openai.com').trim().replace(/\/+$/, '');
+}
+
+// REST endpoint for a realtime SIP call action: accept | hangup | refer | reject
+export function realtimeCallUrl(callId, action) {
+  return `${openaiBaseUrl()}/v1/realtime/calls/${encodeURIComponent(callId)}/${action}`;
+}
+
+// WebSocket URL to attach a session to an accepted SIP call
+export function realtimeCallWsUrl(callId) {
+  const ws = openaiBaseUrl().replace(/^http(s?):\/\//i, (_m, s) => `ws${s}://`);
+  return `${ws}/v1/realtime?call_id=${encodeURIComponent(callId)}`;
+}
+
+// WebSocket URL for a standalone realtime session (the Twilio Media Streams bridge)
+export function realtimeWsUrl(model) {
+  const ws = openaiBaseUrl().replace(/^http(s?):\/\//i, (_m, s) => `ws${s}://`);
+  return `${ws}/v1/realtime?model=${encodeURIComponent(model)}`;
+}
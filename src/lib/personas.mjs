@@ -0,0 +1,185 @@
+// src/lib/personas.mjs — who answers the phone: versioned persona configs
+// A persona version is { id, version, name, instructions, voice, greeting, farewells, tools }:
+//   - files in PERSONAS_DIR (default ./personas) named `<id>.v<version>.json`; long instructions can live
+//     next to it in `instructionsFile` (e.g. rabbot.md), or a list of files joined in order. `extends` names
+//     another file in the directory (e.g. rabbot.v3.json) whose fields this version starts from, so a new
+//     version lists only what it changes
+//   - rows in the Personas table (same fields, `config` JSONB), which add versions without a deploy and win
+//     over a file with the same id and version
+// `farewells` maps end reasons (out-of-minutes, call-cap, ...) to the goodbye instruction; missing ones and
+// a missing greeting fall back to the defaults below. `tools` lists the agent tools by name (all if absent).
+// Which persona takes a call, first match wins:
+//   1. X-Persona SIP header
+//   2. PERSONA_BY_CALLER   { "+972": "rabbot-he" }      longest caller-number prefix
+//   3. PERSONA_BY_DIALED   { "+15551234567": "rabbot" } the number that was called
+//   4. DEFAULT_PERSONA (default rabbot)
+// A reference is `id` (its highest version) or `id@version` to pin one. Every call records `id@version`.
+import fs from 'node:fs';
+import path from 'node:path';
+import { initDb } from './db.mjs';
+
+export const DEFAULT_GREETING = 'Thank you for calling, how can I help you?';
+
+export const DEFAULT_FAREWELLS = {
+  'out-of-minutes': 'Please inform the caller in one brief, clear sentence that their minutes have run out and that you will text them a link to add more. Then stop speaking.',
+  'out-of-minutes-texted': 'Please inform the caller in one brief, clear sentence that their minutes have run out and that the link we texted them earlier lets them add more. Then stop speaking.',
+  'out-of-minutes-not-texted': 'Please inform the caller in one brief, clear sentence that their minutes have run out and that they can add more and call back, without promising a text message. Then stop speaking.',
+  'call-cap': 'Please tell the caller in one brief, warm sentence that we have reached the time limit for this call, thank them for calling, and say goodbye. Then stop speaking.',
+  'daily-cap': 'Please tell the caller in one brief, kind sentence that they have reached today\'s calling limit and are welcome to call again tomorrow, then say goodbye. Then stop speaking.',
+  'admin-hangup': 'Please tell the caller in one brief, kind sentence that we need to end the call now, thank them for calling, and say goodbye. Then stop speaking.',
+  'shutdown': 'Please tell the caller in one brief, kind sentence that we need to end the call now for a short service update, invite them to call back in a few minutes, and say goodbye. Then stop speaking.',
+};
+
+const CACHE_MS = 60 * 1000;
+let cached = null; // { dir, at, personas: Map<'id@version', persona> }
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.warn(`[Personas] Ignoring invalid ${what}:`, e?.message || e);
+    return null;
+  }
+}
+
+// Fills in defaults; null when the config lacks an id, version or instructions
+export function normalizePersona(config, source = 'inline') {
+  const id = String(config?.id || '').trim();
+  const version = Number(config?.version);
+  const instructions = String(config?.instructions || '').trim();
+  if (!id || !Number.isInteger(version) || version < 0 || !instructions) return null;
+  return {
+    id,
+    version,
+    key: `${id}@${version}`,
+    name: String(config.name || 'The Rabbot'),
+    instructions,
+    voice: String(config.voice || process.env.RABBOT_VOICE || 'cedar').trim(),
+    greeting: String(config.greeting || DEFAULT_GREETING),
+    farewells: { ...DEFAULT_FAREWELLS, ...(config.farewells || {}) },
+    tools: Array.isArray(config.tools) ? config.tools.map(String) : null,
+    source,
+  };
+}
+
+// A version file's config with its `extends` chain applied; null (after a warning) when something is missing
+function readConfig(dir, name, seen = []) {
+  if (seen.includes(name)) {
+    console.warn(`[Personas] Ignoring ${seen[0]}: extends loop through ${name}`);
+    return null;
+  }
+  const file = path.join(dir, name);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    console.warn(`[Personas] Cannot read ${name}:`, e?.message || e);
+    return null;
+  }
+  const config = parseJson(text, file);
+  if (!config?.extends) return config;
+  const { extends: parent, ...own } = config;
+  const base = readConfig(dir, String(parent), [...seen, name]);
+  // Inline instructions replace inherited ones from a file
+  return base && { ...base, ...(own.instructions ? { instructionsFile: null } : {}), ...own };
+}
+
+function readDir(dir) {
+  const found = [];
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    console.warn('[Personas] Cannot read PERSONAS_DIR:', e?.message || e);
+    return found;
+  }
+  for (const name of names) {
+    if (!/^[\w-]+\.v\d+\.json$/.test(name)) continue;
+    const file = path.join(dir, name);
+    const config = readConfig(dir, name);
+    if (!config) continue;
+    if (config.instructionsFile) {
+      try {
+        config.instructions = [config.instructionsFile].flat()
+          .map(f => fs.readFileSync(path.resolve(dir, String(f)), 'utf8').trimEnd())
+          .join('\n\n');
+      } catch (e) {
+        console.warn(`[Personas] Cannot read instructions for ${name}:`, e?.message || e);
+        continue;
+      }
+    }
+    const persona = normalizePersona(config, file);
+    if (persona) found.push(persona);
+    else console.warn(`[Personas] Ignoring ${name}: needs id, version and instructions`);
+  }
+  return found;
+}
+
+async function readDb() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  if (!db.Persona) return [];
+  const rows = await db.Persona.findAll().catch((e) => {
+    console.warn('[Personas] Cannot load Personas table:', e?.message || e);
+    return [];
+  });
+  return rows
+    .map(r => normalizePersona({ ...(r.config || {}), id: r.persona_id, version: r.version }, `db:${r.id}`))
+    .filter(Boolean);
+}
+
+// Every known persona version, keyed `id@version`. Re-read at most once a minute (or with `refresh`).
+export async function loadPersonas({ refresh = false } = {}) {
+  const dir = path.resolve(process.env.PERSONAS_DIR || 'personas');
+  if (!refresh && cached?.dir === dir && Date.now() - cached.at < CACHE_MS) return cached.personas;
+  const personas = new Map();
+  for (const p of [...readDir(dir), ...await readDb()]) personas.set(p.key, p);
+  cached = { dir, at: Date.now(), personas };
+  return personas;
+}
+
+// `ref` is `id` or `id@version`
+function resolve(personas, ref) {
+  const [id, pinned] = String(ref || '').trim().split('@');
+  if (!id) return null;
+  if (pinned !== undefined) return personas.get(`${id}@${Number(pinned)}`) || null;
+  let best = null;
+  for (const p of personas.values()) {
+    if (p.id === id && (!best || p.version > best.version)) best = p;
+  }
+  return best;
+}
+
+function byPrefix(envName, number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (!digits) return null;
+  const map = parseJson(process.env[envName] || '{}', envName) || {};
+  const hit = Object.keys(map)
+    .map(p => ({ digits: p.replace(/\D/g, ''), ref: map[p] }))
+    .filter(p => p.digits && typeof p.ref === 'string' && digits.startsWith(p.digits))
+    .sort((a, b) => b.digits.length - a.digits.length)[0];
+  return hit ? hit.ref : null;
+}
+
+function headerValue(headers, wanted) {
+  return (headers || []).find(h => String(h?.name || '').toLowerCase() === wanted)?.value || null;
+}
+
+// Picks the persona for a call. Unknown references fall through to the next rule; throws only when even
+// DEFAULT_PERSONA does not exist.
+export async function selectPersona({ userId = null, dialed = null, sipHeaders = [] } = {}) {
+  const personas = await loadPersonas();
+  const candidates = [
+    ['header', headerValue(sipHeaders, 'x-persona')],
+    ['caller', userId && userId !== 'anonymous' ? byPrefix('PERSONA_BY_CALLER', userId) : null],
+    ['dialed', byPrefix('PERSONA_BY_DIALED', dialed)],
+    ['default', process.env.DEFAULT_PERSONA || 'rabbot'],
+  ];
+  for (const [rule, ref] of candidates) {
+    if (!ref) continue;
+    const persona = resolve(personas, ref);
+    if (persona) return persona;
+    console.warn('[Personas] Unknown persona', { rule, ref });
+  }
+  throw new Error(`No persona found for DEFAULT_PERSONA=${process.env.DEFAULT_PERSONA || 'rabbot'}`);
+}
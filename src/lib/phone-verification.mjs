@@ -0,0 +1,57 @@
+// src/lib/phone-verification.mjs — proof that a web request comes from the owner of a number
+// POST /billing/redeem credits a number only with a one-time code texted to it ('verify-code'). Codes live
+// VERIFY_CODE_TTL_SECONDS (default 600) in memory, per instance, and stop working after VERIFY_CODE_MAX_TRIES
+// wrong guesses (default 5). `rateLimited(key, limit)` is a sliding one-hour counter for the routes that use them.
+import { randomInt, createHash, timingSafeEqual } from 'node:crypto';
+import { normalizeDigits } from './contacts.mjs';
+import { sendTemplate } from './sms.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// number -> { hash, expiresAt, tries }
+const codes = new Map();
+// key -> timestamps (ms) of recent hits
+const hits = new Map();
+
+const digest = (code) => createHash('sha256').update(String(code)).digest();
+
+// Records a hit for `key` and returns true when it is over `limit` in the last hour (limit 0 = no limit)
+export function rateLimited(key, limit, now = Date.now()) {
+  if (!(limit > 0)) return false;
+  const list = (hits.get(key) || []).filter(t => now - t < HOUR_MS);
+  list.push(now);
+  hits.set(key, list);
+  if (hits.size > 10_000) {
+    for (const [k, v] of hits) {
+      if (!v.length || now - v[v.length - 1] >= HOUR_MS) hits.delete(k);
+    }
+  }
+  return list.length > limit;
+}
+
+// Texts a new 6-digit code to the number (replacing any earlier one); resolves to true when it went out
+export async function sendVerificationCode(userId, { log = console, now = Date.now() } = {}) {
+  const number = normalizeDigits(userId);
+  if (!number) return false;
+  const code = String(randomInt(1_000_000)).padStart(6, '0');
+  const ttl = Number(process.env.VERIFY_CODE_TTL_SECONDS || '600') || 600;
+  codes.set(number, { hash: digest(code), expiresAt: now + ttl * 1000, tries: 0 });
+  return sendTemplate(number, 'verify-code', { code, minutes: Math.max(1, Math.round(ttl / 60)) }, { log });
+}
+
+// True once per texted code: a match uses it up
+export function checkVerificationCode(userId, code, { now = Date.now() } = {}) {
+  const number = normalizeDigits(userId);
+  const entry = codes.get(number);
+  if (!entry || entry.expiresAt <= now) {
+    codes.delete(number);
+    return false;
+  }
+  if (timingSafeEqual(entry.hash, digest(String(code || '').replace(/\D/g, '')))) {
+    codes.delete(number);
+    return true;
+  }
+  entry.tries += 1;
+  if (entry.tries >= (Number(process.env.VERIFY_CODE_MAX_TRIES || '5') || 5)) codes.delete(number);
+  return false;
+}
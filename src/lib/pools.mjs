@@ -0,0 +1,97 @@
+// src/lib/pools.mjs — shared minute pools: one paying number, several member numbers
+// A pool's balance is its owner's Contact balance (RBT, unlimited grants). license.mjs bills a member's calls
+// to the owner and caps each member at their optional monthly limit; the owner calls as usual. Top-up links
+// texted to a member buy for the owner; other top-ups and gifts for a member's number go to the member's own
+// balance, which is used again once they leave.
+// A number owns at most one pool and is in at most one; an owner can't be a member.
+import { initDb } from './db.mjs';
+import { normalizeDigits } from './contacts.mjs';
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+// The pool a member's calls are billed to: { poolId, owner, member, monthlyLimitSeconds }, or null for
+// owners and numbers outside any pool
+export async function poolFor(userId) {
+  const member = normalizeDigits(userId);
+  if (!member) return null;
+  const { MinutePool, MinutePoolMember } = await models();
+  if (!MinutePoolMember) return null;
+  const row = await MinutePoolMember.findOne({ where: { user_id: member } });
+  if (!row) return null;
+  const pool = await MinutePool.findByPk(row.pool_id);
+  if (!pool) return null;
+  return { poolId: pool.id, owner: pool.owner_user_id, member, monthlyLimitSeconds: row.monthly_limit_seconds ?? null };
+}
+
+// Whose balance a top-up should go to so this caller can use it: the pool owner for members, else themselves
+export async function topupUserFor(userId) {
+  const pool = await poolFor(userId).catch(() => null);
+  return pool ? pool.owner : userId;
+}
+
+// { pool, members } or null
+export async function getPool(poolId) {
+  const { MinutePool, MinutePoolMember } = await models();
+  if (!MinutePool) return null;
+  const pool = await MinutePool.findByPk(Number(poolId) || 0);
+  if (!pool) return null;
+  const members = await MinutePoolMember.findAll({ where: { pool_id: pool.id }, order: [['id', 'ASC']] });
+  return { pool, members };
+}
+
+// The pool a number owns or belongs to, as for getPool()
+export async function findPoolByNumber(phone) {
+  const user = normalizeDigits(phone);
+  const { MinutePool, MinutePoolMember } = await models();
+  if (!user || !MinutePool) return null;
+  const owned = await MinutePool.findOne({ where: { owner_user_id: user } });
+  if (owned) return getPool(owned.id);
+  const member = await MinutePoolMember.findOne({ where: { user_id: user } });
+  return member ? getPool(member.pool_id) : null;
+}
+
+// { ok, pool } or { ok: false, reason: 'no-db' | 'invalid' | 'owner-in-pool' }
+export async function createPool({ owner, name = null }) {
+  const user = normalizeDigits(owner);
+  if (!user) return { ok: false, reason: 'invalid' };
+  const { MinutePool, MinutePoolMember } = await models();
+  if (!MinutePool) return { ok: false, reason: 'no-db' };
+  if (await MinutePool.findOne({ where: { owner_user_id: user } })) return { ok: false, reason: 'owner-in-pool' };
+  if (await MinutePoolMember.findOne({ where: { user_id: user } })) return { ok: false, reason: 'owner-in-pool' };
+  const pool = await MinutePool.create({ owner_user_id: user, name });
+  return { ok: true, pool };
+}
+
+// Adds a member, or changes the monthly limit of one already in this pool (null = no limit).
+// { ok, member, created } or { ok: false, reason: 'no-db' | 'not-found' | 'invalid' | 'is-owner' | 'in-other-pool' }
+export async function setPoolMember(poolId, phone, { monthlyLimitSeconds = null } = {}) {
+  const user = normalizeDigits(phone);
+  const limit = monthlyLimitSeconds == null ? null : Math.trunc(Number(monthlyLimitSeconds));
+  if (!user || (limit != null && !(limit >= 0))) return { ok: false, reason: 'invalid' };
+  const { MinutePool, MinutePoolMember } = await models();
+  if (!MinutePool) return { ok: false, reason: 'no-db' };
+  const pool = await MinutePool.findByPk(Number(poolId) || 0);
+  if (!pool) return { ok: false, reason: 'not-found' };
+  if (await MinutePool.findOne({ where: { owner_user_id: user } })) return { ok: false, reason: 'is-owner' };
+  const existing = await MinutePoolMember.findOne({ where: { user_id: user } });
+  if (existing && existing.pool_id !== pool.id) return { ok: false, reason: 'in-other-pool' };
+  if (existing) {
+    await existing.update({ monthly_limit_seconds: limit });
+    return { ok: true, member: existing, created: false };
+  }
+  const member = await MinutePoolMember.create({ pool_id: pool.id, user_id: user, monthly_limit_seconds: limit });
+  return { ok: true, member, created: true };
+}
+
+// Resolves to true when the number was a member of this pool
+export async function removePoolMember(poolId, phone) {
+  const user = normalizeDigits(phone);
+  const { MinutePoolMember } = await models();
+  if (!user || !MinutePoolMember) return false;
+  const removed = await MinutePoolMember.destroy({ where: { pool_id: Number(poolId) || 0, user_id: user } });
+  return removed > 0;
+}
@@ -0,0 +1,140 @@
+// src/lib/promos.mjs — promo codes and gift minutes
+// Promo codes live in PromoCodes (created through the admin API) with a seconds value, an optional expiry and
+// an optional cap on redemptions. Callers redeem them by voice (`redeem_promo_code` tool) or through
+// POST /billing/redeem; each contact can redeem a code once. Gifts move seconds from one contact's balance to
+// another number's (license.mjs transferSeconds, one ledger row under each) and text the recipient.
+import { randomInt } from 'node:crypto';
+import { initDb } from './db.mjs';
+import { applyLedgerChange, rbtForSeconds, transferSeconds } from './license.mjs';
+import { normalizeDigits } from './contacts.mjs';
+import { sendTemplate } from './sms.mjs';
+
+// No 0/O or 1/I, so codes read out over the phone are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+// Chosen codes too; anything shorter is easy to guess
+export const MIN_CODE_LENGTH = 8;
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+// Upper case, without the spaces and punctuation of a spoken or pasted code
+export function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateCode() {
+  let out = '';
+  for (let i = 0; i < CODE_LENGTH; i++) out += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  return out;
+}
+
+export function promoView(p) {
+  return {
+    code: p.code,
+    seconds: p.seconds,
+    expiresAt: p.expires_at || null,
+    maxRedemptions: p.max_redemptions ?? null,
+    redemptions: p.redemptions,
+    disabled: !!p.disabled,
+    note: p.note || null,
+    createdBy: p.created_by || null,
+    createdAt: p.created_at,
+  };
+}
+
+// Why a code can't be redeemed right now, or null
+function promoProblem(p, now = new Date()) {
+  if (!p) return 'not-found';
+  if (p.disabled) return 'disabled';
+  if (p.expires_at && new Date(p.expires_at) <= now) return 'expired';
+  if (p.max_redemptions != null && p.redemptions >= p.max_redemptions) return 'used-up';
+  return null;
+}
+
+// { ok, promo } or { ok: false, reason: 'no-db' | 'invalid' | 'exists' }; a code is generated when none is given
+export async function createPromoCode({ code, seconds, expiresAt = null, maxRedemptions = null, note = null, createdBy = null }) {
+  const { PromoCode } = await models();
+  if (!PromoCode) return { ok: false, reason: 'no-db' };
+  const secs = Math.trunc(Number(seconds) || 0);
+  const max = maxRedemptions == null ? null : Math.trunc(Number(maxRedemptions));
+  const value = code ? normalizeCode(code) : generateCode();
+  if (secs <= 0 || value.length < MIN_CODE_LENGTH || (max != null && !(max > 0))) return { ok: false, reason: 'invalid' };
+  const [promo, created] = await PromoCode.findOrCreate({
+    where: { code: value },
+    defaults: { code: value, seconds: secs, expires_at: expiresAt, max_redemptions: max, note, created_by: createdBy },
+  });
+  return created ? { ok: true, promo } : { ok: false, reason: 'exists' };
+}
+
+export async function listPromoCodes({ limit = 50, offset = 0 } = {}) {
+  const { PromoCode } = await models();
+  if (!PromoCode) return null;
+  return PromoCode.findAndCountAll({ order: [['id', 'DESC']], limit, offset });
+}
+
+export async function disablePromoCode(code) {
+  const { PromoCode } = await models();
+  if (!PromoCode) return null;
+  const promo = await PromoCode.findOne({ where: { code: normalizeCode(code) } });
+  if (promo && !promo.disabled) await promo.update({ disabled: true });
+  return promo;
+}
+
+// Credits the code's seconds to the caller. Resolves to { ok: true, seconds } or { ok: false, reason } with
+// reason not-found | disabled | expired | used-up | already-redeemed | no-db | error. `source` is api | agent.
+export async function redeemPromoCode(userId, code, { source = null } = {}) {
+  const value = normalizeCode(code);
+  if (!normalizeDigits(userId) || value.length < MIN_CODE_LENGTH) return { ok: false, reason: 'not-found' };
+  const { PromoCode } = await models();
+  if (!PromoCode) return { ok: false, reason: 'no-db' };
+  try {
+    const promo = await PromoCode.findOne({ where: { code: value } });
+    if (!promo) return { ok: false, reason: 'not-found' };
+    let seconds = 0;
+    const res = await applyLedgerChange(userId, {
+      actionType: 'promo',
+      idempotencyKey: `promo:${value}`,
+      // The code row is locked too, so the last redemptions can't be taken twice
+      plan: async (_contact, { transaction }) => {
+        const locked = await PromoCode.findOne({ where: { id: promo.id }, transaction, lock: transaction.LOCK.UPDATE });
+        const problem = promoProblem(locked);
+        if (problem) return { skip: problem };
+        await locked.increment('redemptions', { by: 1, transaction });
+        seconds = locked.seconds;
+        return { rbtChange: rbtForSeconds(seconds), outcome: 'redeemed', info: { code: value, seconds, source } };
+      },
+    });
+    if (res.duplicate) return { ok: false, reason: 'already-redeemed' };
+    if (!res.applied) return { ok: false, reason: res.reason || 'error' };
+    console.log('[Billing][DB] Promo redeemed', { wid: res.contact.wid, code: value, seconds });
+    return { ok: true, seconds };
+  } catch (e) {
+    console.warn('[Billing][DB] Promo redemption failed', e?.message || e);
+    return { ok: false, reason: 'error' };
+  }
+}
+
+// E.164 for a number given by a caller or an admin (spaces and dashes allowed), or '' when it can't be one
+export function giftRecipient(phone) {
+  const digits = normalizeDigits(String(phone || '').replace(/[\s().-]/g, ''));
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : '';
+}
+
+// Transfers seconds and texts the recipient ('gift-received'). Resolves like transferSeconds():
+// { ok, duplicate, reason?, seconds } with reason zero | insufficient | same-contact | no-contact | error, plus
+// `texted` when the recipient's text went out.
+export async function giveSeconds(fromUserId, toPhone, seconds, { idempotencyKey = null, info = {}, log = console } = {}) {
+  const to = giftRecipient(toPhone);
+  if (!to) return { ok: false, reason: 'no-contact' };
+  const res = await transferSeconds(fromUserId, to, seconds, { idempotencyKey, info });
+  if (res.ok && !res.duplicate) {
+    const minutes = Math.max(1, Math.round(res.seconds / 60));
+    const texted = await sendTemplate(to, 'gift-received', { minutes, from: giftRecipient(fromUserId) || '' }, { log }).catch(() => false);
+    return { ...res, texted };
+  }
+  return res;
+}
@@ -0,0 +1,246 @@
+// src/lib/scheduled-calls.mjs — callbacks: "call me back tomorrow morning"
+// Callbacks are rows in ScheduledCalls, created by the agent's `schedule_callback` tool or the admin route.
+// The scheduler polls for due rows, claims each one (so replicas never double-dial), checks the user still
+// has minutes, and rings them through the configured dialer (src/lib/dialers.mjs). Twilio reports how the
+// call went: `completed` finishes the callback; no-answer, busy or failed retry with exponential backoff
+// until OUTBOUND_MAX_ATTEMPTS dials have been made.
+//   pending → dialing → answered → completed
+//                     ↘ pending (retry) | failed        skipped: no minutes left when it was due
+import { tool } from '@openai/agents/realtime';
+import { initDb } from './db.mjs';
+import { totalSecondsLeft, recordActivity } from './license.mjs';
+import { normalizeDigits } from './contacts.mjs';
+import { timeZoneFor } from './sms-policy.mjs';
+import { getDialer } from './dialers.mjs';
+
+// A `dialing` row with no status callback after this long is treated as unanswered
+const STALE_DIALING_MS = 10 * 60 * 1000;
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+// Wait before retry number `attempt` (1 = after the first failed dial): base, 2x base, 4x base, ... capped
+export function retryDelaySeconds(attempt) {
+  const base = Number(process.env.OUTBOUND_RETRY_BASE_SECONDS || '600') || 600;
+  const max = Number(process.env.OUTBOUND_RETRY_MAX_SECONDS || '7200') || 7200;
+  return Math.min(max, base * 2 ** Math.max(0, attempt - 1));
+}
+
+function localTime(date, timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date);
+  } catch {
+    return date.toISOString();
+  }
+}
+
+// Returns the new row, or null without a DB. `runAt` is a Date; `source` is agent | admin.
+export async function scheduleCall({ userId, runAt, note = null, source, originCallId = null }) {
+  const { ScheduledCall } = await models();
+  if (!ScheduledCall) return null;
+  return ScheduledCall.create({
+    user_id: normalizeDigits(userId),
+    run_at: runAt,
+    status: 'pending',
+    max_attempts: Number(process.env.OUTBOUND_MAX_ATTEMPTS || '3') || 3,
+    note,
+    source,
+    origin_call_id: originCallId,
+  });
+}
+
+export async function getScheduledCall(id) {
+  const { ScheduledCall } = await models();
+  if (!ScheduledCall || !id) return null;
+  return ScheduledCall.findByPk(id).catch(() => null);
+}
+
+async function pendingCount(userId) {
+  const { ScheduledCall } = await models();
+  if (!ScheduledCall) return 0;
+  return ScheduledCall.count({ where: { user_id: normalizeDigits(userId), status: 'pending' } });
+}
+
+// The user picked up: the call is now handled like any other live call
+export async function markAnswered(id, { providerCallId = null } = {}) {
+  const row = await getScheduledCall(id);
+  if (!row || row.status !== 'dialing') return row;
+  await row.update({ status: 'answered', ...(providerCallId ? { provider_call_id: providerCallId } : {}) });
+  console.log('[Callbacks] Answered', { id: row.id, userId: row.user_id });
+  return row;
+}
+
+// SIP dialer: the answered leg reaches /openai-sip with X-Scheduled-Call-Id. Returns { id, note } (and marks
+// the callback answered) when the header names a callback being dialed to this same caller, else null.
+export async function callbackFromSipHeaders(headers, userId) {
+  const id = (headers || []).find(h => String(h?.name || '').toLowerCase() === 'x-scheduled-call-id')?.value;
+  if (!id) return null;
+  const row = await getScheduledCall(id);
+  if (!row || row.status !== 'dialing' || row.user_id !== normalizeDigits(userId)) return null;
+  await markAnswered(row.id);
+  return { id: row.id, note: row.note };
+}
+
+async function retryOrFail(row, error) {
+  if (row.attempts >= row.max_attempts) {
+    await row.update({ status: 'failed', last_error: error });
+    console.log('[Callbacks] Giving up', { id: row.id, userId: row.user_id, attempts: row.attempts, error });
+    recordActivity(row.user_id, { actionType: 'callback', outcome: 'failed', info: { scheduled_call_id: row.id, error } }).catch(() => {});
+    return;
+  }
+  const delay = retryDelaySeconds(row.attempts);
+  await row.update({ status: 'pending', run_at: new Date(Date.now() + delay * 1000), last_error: error });
+  console.log('[Callbacks] Retrying later', { id: row.id, userId: row.user_id, attempts: row.attempts, delay, error });
+}
+
+// Twilio's final CallStatus for a dial: completed | busy | no-answer | failed | canceled
+export async function reportOutcome(id, { status, providerCallId = null } = {}) {
+  const row = await getScheduledCall(id);
+  if (!row || !['dialing', 'answered'].includes(row.status)) return false;
+  if (providerCallId && row.provider_call_id && providerCallId !== row.provider_call_id) return false;
+  if (status === 'completed') {
+    await row.update({ status: 'completed', last_error: null });
+    recordActivity(row.user_id, { actionType: 'callback', outcome: 'completed', info: { scheduled_call_id: row.id, call_id: providerCallId } }).catch(() => {});
+    return true;
+  }
+  await retryOrFail(row, status || 'unknown');
+  return true;
+}
+
+// Agent tool for the caller on `callId`. Times are resolved by the model against the caller's local time,
+// which the description states as of the start of the call.
+export function createScheduleCallbackTool({ callId, userId, log = console, wrapExecute = (fn) => fn, now = () => new Date() }) {
+  const timeZone = timeZoneFor(userId);
+  const MAX_DAYS = Number(process.env.OUTBOUND_MAX_DAYS_AHEAD || '30') || 30;
+  const MAX_PENDING = Number(process.env.OUTBOUND_MAX_PENDING_PER_USER || '3') || 3;
+
+  return tool({
+    name: 'schedule_callback',
+    description: `Schedule a phone call back to the caller at a time they ask for (e.g. "call me back tomorrow morning"). Confirm the day and time with the caller before calling this. The caller's time zone is ${timeZone}; when this call started it was ${localTime(now(), timeZone)} there.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        when: { type: 'string', description: 'When to call, as an ISO 8601 date-time with UTC offset, e.g. 2025-03-04T09:00:00-05:00' },
+        note: { type: 'string', description: 'What the callback is about, in a few words' },
+      },
+      required: ['when', 'note'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ when, note }) => {
+      if (!normalizeDigits(userId)) return 'The caller\'s number is hidden, so we cannot call them back. Suggest they call again instead.';
+      const runAt = new Date(when);
+      if (Number.isNaN(runAt.getTime())) return 'That time could not be understood. Ask the caller for a specific day and time.';
+      const ahead = runAt.getTime() - now().getTime();
+      if (ahead < 60 * 1000) return 'That time has already passed. Ask the caller for a time in the future.';
+      if (ahead > MAX_DAYS * 24 * 60 * 60 * 1000) return `Callbacks can be scheduled up to ${MAX_DAYS} days ahead. Ask the caller for an earlier time.`;
+      if (await pendingCount(userId).catch(() => 0) >= MAX_PENDING) {
+        return 'This caller already has the maximum number of callbacks scheduled. Let them know we will call at the times already arranged.';
+      }
+      const row = await scheduleCall({ userId, runAt, note, source: 'agent', originCallId: callId });
+      if (!row) return { ok: false, error: 'Callbacks are unavailable right now. Apologize and suggest the caller call again.' };
+      log.info({ callId, userId, scheduledCallId: row.id, runAt: runAt.toISOString() }, 'Callback scheduled');
+      recordActivity(userId, { actionType: 'callback', outcome: 'scheduled', info: { scheduled_call_id: row.id, call_id: callId, run_at: runAt.toISOString() } }).catch(() => {});
+      return `Callback scheduled for ${localTime(runAt, timeZone)} (caller's time). Confirm this briefly to the caller.`;
+    }),
+  });
+}
+
+// Polls every OUTBOUND_POLL_SECONDS for due callbacks. `isPaused()` (e.g. the server is draining) skips a
+// round; `dialer` defaults to the one configured in src/lib/dialers.mjs.
+export function createScheduler({
+  log = console,
+  dialer = null,
+  isPaused = () => false,
+  pollSeconds = Number(process.env.OUTBOUND_POLL_SECONDS || '30'),
+} = {}) {
+  let timer = null;
+  let running = null;
+  let warnedNoDialer = false;
+
+  async function placeCall(ScheduledCall, row, activeDialer) {
+    const [claimed] = await ScheduledCall.update(
+      { status: 'dialing', attempts: row.attempts + 1, dialer: activeDialer.name },
+      { where: { id: row.id, status: 'pending' } }
+    );
+    if (!claimed) return; // another instance got it
+    await row.reload();
+
+    const left = await totalSecondsLeft(row.user_id).catch(() => 0);
+    if (left <= 0) {
+      await row.update({ status: 'skipped', last_error: 'no-minutes' });
+      log.info({ scheduledCallId: row.id, userId: row.user_id }, 'Callback skipped: no minutes left');
+      recordActivity(row.user_id, { actionType: 'callback', outcome: 'skipped', info: { scheduled_call_id: row.id, reason: 'no-minutes' } }).catch(() => {});
+      return;
+    }
+
+    const res = await activeDialer.dial({ userId: row.user_id, scheduledCallId: row.id });
+    if (res.ok) {
+      await row.update({ provider_call_id: res.id || null });
+      log.info({ scheduledCallId: row.id, userId: row.user_id, attempt: row.attempts, providerCallId: res.id }, 'Callback dialing');
+    } else {
+      log.warn({ scheduledCallId: row.id, userId: row.user_id, error: res.error }, 'Callback dial failed');
+      await retryOrFail(row, res.error || 'dial failed');
+    }
+  }
+
+  // One round: recover dials whose outcome never arrived, then dial what is due. Resolves with the number dialed.
+  async function runOnce(now = new Date()) {
+    if (isPaused()) return 0;
+    const { ScheduledCall } = await models();
+    if (!ScheduledCall) return 0;
+    const activeDialer = dialer || getDialer();
+    if (!activeDialer) {
+      if (!warnedNoDialer) log.warn('Callbacks: no outbound dialer configured; scheduled calls stay pending');
+      warnedNoDialer = true;
+      return 0;
+    }
+    const { Op } = await import('sequelize');
+
+    const stale = await ScheduledCall.findAll({
+      where: { status: 'dialing', updated_at: { [Op.lt]: new Date(now.getTime() - STALE_DIALING_MS) } },
+      limit: 50,
+    });
+    for (const row of stale) await retryOrFail(row, 'no status callback');
+
+    const due = await ScheduledCall.findAll({
+      where: { status: 'pending', run_at: { [Op.lte]: now } },
+      order: [['run_at', 'ASC']],
+      limit: 20,
+    });
+    for (const row of due) {
+      if (isPaused()) break;
+      try {
+        await placeCall(ScheduledCall, row, activeDialer);
+      } catch (e) {
+        log.warn({ scheduledCallId: row.id, err: e?.message || String(e) }, 'Callback failed');
+      }
+    }
+    return due.length;
+  }
+
+  function tick() {
+    timer = setTimeout(async () => {
+      running = runOnce().catch((e) => log.warn({ err: e?.message || String(e) }, 'Callback scheduler round failed'));
+      await running;
+      running = null;
+      if (timer) tick();
+    }, Math.max(1, pollSeconds) * 1000);
+  }
+
+  return {
+    runOnce,
+    start() {
+      if (timer) return;
+      tick();
+      log.info({ pollSeconds }, 'Callback scheduler started');
+    },
+    // Stops polling; resolves once a round in progress has finished
+    async stop() {
+      if (timer) { clearTimeout(timer); timer = null; }
+      if (running) await running;
+    },
+  };
+}
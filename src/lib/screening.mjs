@@ -0,0 +1,89 @@
+// src/lib/screening.mjs — caller screening before a SIP call is accepted
+// Returns one of three actions per call: 'accept' (normal call), 'announce' (accept, play a short canned
+// message, hang up) or 'reject' (refuse via the calls `reject` endpoint). Rules, first match wins:
+//   1. Contact.is_blocked                → SCREEN_BLOCKED_ACTION (default reject)
+//   2. SCREEN_DENY_PREFIXES match        → SCREEN_DENY_ACTION (default reject)
+//   3. SCREEN_ALLOW_PREFIXES set, no match → SCREEN_NOT_ALLOWED_ACTION (default reject)
+//   4. anonymous caller                  → SCREEN_ANONYMOUS_ACTION (default accept)
+//   5. > SCREEN_MAX_CALLS_PER_HOUR calls → SCREEN_RATE_LIMIT_ACTION (default announce)
+// Each decision says whether the caller already has a Contact (`known`), so turned-away numbers can be
+// logged without creating one.
+import { findContactByPhone } from './contacts.mjs';
+
+const ACTIONS = new Set(['accept', 'announce', 'reject']);
+const HOUR_MS = 60 * 60 * 1000;
+
+// number -> timestamps (ms) of recent call attempts, for the per-number hourly limit
+const attempts = new Map();
+
+function action(envName, fallback) {
+  const v = String(process.env[envName] || '').trim().toLowerCase();
+  return ACTIONS.has(v) ? v : fallback;
+}
+
+function prefixes(envName) {
+  return String(process.env[envName] || '')
+    .split(',')
+    .map(p => p.replace(/\D/g, ''))
+    .filter(Boolean);
+}
+
+function messageFor(rule) {
+  const custom = process.env[`SCREEN_${rule.toUpperCase().replace(/-/g, '_')}_MESSAGE`];
+  if (custom) return custom;
+  if (rule === 'rate-limit') return 'You have called several times in the last hour. Please try again a little later. Goodbye.';
+  if (rule === 'anonymous') return 'We can’t take calls from hidden numbers. Please call again with caller ID enabled. Goodbye.';
+  return 'We are unable to take your call right now. Goodbye.';
+}
+
+function decision(act, rule) {
+  return { action: act, rule, message: act === 'announce' ? messageFor(rule) : null };
+}
+
+// Records this attempt and returns how many attempts the number made in the last hour (including it)
+function countAttempt(userDigits, now) {
+  const list = (attempts.get(userDigits) || []).filter(t => now - t < HOUR_MS);
+  list.push(now);
+  attempts.set(userDigits, list);
+  if (attempts.size > 10_000) {
+    for (const [k, v] of attempts) {
+      if (!v.length || now - v[v.length - 1] >= HOUR_MS) attempts.delete(k);
+    }
+  }
+  return list.length;
+}
+
+export async function screenCaller(userId, { now = Date.now() } = {}) {
+  const anonymous = !userId || userId === 'anonymous';
+  const digits = anonymous ? '' : String(userId).replace(/\D/g, '');
+  let known = false;
+  const decide = (act, rule) => ({ ...decision(act, rule), known });
+
+  if (digits) {
+    try {
+      const res = await findContactByPhone(digits);
+      known = !!res?.contact;
+      if (res?.contact?.is_blocked) return decide(action('SCREEN_BLOCKED_ACTION', 'reject'), 'blocked');
+    } catch (e) {
+      console.warn('[Screening] Contact lookup failed', e?.message || e);
+    }
+
+    if (prefixes('SCREEN_DENY_PREFIXES').some(p => digits.startsWith(p))) {
+      return decide(action('SCREEN_DENY_ACTION', 'reject'), 'deny-prefix');
+    }
+    const allow = prefixes('SCREEN_ALLOW_PREFIXES');
+    if (allow.length && !allow.some(p => digits.startsWith(p))) {
+      return decide(action('SCREEN_NOT_ALLOWED_ACTION', 'reject'), 'not-allowed-prefix');
+    }
+  } else {
+    const act = action('SCREEN_ANONYMOUS_ACTION', 'accept');
+    if (act !== 'accept') return decide(act, 'anonymous');
+  }
+
+  const maxPerHour = Number(process.env.SCREEN_MAX_CALLS_PER_HOUR || '0') || 0;
+  if (digits && maxPerHour > 0 && countAttempt(digits, now) > maxPerHour) {
+    return decide(action('SCREEN_RATE_LIMIT_ACTION', 'announce'), 'rate-limit');
+  }
+
+  return decide('accept', anonymous ? 'anonymous' : 'default');
+}
@@ -0,0 +1,198 @@
+// src/lib/self-service.mjs — account tools the agent can use for the caller during a call
+// `get_balance`, `send_topup_link`, `redeem_license`, `redeem_promo_code`, `gift_minutes` and `update_my_name`
+// always act on the caller of this call (the number from the SIP headers or Twilio's From), never on a number
+// or id the caller says, and do nothing for hidden numbers. The only number a caller gives is a gift's
+// recipient. License keys and promo codes together are limited to REDEEM_ATTEMPTS_PER_CALL tries per call.
+import { tool } from '@openai/agents/realtime';
+import { isPro, recordActivity, totalSecondsLeft } from './license.mjs';
+import { normalizeDigits, setContactName } from './contacts.mjs';
+import { buildCheckoutLink } from './catalog.mjs';
+import { redeemLicense } from './gumroad.mjs';
+import { redeemPromoCode, giveSeconds, giftRecipient } from './promos.mjs';
+import { topupUserFor } from './pools.mjs';
+import { renderTemplate } from './sms-templates.mjs';
+
+const HIDDEN_NUMBER = 'The caller\'s number is hidden, so their account cannot be looked up. Explain this briefly.';
+
+function minutesText(seconds) {
+  if (seconds < 60) return 'less than a minute';
+  const mins = Math.floor(seconds / 60);
+  return `${mins} minute${mins === 1 ? '' : 's'}`;
+}
+
+// Gumroad keys are read out with spaces or in lower case: keep letters, digits and dashes, upper-cased
+function cleanLicenseKey(key) {
+  return String(key || '').toUpperCase().replace(/[^A-Z0-9-]/g, '');
+}
+
+// `sendSms(uid, body, opts)` is the call's SMS sender; `usedSeconds()` is what this call will be billed so
+// far, which the stored balance doesn't include yet. Returns the tools.
+export function createSelfServiceTools({ callId, userId, log = console, sendSms, usedSeconds = () => 0, wrapExecute = (fn) => fn }) {
+  const known = !!normalizeDigits(userId) && userId !== 'anonymous';
+  const maxRedeemAttempts = Number(process.env.REDEEM_ATTEMPTS_PER_CALL || '3') || 3;
+  let redeemAttempts = 0;
+  const tooManyAttempts = 'Too many attempts on this call. Ask the caller to check what they were sent and call back.';
+
+  // Number of a gift recipient as the caller said it; null when it isn't a full international number
+  function recipientOf(phone) {
+    const to = giftRecipient(phone);
+    return to && normalizeDigits(to) !== normalizeDigits(userId) ? to : null;
+  }
+
+  const getBalance = tool({
+    name: 'get_balance',
+    description: 'Look up how much calling time the caller has left. Use when they ask about their minutes or balance.',
+    parameters: { type: 'object', properties: {}, required: [], additionalProperties: false },
+    execute: wrapExecute(async () => {
+      if (!known) return HIDDEN_NUMBER;
+      if (await isPro(userId)) return 'The caller has unlimited calling. Tell them briefly.';
+      const left = Math.max(0, (await totalSecondsLeft(userId)) - usedSeconds());
+      log.info({ callId, userId, secondsLeft: left }, 'Balance requested');
+      return `The caller has about ${minutesText(left)} of calling time left, counting this call so far. Tell them briefly.`;
+    }),
+  });
+
+  const sendTopupLink = tool({
+    name: 'send_topup_link',
+    description: 'Text the caller a link to buy more calling minutes, for themselves or as a gift for another phone number. Use when they ask how to add minutes or accept your offer to send the link.',
+    parameters: {
+      type: 'object',
+      properties: {
+        gift_to: { type: ['string', 'null'], description: 'To buy minutes for someone else: their phone number with country code. null for the caller\'s own line.' },
+      },
+      required: ['gift_to'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ gift_to } = {}) => {
+      if (!known) return HIDDEN_NUMBER;
+      const giftTo = gift_to ? recipientOf(gift_to) : null;
+      if (gift_to && !giftTo) return 'That is not a full phone number for someone else. Ask for the number again, with the country code.';
+      // Without a recipient the link is for the caller's line, which for a pool member is the pool
+      const buyFor = giftTo || await topupUserFor(userId);
+      const link = buildCheckoutLink(buyFor, process.env.TOPUP_SMS_PACK, buyFor === userId ? {} : { giftFrom: userId });
+      if (!link) return { ok: false, error: 'No store link is configured. Apologize briefly.' };
+      const { text, locale } = renderTemplate('topup-link', { link }, { to: userId });
+      const sent = await sendSms(userId, text, { template: 'topup-link', locale, callId });
+      log.info({ callId, userId, giftTo, sent }, 'Top-up link requested');
+      return sent
+        ? 'The link is on its way by text message. Tell them briefly.'
+        : 'The text could not be sent right now (they may have opted out of texts). Apologize briefly and suggest trying again later.';
+    }),
+  });
+
+  const redeemLicenseTool = tool({
+    name: 'redeem_license',
+    description: 'Redeem a Gumroad license key the caller reads out, adding what they bought to their line. Read the key back to confirm before using this.',
+    parameters: {
+      type: 'object',
+      properties: {
+        license_key: { type: 'string', description: 'The license key, e.g. ABCD1234-EF567890-12345678-9ABCDEF0' },
+      },
+      required: ['license_key'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ license_key }) => {
+      if (!known) return HIDDEN_NUMBER;
+      if (redeemAttempts >= maxRedeemAttempts) return tooManyAttempts;
+      const key = cleanLicenseKey(license_key);
+      if (key.length < 8) return 'That does not look like a complete license key. Ask the caller to read it again.';
+      redeemAttempts += 1;
+      const res = await redeemLicense(userId, key);
+      log.info({ callId, userId, ok: res.ok, reason: res.reason }, 'License redemption');
+      if (res.reason === 'not-configured' || res.reason === 'no-db') return { ok: false, error: 'License keys cannot be redeemed right now. Apologize briefly.' };
+      if (res.reason === 'already-redeemed') return 'That purchase has already been added to a line, so it cannot be redeemed again. Tell the caller briefly; get_balance shows what they have.';
+      if (res.reason === 'refunded') return 'That purchase was refunded or disputed, so it cannot be redeemed. Tell the caller briefly.';
+      if (!res.ok) {
+        recordActivity(userId, { actionType: 'license', outcome: 'redeem_failed', info: { call_id: callId, source: 'agent' } }).catch(() => {});
+        return 'That license key was not accepted. Ask the caller to read it again slowly, or check their purchase email.';
+      }
+      if (res.pack?.unlimited) return 'Done: unlimited calling is now active on their line. Tell them briefly.';
+      return `Done: ${minutesText(res.seconds)} were added to their line. Tell them briefly.`;
+    }),
+  });
+
+  const redeemPromo = tool({
+    name: 'redeem_promo_code',
+    description: 'Redeem a promo code the caller reads out, adding free minutes to their line. Read the code back to confirm before using this.',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'The promo code, letters and digits' },
+      },
+      required: ['code'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ code }) => {
+      if (!known) return HIDDEN_NUMBER;
+      if (redeemAttempts >= maxRedeemAttempts) return tooManyAttempts;
+      redeemAttempts += 1;
+      const res = await redeemPromoCode(userId, code, { source: 'agent' });
+      log.info({ callId, userId, ok: res.ok, reason: res.reason }, 'Promo code redemption');
+      if (res.ok) return `Done: ${minutesText(res.seconds)} were added to their line. Tell them briefly.`;
+      if (res.reason === 'no-db' || res.reason === 'error') return { ok: false, error: 'Promo codes cannot be redeemed right now. Apologize briefly.' };
+      return {
+        'already-redeemed': 'The caller already used this code. Tell them kindly.',
+        expired: 'This code has expired. Tell them kindly.',
+        'used-up': 'This code has been used the maximum number of times. Tell them kindly.',
+        disabled: 'This code is no longer valid. Tell them kindly.',
+      }[res.reason] || 'That code was not found. Ask the caller to read it again, letter by letter.';
+    }),
+  });
+
+  const giftMinutes = tool({
+    name: 'gift_minutes',
+    description: 'Give some of the caller\'s minutes to another phone number. Confirm the number and the minutes with the caller first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        to_phone: { type: 'string', description: 'The recipient\'s phone number with country code' },
+        minutes: { type: 'integer', description: 'Whole minutes to give' },
+      },
+      required: ['to_phone', 'minutes'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ to_phone, minutes }) => {
+      if (!known) return HIDDEN_NUMBER;
+      const to = recipientOf(to_phone);
+      if (!to) return 'That is not a full phone number for someone else. Ask for the number again, with the country code.';
+      const mins = Math.trunc(Number(minutes) || 0);
+      if (mins <= 0) return 'Ask the caller how many minutes they want to give.';
+      // Minutes already used on this call aren't in the stored balance yet (unlimited callers give from it too)
+      const pro = await isPro(userId);
+      const left = pro ? Infinity : (await totalSecondsLeft(userId)) - usedSeconds();
+      const notEnough = 'The caller does not have that many minutes to give. Tell them briefly; get_balance tells how many they have.';
+      if (left < mins * 60) return notEnough;
+      const res = await giveSeconds(userId, to, mins * 60, { info: { call_id: callId, source: 'agent' }, log });
+      log.info({ callId, userId, to, minutes: mins, ok: res.ok, reason: res.reason }, 'Gift requested');
+      if (res.reason === 'insufficient') return notEnough;
+      if (!res.ok) return { ok: false, error: 'The gift could not be sent. Apologize briefly.' };
+      const textNote = res.texted ? ', and we texted them about it' : ' (we could not text them about it)';
+      return `Done: ${mins} minute${mins === 1 ? '' : 's'} went to ${to}${textNote}. Tell the caller briefly.`;
+    }),
+  });
+
+  const updateMyName = tool({
+    name: 'update_my_name',
+    description: 'Save the name the caller wants to be called. Use when they tell you their name or ask you to call them something else.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The name, as the caller wants it' },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    },
+    execute: wrapExecute(async ({ name }) => {
+      if (!known) return HIDDEN_NUMBER;
+      const clean = String(name || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+      if (!clean) return 'No name was given. Ask the caller what they would like to be called.';
+      const res = await setContactName(userId, clean);
+      if (!res.ok) return { ok: false, error: 'Could not save the name. Apologize briefly.' };
+      log.info({ callId, userId }, 'Caller name updated');
+      recordActivity(userId, { actionType: 'contact', outcome: 'name_updated', info: { call_id: callId, source: 'agent' } }).catch(() => {});
+      return `Saved. From now on the caller is ${clean}. Confirm briefly, using their name.`;
+    }),
+  });
+
+  return [getBalance, sendTopupLink, redeemLicenseTool, redeemPromo, giftMinutes, updateMyName];
+}
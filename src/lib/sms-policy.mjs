@@ -0,0 +1,164 @@
+// src/lib/sms-policy.mjs — who may be texted, and when
+// Checked before every outbound SMS, in order:
+//   1. opt-out: the number replied STOP (SmsOptOuts table; in memory without a DB) → never texted
+//   2. cooldown: the same template went to the same number within SMS_COOLDOWN_SECONDS (default 3600)
+//   3. quiet hours: SMS_QUIET_HOURS (e.g. "21-8") in the recipient's local time. The time zone comes
+//      from the number's country code (SMS_TIMEZONE_BY_PREFIX overrides, SMS_DEFAULT_TIMEZONE fallback).
+// Templates listed in SMS_URGENT_TEMPLATES (default crisis-line) and SMS_TRANSACTIONAL_TEMPLATES (what the caller
+// asked for or bought: links, receipts, gifts) skip cooldown and quiet hours, never opt-out. Those in
+// SMS_COOLDOWN_EXEMPT_TEMPLATES (default verify-code: anyone can ask for one from the web) skip only the cooldown.
+import { initDb } from './db.mjs';
+
+// Country calling code -> representative time zone; longest prefix wins
+const DEFAULT_TIMEZONES = {
+  '1': 'America/New_York',
+  '44': 'Europe/London',
+  '33': 'Europe/Paris',
+  '32': 'Europe/Brussels',
+  '31': 'Europe/Amsterdam',
+  '49': 'Europe/Berlin',
+  '41': 'Europe/Zurich',
+  '43': 'Europe/Vienna',
+  '39': 'Europe/Rome',
+  '34': 'Europe/Madrid',
+  '7': 'Europe/Moscow',
+  '380': 'Europe/Kyiv',
+  '972': 'Asia/Jerusalem',
+  '61': 'Australia/Sydney',
+  '27': 'Africa/Johannesburg',
+  '52': 'America/Mexico_City',
+  '54': 'America/Argentina/Buenos_Aires',
+  '55': 'America/Sao_Paulo',
+};
+
+// number -> opted out (used when no DB is configured)
+const memoryOptOuts = new Map();
+// `${number}|${template}` -> last send (ms) (used when no DB is configured)
+const memorySends = new Map();
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+const digitsOf = (n) => String(n || '').replace(/\D/g, '');
+
+const DEFAULT_TRANSACTIONAL_TEMPLATES = 'topup-link,purchase-receipt,purchase-receipt-unlimited,gift-received';
+
+function templateList(value) {
+  return String(value).split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function exemptTemplates() {
+  return [
+    ...templateList(process.env.SMS_URGENT_TEMPLATES ?? 'crisis-line'),
+    ...templateList(process.env.SMS_TRANSACTIONAL_TEMPLATES ?? DEFAULT_TRANSACTIONAL_TEMPLATES),
+  ];
+}
+
+export function timeZoneFor(to) {
+  const digits = digitsOf(to);
+  let custom = {};
+  try { custom = JSON.parse(process.env.SMS_TIMEZONE_BY_PREFIX || '{}') || {}; } catch {}
+  const table = { ...DEFAULT_TIMEZONES };
+  for (const [prefix, tz] of Object.entries(custom)) {
+    if (digitsOf(prefix) && typeof tz === 'string') table[digitsOf(prefix)] = tz;
+  }
+  const hit = Object.keys(table).sort((a, b) => b.length - a.length).find(p => digits.startsWith(p));
+  return hit ? table[hit] : (process.env.SMS_DEFAULT_TIMEZONE || 'UTC');
+}
+
+function localHour(timeZone, now) {
+  try {
+    return Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(now));
+  } catch {
+    return now.getUTCHours();
+  }
+}
+
+// "21-8" → quiet from 21:00 until 08:00 local time (wraps midnight); empty → never quiet
+export function inQuietHours(to, now = new Date()) {
+  const m = String(process.env.SMS_QUIET_HOURS || '').match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/);
+  if (!m) return false;
+  const start = Number(m[1]);
+  const end = Number(m[2]);
+  if (start === end) return false;
+  const hour = localHour(timeZoneFor(to), now);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+export async function isOptedOut(to) {
+  const number = digitsOf(to);
+  if (!number) return false;
+  try {
+    const { SmsOptOut } = await models();
+    if (SmsOptOut) {
+      const row = await SmsOptOut.findOne({ where: { number } });
+      return !!row?.opted_out;
+    }
+  } catch (e) {
+    console.warn('[SMS] Opt-out lookup failed', e?.message || e);
+  }
+  return !!memoryOptOuts.get(number);
+}
+
+// STOP → true, START → false. `keyword` is what the person texted.
+export async function setOptOut(to, optedOut, { keyword = null } = {}) {
+  const number = digitsOf(to);
+  if (!number) return false;
+  memoryOptOuts.set(number, !!optedOut);
+  try {
+    const { SmsOptOut } = await models();
+    if (SmsOptOut) {
+      await SmsOptOut.upsert({ number, opted_out: !!optedOut, keyword, changed_at: new Date() }, { conflictFields: ['number'] });
+    }
+  } catch (e) {
+    console.warn('[SMS] Opt-out update failed', e?.message || e);
+    return false;
+  }
+  return true;
+}
+
+async function sentRecently(number, template, seconds, now) {
+  const since = new Date(now.getTime() - seconds * 1000);
+  try {
+    const { SmsMessage } = await models();
+    if (SmsMessage) {
+      const { Op } = await import('sequelize');
+      const row = await SmsMessage.findOne({
+        where: { to: `+${number}`, template, status: { [Op.in]: ['sent', 'outbox'] }, created_at: { [Op.gte]: since } },
+      });
+      return !!row;
+    }
+  } catch (e) {
+    console.warn('[SMS] Cooldown lookup failed', e?.message || e);
+  }
+  return (memorySends.get(`${number}|${template}`) || 0) >= since.getTime();
+}
+
+// Returns { ok: true } or { ok: false, reason: 'opted-out' | 'cooldown' | 'quiet-hours' }
+export async function checkSendPolicy({ to, template = null, now = new Date() }) {
+  const number = digitsOf(to);
+  if (await isOptedOut(number)) return { ok: false, reason: 'opted-out' };
+  if (template && exemptTemplates().includes(template)) return { ok: true };
+
+  const cooldown = Number(process.env.SMS_COOLDOWN_SECONDS || '3600') || 0;
+  const repeatable = templateList(process.env.SMS_COOLDOWN_EXEMPT_TEMPLATES ?? 'verify-code');
+  if (template && cooldown > 0 && !repeatable.includes(template) && await sentRecently(number, template, cooldown, now)) {
+    return { ok: false, reason: 'cooldown' };
+  }
+  if (inQuietHours(number, now)) return { ok: false, reason: 'quiet-hours' };
+  return { ok: true };
+}
+
+// Called after a successful send so the in-memory cooldown works without a DB
+export function noteSent({ to, template = null, now = new Date() }) {
+  if (!template) return;
+  const number = digitsOf(to);
+  memorySends.set(`${number}|${template}`, now.getTime());
+  if (memorySends.size > 10_000) {
+    const cutoff = now.getTime() - 24 * 60 * 60 * 1000;
+    for (const [k, t] of memorySends) if (t < cutoff) memorySends.delete(k);
+  }
+}
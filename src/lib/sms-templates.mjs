@@ -0,0 +1,97 @@
+// src/lib/sms-templates.mjs — SMS texts by template name and locale
+// Built-in English and Hebrew texts; override or add locales with SMS_TEMPLATES (JSON) or SMS_TEMPLATES_FILE
+// (path to the same JSON): { "en": { "out-of-minutes": "..." }, "yi": { ... } }. Placeholders look like {link};
+// purchase receipts also get {minutes}, {pack} and {until} (YYYY-MM-DD, empty for permanent grants), call
+// recaps {next_step}, gifts {from} (the giver's number) and {minutes}, and verification codes {code} and {minutes}.
+// The locale comes from the recipient's number via SMS_LOCALE_BY_PREFIX ({ "+972": "he" }), else
+// SMS_DEFAULT_LOCALE (default en); a template missing in that locale falls back to English.
+import fs from 'node:fs';
+
+const BUILT_IN = {
+  en: {
+    'out-of-minutes': 'You\'re out of minutes. Add more here: {link}',
+    'low-balance': 'Your minutes are almost used up. Add more here: {link}',
+    'purchase-receipt': 'Thank you for your purchase! {minutes} minutes were added to your line.',
+    'purchase-receipt-unlimited': 'Thank you for your purchase! Unlimited calling is now active on your line.',
+    'opt-out': 'You will no longer receive texts from us. Reply START to resubscribe.',
+    'opt-in': 'You are subscribed to texts again. Reply STOP to unsubscribe, HELP for help.',
+    'help': 'Texts about your calling minutes. Reply STOP to unsubscribe, START to resubscribe.',
+    'call-recap': 'Thanks for calling! The next step we talked about: {next_step}',
+    'topup-link': 'Here is the link to add calling minutes: {link}',
+    'gift-received': '{from} sent you {minutes} minutes of calling time.',
+    'verify-code': 'Your code to redeem a promo code: {code}. It expires in {minutes} minutes.',
+  },
+  he: {
+    'out-of-minutes': 'נגמרו הדקות שלך. אפשר להוסיף כאן: {link}',
+    'low-balance': 'הדקות שלך עומדות להיגמר. אפשר להוסיף כאן: {link}',
+    'purchase-receipt': 'תודה על הרכישה! {minutes} דקות נוספו לקו שלך.',
+    'purchase-receipt-unlimited': 'תודה על הרכישה! שיחות ללא הגבלה הופעלו בקו שלך.',
+    'opt-out': 'לא תקבל/י יותר הודעות מאיתנו. להרשמה מחדש השב/י START.',
+    'opt-in': 'ההרשמה להודעות חודשה. להסרה השב/י STOP, לעזרה HELP.',
+    'help': 'הודעות על דקות השיחה שלך. להסרה השב/י STOP, להרשמה מחדש START.',
+    'call-recap': 'תודה על השיחה! הצעד הבא שדיברנו עליו: {next_step}',
+    'topup-link': 'הנה הקישור להוספת דקות שיחה: {link}',
+    'gift-received': '{from} שלח/ה לך {minutes} דקות שיחה.',
+    'verify-code': 'הקוד שלך למימוש קוד הטבה: {code}. הוא בתוקף {minutes} דקות.',
+  },
+};
+
+let cached = null; // { source, templates }
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.warn(`[SMS] Ignoring invalid ${what}:`, e?.message || e);
+    return {};
+  }
+}
+
+function overrides() {
+  const file = process.env.SMS_TEMPLATES_FILE || '';
+  const inline = process.env.SMS_TEMPLATES || '';
+  const source = `${file}\n${inline}`;
+  if (cached?.source === source) return cached.templates;
+  let templates = {};
+  if (file) {
+    try {
+      templates = parseJson(fs.readFileSync(file, 'utf8'), 'SMS_TEMPLATES_FILE');
+    } catch (e) {
+      console.warn('[SMS] Cannot read SMS_TEMPLATES_FILE:', e?.message || e);
+    }
+  }
+  if (inline) {
+    const extra = parseJson(inline, 'SMS_TEMPLATES');
+    for (const [locale, texts] of Object.entries(extra || {})) {
+      templates[locale] = { ...(templates[locale] || {}), ...(texts || {}) };
+    }
+  }
+  cached = { source, templates };
+  return templates;
+}
+
+// Locale for a recipient (digits or E.164): longest matching SMS_LOCALE_BY_PREFIX entry wins
+export function localeFor(to) {
+  const digits = String(to || '').replace(/\D/g, '');
+  const map = parseJson(process.env.SMS_LOCALE_BY_PREFIX || '{}', 'SMS_LOCALE_BY_PREFIX') || {};
+  const prefixes = Object.keys(map)
+    .map(p => ({ digits: p.replace(/\D/g, ''), locale: map[p] }))
+    .filter(p => p.digits && typeof p.locale === 'string')
+    .sort((a, b) => b.digits.length - a.digits.length);
+  const hit = digits && prefixes.find(p => digits.startsWith(p.digits));
+  return hit ? hit.locale : (process.env.SMS_DEFAULT_LOCALE || 'en');
+}
+
+function lookup(name, locale) {
+  const custom = overrides();
+  return custom[locale]?.[name] ?? BUILT_IN[locale]?.[name] ?? custom.en?.[name] ?? BUILT_IN.en[name] ?? null;
+}
+
+// Renders template `name` for recipient `to` (or an explicit `locale`). Returns { text, locale } or null.
+export function renderTemplate(name, vars = {}, { to = null, locale = null } = {}) {
+  const loc = locale || localeFor(to);
+  const template = lookup(name, loc);
+  if (template == null) return null;
+  const text = String(template).replace(/\{(\w+)\}/g, (_m, key) => (vars[key] == null ? '' : String(vars[key])));
+  return { text, locale: loc };
+}
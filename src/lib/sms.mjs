@@ -0,0 +1,232 @@
+// src/lib/sms.mjs — outbound SMS through a pluggable provider
+// SMS_PROVIDER picks the provider: twilio (default) | vonage | plivo | outbox. `outbox` appends messages
+// to SMS_OUTBOX_FILE (default outbox/sms.jsonl) instead of sending, for development and tests.
+// Every send is recorded in SmsMessages with its delivery status (sent | failed | disabled | outbox |
+// suppressed); opt-outs, cooldowns and quiet hours (src/lib/sms-policy.mjs) suppress a send.
+// Providers marked `whatsapp` can also deliver over WhatsApp (`channel: 'whatsapp'`): Twilio sends from
+// TWILIO_WHATSAPP_FROM, else the number pickTwilioFromFor picks for SMS.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { initDb } from './db.mjs';
+import { renderTemplate } from './sms-templates.mjs';
+import { checkSendPolicy, noteSent } from './sms-policy.mjs';
+import { smsSends } from './metrics.mjs';
+dotenv.config();
+
+export function formatE164(digits) {
+  const d = String(digits || '').replace(/\D/g, '');
+  if (!d) return '';
+  return d.startsWith('+') ? d : `+${d}`;
+}
+
+// Choose a suitable FROM for SMS based on destination country (fallbacks preserved)
+export function pickTwilioFromFor(toE164) {
+  const MSG_SID = process.env.TWILIO_MESSAGING_SERVICE_SID;
+  if (MSG_SID) return { messagingServiceSid: MSG_SID };
+
+  const mapStr = process.env.TWILIO_GEO_FROM_MAP || '';
+  let geoMap = {};
+  try { if (mapStr) geoMap = JSON.parse(mapStr); } catch {}
+
+  // Exact prefix match from map keys (e.g., { "+972": "+972533623944", "+1": "+15185551234" })
+  const prefixes = Object.keys(geoMap || {}).filter(k => typeof geoMap[k] === 'string');
+  prefixes.sort((a, b) => b.length - a.length); // longest prefix first
+  for (const p of prefixes) {
+    if (toE164.startsWith(p)) {
+      return { from: formatE164(geoMap[p]) };
+    }
+  }
+
+  // Simple Israeli override if provided
+  if (toE164.startsWith('+972')) {
+    const IL = process.env.TWILIO_FROM_IL || process.env.TWILIO_FROM_972;
+    if (IL) return { from: formatE164(IL) };
+  }
+
+  // Generic fallbacks
+  const FROM = process.env.TWILIO_FROM || process.env.TWILIO_NUMBER || process.env.TWILIO_FROM_DEFAULT;
+  if (FROM) return { from: formatE164(FROM) };
+
+  return {}; // none found
+}
+
+async function errorText(resp) {
+  const t = await resp.text().catch(() => '');
+  return `${resp.status} ${t}`.trim().slice(0, 500);
+}
+
+// Providers: { configured() → boolean, whatsapp?, send({ to, channel }) → { ok, id?, status?, error? } }
+// with `to` in E.164
+const providers = {
+  twilio: {
+    configured: () => !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN),
+    whatsapp: true,
+    async send({ to, body, channel }) {
+      const SID = process.env.TWILIO_ACCOUNT_SID;
+      const AUTH = process.env.TWILIO_AUTH_TOKEN;
+      const fromChoice = pickTwilioFromFor(to);
+      const whatsapp = channel === 'whatsapp';
+      const from = whatsapp ? formatE164(process.env.TWILIO_WHATSAPP_FROM || '') || fromChoice.from : fromChoice.from;
+      const address = (n) => (whatsapp ? `whatsapp:${n}` : n);
+      const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(SID)}/Messages.json`;
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Basic ' + Buffer.from(`${SID}:${AUTH}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          To: address(to),
+          Body: body,
+          ...(fromChoice.messagingServiceSid ? { MessagingServiceSid: fromChoice.messagingServiceSid } : {}),
+          ...(from ? { From: address(from) } : {}),
+        }),
+      });
+      if (!resp.ok) return { ok: false, error: await errorText(resp) };
+      const json = await resp.json().catch(() => ({}));
+      return { ok: true, id: json.sid || null, status: json.status || null };
+    },
+  },
+
+  // Vonage (Nexmo) SMS API
+  vonage: {
+    configured: () => !!(process.env.VONAGE_API_KEY && process.env.VONAGE_API_SECRET && process.env.VONAGE_FROM),
+    async send({ to, body }) {
+      const resp = await fetch('https://rest.nexmo.com/sms/json', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          api_key: process.env.VONAGE_API_KEY,
+          api_secret: process.env.VONAGE_API_SECRET,
+          from: process.env.VONAGE_FROM,
+          to: to.replace(/\D/g, ''),
+          text: body,
+          type: 'unicode',
+        }),
+      });
+      if (!resp.ok) return { ok: false, error: await errorText(resp) };
+      const msg = (await resp.json().catch(() => ({})))?.messages?.[0] || {};
+      if (String(msg.status) !== '0') return { ok: false, error: msg['error-text'] || `status ${msg.status}` };
+      return { ok: true, id: msg['message-id'] || null, status: 'submitted' };
+    },
+  },
+
+  // Plivo Message API
+  plivo: {
+    configured: () => !!(process.env.PLIVO_AUTH_ID && process.env.PLIVO_AUTH_TOKEN && process.env.PLIVO_FROM),
+    async send({ to, body }) {
+      const ID = process.env.PLIVO_AUTH_ID;
+      const resp = await fetch(`https://api.plivo.com/v1/Account/${encodeURIComponent(ID)}/Message/`, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Basic ' + Buffer.from(`${ID}:${process.env.PLIVO_AUTH_TOKEN}`).toString('base64'),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ src: process.env.PLIVO_FROM, dst: to.replace(/\D/g, ''), text: body }),
+      });
+      if (!resp.ok) return { ok: false, error: await errorText(resp) };
+      const json = await resp.json().catch(() => ({}));
+      return { ok: true, id: json.message_uuid?.[0] || null, status: 'queued' };
+    },
+  },
+
+  // Local sink: one JSON line per message
+  outbox: {
+    configured: () => true,
+    whatsapp: true,
+    async send({ to, body, template, locale, channel }) {
+      const file = path.resolve(process.env.SMS_OUTBOX_FILE || 'outbox/sms.jsonl');
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify({ at: new Date().toISOString(), to, channel, template, locale, body }) + '\n');
+      console.log(`[SMS][outbox] ${channel === 'whatsapp' ? 'whatsapp:' : ''}${to}: ${body}`);
+      return { ok: true, status: 'outbox' };
+    },
+  },
+};
+
+export function smsProviderName() {
+  const name = String(process.env.SMS_PROVIDER || 'twilio').trim().toLowerCase();
+  return providers[name] ? name : 'twilio';
+}
+
+export function providerSupportsWhatsApp() {
+  return !!providers[smsProviderName()].whatsapp;
+}
+
+async function models() {
+  const db = await import('./db.mjs');
+  try { await initDb(); } catch {}
+  return db;
+}
+
+async function recordMessage(row) {
+  try {
+    const { SmsMessage } = await models();
+    if (!SmsMessage) return;
+    await SmsMessage.create(row);
+  } catch (e) {
+    console.warn('[SMS] Record failed', e?.message || e);
+  }
+}
+
+// Returns true when the provider accepted the message. `log` is a pino-style logger; `template`,
+// `locale` and `callId` are stored with the delivery record. `channel` is sms (default) or whatsapp.
+export async function sendSms(uid, body, { log = console, template = null, locale = null, callId = null, channel = 'sms' } = {}) {
+  const to = formatE164(uid);
+  const providerName = smsProviderName();
+  const provider = providers[providerName];
+  const row = { to, provider: providerName, channel, template, locale, body, call_id: callId };
+  if (!to) return false;
+  if (channel === 'whatsapp' && !provider.whatsapp) {
+    log.warn({ to, provider: providerName }, 'WhatsApp not supported by SMS provider');
+    await recordMessage({ ...row, status: 'failed', error: 'whatsapp not supported' });
+    smsSends.inc({ template: template || 'none', outcome: 'failed' });
+    return false;
+  }
+  const policy = await checkSendPolicy({ to, template });
+  if (!policy.ok) {
+    log.info({ to, template, reason: policy.reason }, 'SMS suppressed');
+    await recordMessage({ ...row, status: 'suppressed', error: policy.reason });
+    smsSends.inc({ template: template || 'none', outcome: 'suppressed' });
+    return false;
+  }
+  if (!provider.configured()) {
+    log.info({ uid, provider: providerName }, 'SMS disabled (provider not configured)');
+    await recordMessage({ ...row, status: 'disabled' });
+    smsSends.inc({ template: template || 'none', outcome: 'disabled' });
+    return false;
+  }
+  let res;
+  try {
+    res = await provider.send({ to, body, template, locale, channel });
+  } catch (e) {
+    res = { ok: false, error: e?.message || String(e) };
+  }
+  if (res.ok) {
+    noteSent({ to, template });
+    log.info({ to, provider: providerName, channel, template, id: res.id }, 'Sent SMS');
+  } else {
+    log.warn({ to, provider: providerName, channel, template, error: res.error }, 'Failed to send SMS');
+  }
+  const status = res.ok ? (res.status === 'outbox' ? 'outbox' : 'sent') : 'failed';
+  smsSends.inc({ template: template || 'none', outcome: status });
+  await recordMessage({
+    ...row,
+    status,
+    provider_status: res.status || null,
+    provider_message_id: res.id || null,
+    error: res.error || null,
+  });
+  return !!res.ok;
+}
+
+// Renders a template (see sms-templates.mjs) in the recipient's locale and sends it
+export async function sendTemplate(uid, name, vars = {}, opts = {}) {
+  const rendered = renderTemplate(name, vars, { to: uid });
+  if (!rendered) {
+    (opts.log || console).warn({ template: name }, 'Unknown SMS template');
+    return false;
+  }
+  return sendSms(uid, rendered.text, { ...opts, template: name, locale: rendered.locale });
+}
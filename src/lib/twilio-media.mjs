@@ -0,0 +1,83 @@
+// src/lib/twilio-media.mjs — Realtime transport that bridges a Twilio Media Stream to OpenAI
+// Twilio sends 8 kHz μ-law frames as base64 `media` events; the session runs with audio/pcmu in and out,
+// so frames pass through untouched. Every audio chunk sent back is followed by a `mark` named
+// `<responseId>:<ms of that response sent so far>`; Twilio echoes a mark once the audio before it has
+// played, which tells us how much of the answer the caller actually heard. On barge-in (speech_started)
+// Twilio's buffer is cleared and the assistant item is truncated at the last played mark.
+import { OpenAIRealtimeWebSocket } from '@openai/agents/realtime';
+
+// Audio after the last echoed mark that has most likely played too (Twilio marks lag playback slightly)
+const PLAYBACK_SLACK_MS = 50;
+
+export class TwilioMediaStreamTransport extends OpenAIRealtimeWebSocket {
+  #twilio;
+  #streamSid;
+  #responseId = null;
+  #sentMs = 0;
+  #playedMs = 0;
+  #onTwilioMessage;
+  #onTwilioClose;
+
+  // `twilioWebSocket` is the `ws` socket Twilio connected with; `streamSid` comes from its `start` event
+  constructor({ twilioWebSocket, streamSid, ...options }) {
+    super(options);
+    this.#twilio = twilioWebSocket;
+    this.#streamSid = streamSid;
+    this.#onTwilioMessage = (data) => this.#handleTwilioEvent(data);
+    this.#onTwilioClose = () => {
+      if (this.status !== 'disconnected') this.close();
+    };
+  }
+
+  async connect(options) {
+    if (this.#twilio.readyState !== this.#twilio.OPEN) throw new Error('Twilio media stream is closed');
+    this.#twilio.on('message', this.#onTwilioMessage);
+    this.#twilio.on('close', this.#onTwilioClose);
+    await super.connect(options);
+  }
+
+  close() {
+    this.#twilio.off('message', this.#onTwilioMessage);
+    this.#twilio.off('close', this.#onTwilioClose);
+    super.close();
+  }
+
+  #send(event) {
+    if (this.#twilio.readyState !== this.#twilio.OPEN) return;
+    this.#twilio.send(JSON.stringify({ ...event, streamSid: this.#streamSid }));
+  }
+
+  #handleTwilioEvent(data) {
+    let event;
+    try { event = JSON.parse(String(data)); } catch { return; }
+    if (event.event === 'media' && event.media?.track !== 'outbound' && event.media?.payload) {
+      const bytes = Buffer.from(event.media.payload, 'base64');
+      this.sendAudio(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    } else if (event.event === 'mark') {
+      const [responseId, ms] = String(event.mark?.name || '').split(':');
+      if (responseId === this.#responseId && Number.isFinite(Number(ms))) this.#playedMs = Number(ms);
+    }
+  }
+
+  _onAudio(audioEvent) {
+    if (audioEvent.responseId !== this.#responseId) {
+      this.#responseId = audioEvent.responseId;
+      this.#sentMs = 0;
+      this.#playedMs = 0;
+    }
+    this.#sentMs += audioEvent.data.byteLength / 8; // μ-law: 8 bytes per ms
+    this.#send({ event: 'media', media: { payload: Buffer.from(audioEvent.data).toString('base64') } });
+    this.#send({ event: 'mark', mark: { name: `${this.#responseId}:${Math.round(this.#sentMs)}` } });
+    super._onAudio(audioEvent);
+  }
+
+  // Barge-in: drop whatever Twilio still has queued and truncate at what the caller heard
+  _interrupt(_elapsedTime, cancelOngoingResponse = true) {
+    this.#send({ event: 'clear' });
+    const heard = Math.min(this.#sentMs, this.#playedMs + PLAYBACK_SLACK_MS);
+    this.#responseId = null;
+    this.#sentMs = 0;
+    this.#playedMs = 0;
+    super._interrupt(heard, cancelOngoingResponse);
+  }
+}
@@ -0,0 +1,100 @@
+// src/lib/webhooks.mjs — webhook signature verification: Standard Webhooks (OpenAI) and Twilio
+// Signed content is `${webhook-id}.${webhook-timestamp}.${rawBody}`, HMAC-SHA256 with the
+// base64-decoded secret (`whsec_` prefix stripped). `webhook-signature` is a space-separated
+// list of `v1,<base64>` entries; any match is accepted (supports secret rotation).
+import crypto from 'node:crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// webhook-id -> expiry (ms). In-memory replay guard; entries live for 2x tolerance.
+const seenIds = new Map();
+
+function secretBytes(secret) {
+  const s = String(secret || '').trim();
+  const raw = s.startsWith('whsec_') ? s.slice('whsec_'.length) : s;
+  return Buffer.from(raw, 'base64');
+}
+
+function header(headers, name) {
+  const v = headers?.[name];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function pruneSeen(now) {
+  for (const [key, exp] of seenIds) {
+    if (exp <= now) seenIds.delete(key);
+  }
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+export function signWebhookPayload(secret, { id, timestamp, body }) {
+  const content = `${id}.${timestamp}.${body}`;
+  return `v1,${crypto.createHmac('sha256', secretBytes(secret)).update(content).digest('base64')}`;
+}
+
+// Returns { ok: true, id } or { ok: false, status, error, duplicate? }
+export function verifyWebhook({ secret, headers, rawBody, toleranceSeconds, now = Date.now() }) {
+  const tolerance = Number(toleranceSeconds ?? process.env.OPENAI_WEBHOOK_TOLERANCE_SECONDS ?? DEFAULT_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  const id = header(headers, 'webhook-id');
+  const ts = header(headers, 'webhook-timestamp');
+  const sigHeader = header(headers, 'webhook-signature');
+
+  if (!id || !ts || !sigHeader) {
+    return { ok: false, status: 400, error: 'missing webhook signature headers' };
+  }
+  if (typeof rawBody !== 'string') {
+    return { ok: false, status: 400, error: 'missing raw body' };
+  }
+  const tsNum = Number(ts);
+  if (!Number.isFinite(tsNum)) {
+    return { ok: false, status: 400, error: 'invalid webhook-timestamp' };
+  }
+  if (Math.abs(Math.floor(now / 1000) - tsNum) > tolerance) {
+    return { ok: false, status: 401, error: 'webhook timestamp outside tolerance' };
+  }
+
+  const expected = signWebhookPayload(secret, { id, timestamp: ts, body: rawBody });
+  const provided = String(sigHeader).split(' ').map(s => s.trim()).filter(Boolean);
+  const match = provided.some(sig => sig.startsWith('v1,') && safeEqual(sig, expected));
+  if (!match) {
+    return { ok: false, status: 401, error: 'invalid webhook signature' };
+  }
+
+  pruneSeen(now);
+  if (seenIds.has(id)) {
+    return { ok: false, status: 200, error: 'duplicate webhook-id', duplicate: true };
+  }
+  seenIds.set(id, now + tolerance * 2 * 1000);
+  return { ok: true, id };
+}
+
+// Twilio: X-Twilio-Signature is base64 HMAC-SHA1 (auth token) over the full request URL followed by every
+// POST parameter, sorted by name, as name+value with no separators.
+export function signTwilioRequest(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, key) => {
+    const v = params[key];
+    return acc + (Array.isArray(v) ? v.map(x => key + x).join('') : key + (v ?? ''));
+  }, String(url));
+  return crypto.createHmac('sha1', String(authToken)).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+export function verifyTwilioSignature({ authToken, url, params, signature }) {
+  if (!signature) return false;
+  return safeEqual(signature, signTwilioRequest(authToken, url, params));
+}
+
+// A Twilio webhook checked with TWILIO_AUTH_TOKEN. Without a token nothing can be verified, so every request is
+// refused unless TWILIO_WEBHOOK_ALLOW_UNSIGNED=true (local development). { ok } or { ok: false, error }
+export function checkTwilioWebhook({ url, params, signature }) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return process.env.TWILIO_WEBHOOK_ALLOW_UNSIGNED === 'true' ? { ok: true } : { ok: false, error: 'TWILIO_AUTH_TOKEN is not set' };
+  }
+  return verifyTwilioSignature({ authToken, url, params, signature }) ? { ok: true } : { ok: false, error: 'invalid signature' };
+}
@@ -0,0 +1,21 @@
+// src/migrations/001-create-calls.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('Calls', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    call_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    caller: { type: DataTypes.STRING, allowNull: true },
+    contact_wid: { type: DataTypes.STRING, allowNull: true },
+    started_at: { type: DataTypes.DATE, allowNull: false },
+    ended_at: { type: DataTypes.DATE, allowNull: true },
+    billed_seconds: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    end_reason: { type: DataTypes.STRING, allowNull: true },
+    sip_headers: { type: DataTypes.JSONB, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('Calls', ['caller', 'started_at'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('Calls', { transaction });
+}
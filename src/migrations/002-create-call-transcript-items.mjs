@@ -0,0 +1,20 @@
+// src/migrations/002-create-call-transcript-items.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('CallTranscriptItems', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    call_id: { type: DataTypes.STRING, allowNull: false },
+    item_id: { type: DataTypes.STRING, allowNull: false },
+    seq: { type: DataTypes.INTEGER, allowNull: false },
+    role: { type: DataTypes.STRING, allowNull: false },
+    text: { type: DataTypes.TEXT, allowNull: true },
+    spoken_at: { type: DataTypes.DATE, allowNull: false },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('CallTranscriptItems', ['call_id', 'item_id'], { unique: true, transaction });
+  await queryInterface.addIndex('CallTranscriptItems', ['call_id', 'seq'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('CallTranscriptItems', { transaction });
+}
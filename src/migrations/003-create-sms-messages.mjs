@@ -0,0 +1,23 @@
+// src/migrations/003-create-sms-messages.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('SmsMessages', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    to: { type: DataTypes.STRING, allowNull: false },
+    provider: { type: DataTypes.STRING, allowNull: false },
+    template: { type: DataTypes.STRING, allowNull: true },
+    locale: { type: DataTypes.STRING, allowNull: true },
+    body: { type: DataTypes.TEXT, allowNull: false },
+    status: { type: DataTypes.STRING, allowNull: false },
+    provider_status: { type: DataTypes.STRING, allowNull: true },
+    provider_message_id: { type: DataTypes.STRING, allowNull: true },
+    error: { type: DataTypes.TEXT, allowNull: true },
+    call_id: { type: DataTypes.STRING, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('SmsMessages', ['to', 'created_at'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('SmsMessages', { transaction });
+}
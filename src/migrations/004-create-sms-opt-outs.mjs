@@ -0,0 +1,16 @@
+// src/migrations/004-create-sms-opt-outs.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('SmsOptOuts', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    number: { type: DataTypes.STRING, allowNull: false, unique: true },
+    opted_out: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    keyword: { type: DataTypes.STRING, allowNull: true },
+    changed_at: { type: DataTypes.DATE, allowNull: false },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('SmsOptOuts', { transaction });
+}
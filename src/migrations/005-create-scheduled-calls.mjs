@@ -0,0 +1,25 @@
+// src/migrations/005-create-scheduled-calls.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('ScheduledCalls', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    user_id: { type: DataTypes.STRING, allowNull: false },
+    run_at: { type: DataTypes.DATE, allowNull: false },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    max_attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    note: { type: DataTypes.TEXT, allowNull: true },
+    source: { type: DataTypes.STRING, allowNull: false },
+    origin_call_id: { type: DataTypes.STRING, allowNull: true },
+    dialer: { type: DataTypes.STRING, allowNull: true },
+    provider_call_id: { type: DataTypes.STRING, allowNull: true },
+    last_error: { type: DataTypes.TEXT, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('ScheduledCalls', ['status', 'run_at'], { transaction });
+  await queryInterface.addIndex('ScheduledCalls', ['user_id'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('ScheduledCalls', { transaction });
+}
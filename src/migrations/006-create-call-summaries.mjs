@@ -0,0 +1,18 @@
+// src/migrations/006-create-call-summaries.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('CallSummaries', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    call_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    user_id: { type: DataTypes.STRING, allowNull: false },
+    topics: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    next_step: { type: DataTypes.TEXT, allowNull: true },
+    follow_ups: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('CallSummaries', ['user_id', 'created_at'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('CallSummaries', { transaction });
+}
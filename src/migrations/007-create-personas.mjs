@@ -0,0 +1,16 @@
+// src/migrations/007-create-personas.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('Personas', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    persona_id: { type: DataTypes.STRING, allowNull: false },
+    version: { type: DataTypes.INTEGER, allowNull: false },
+    config: { type: DataTypes.JSONB, allowNull: false },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('Personas', ['persona_id', 'version'], { unique: true, transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('Personas', { transaction });
+}
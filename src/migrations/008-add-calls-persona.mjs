@@ -0,0 +1,9 @@
+// src/migrations/008-add-calls-persona.mjs — which persona version answered each call (`id@version`)
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('Calls', 'persona', { type: DataTypes.STRING, allowNull: true }, { transaction });
+  await queryInterface.addIndex('Calls', ['persona', 'started_at'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('Calls', 'persona', { transaction });
+}
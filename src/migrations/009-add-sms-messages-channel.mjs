@@ -0,0 +1,8 @@
+// src/migrations/009-add-sms-messages-channel.mjs — sms | whatsapp
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('SmsMessages', 'channel', { type: DataTypes.STRING, allowNull: false, defaultValue: 'sms' }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.removeColumn('SmsMessages', 'channel', { transaction });
+}
@@ -0,0 +1,16 @@
+// src/migrations/010-create-follow-up-preferences.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('FollowUpPreferences', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    enabled: { type: DataTypes.BOOLEAN, allowNull: false },
+    channel: { type: DataTypes.STRING, allowNull: false, defaultValue: 'auto' },
+    source: { type: DataTypes.STRING, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('FollowUpPreferences', { transaction });
+}
@@ -0,0 +1,20 @@
+// src/migrations/011-create-promo-codes.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('PromoCodes', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    code: { type: DataTypes.STRING, allowNull: false, unique: true },
+    seconds: { type: DataTypes.INTEGER, allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: true },
+    max_redemptions: { type: DataTypes.INTEGER, allowNull: true },
+    redemptions: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    disabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    note: { type: DataTypes.STRING, allowNull: true },
+    created_by: { type: DataTypes.STRING, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('PromoCodes', { transaction });
+}
@@ -0,0 +1,29 @@
+// src/migrations/012-create-minute-pools.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('MinutePools', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    owner_user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.createTable('MinutePoolMembers', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    pool_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'MinutePools', key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    user_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    monthly_limit_seconds: { type: DataTypes.INTEGER, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('MinutePoolMembers', ['pool_id'], { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('MinutePoolMembers', { transaction });
+  await queryInterface.dropTable('MinutePools', { transaction });
+}
@@ -0,0 +1,32 @@
+// src/migrations/013-create-gumroad-sale-claims.mjs
+export async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('GumroadSaleClaims', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    sale_id: { type: DataTypes.STRING, allowNull: false, unique: true },
+    subscription_id: { type: DataTypes.STRING, allowNull: true },
+    user_id: { type: DataTypes.STRING, allowNull: false },
+    source: { type: DataTypes.STRING, allowNull: false },
+    credited_at: { type: DataTypes.DATE, allowNull: true },
+    details: { type: DataTypes.JSONB, allowNull: true },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex('GumroadSaleClaims', ['subscription_id', 'id'], { transaction });
+
+  // Sales credited before this table existed are only in the shared ledger
+  const [[{ ledger }]] = await queryInterface.sequelize.query(`SELECT to_regclass('"UserActivities"') IS NOT NULL AS ledger`, { transaction });
+  if (!ledger) return;
+  await queryInterface.sequelize.query(`
+    INSERT INTO "GumroadSaleClaims" (sale_id, subscription_id, user_id, source, credited_at, details, created_at, updated_at)
+    SELECT DISTINCT ON (contextual_info->>'sale_id')
+      contextual_info->>'sale_id', contextual_info->>'subscription_id', split_part(contact_id, '@', 1),
+      COALESCE(contextual_info->>'source', 'webhook'), "timestamp", contextual_info, NOW(), NOW()
+    FROM "UserActivities"
+    WHERE action_type = 'gumroad' AND action_outcome = 'sale' AND contextual_info->>'sale_id' IS NOT NULL
+    ORDER BY contextual_info->>'sale_id', id
+    ON CONFLICT (sale_id) DO NOTHING`, { transaction });
+}
+
+export async function down({ queryInterface, transaction }) {
+  await queryInterface.dropTable('GumroadSaleClaims', { transaction });
+}
@@ -0,0 +1,31 @@
+// src/migrations/index.mjs — ordered list of migrations owned by this service.
+// The shared aibot tables (Contacts, UserActivities) are NOT managed here.
+import * as m001 from './001-create-calls.mjs';
+import * as m002 from './002-create-call-transcript-items.mjs';
+import * as m003 from './003-create-sms-messages.mjs';
+import * as m004 from './004-create-sms-opt-outs.mjs';
+import * as m005 from './005-create-scheduled-calls.mjs';
+import * as m006 from './006-create-call-summaries.mjs';
+import * as m007 from './007-create-personas.mjs';
+import * as m008 from './008-add-calls-persona.mjs';
+import * as m009 from './009-add-sms-messages-channel.mjs';
+import * as m010 from './010-create-follow-up-preferences.mjs';
+import * as m011 from './011-create-promo-codes.mjs';
+import * as m012 from './012-create-minute-pools.mjs';
+import * as m013 from './013-create-gumroad-sale-claims.mjs';
+
+export default [
+  { name: '001-create-calls', ...m001 },
+  { name: '002-create-call-transcript-items', ...m002 },
+  { name: '003-create-sms-messages', ...m003 },
+  { name: '004-create-sms-opt-outs', ...m004 },
+  { name: '005-create-scheduled-calls', ...m005 },
+  { name: '006-create-call-summaries', ...m006 },
+  { name: '007-create-personas', ...m007 },
+  { name: '008-add-calls-persona', ...m008 },
+  { name: '009-add-sms-messages-channel', ...m009 },
+  { name: '010-create-follow-up-preferences', ...m010 },
+  { name: '011-create-promo-codes', ...m011 },
+  { name: '012-create-minute-pools', ...m012 },
+  { name: '013-create-gumroad-sale-claims', ...m013 },
+];
@@ -0,0 +1,299 @@
+// src/plugins/admin.mjs — support/admin API (register with a prefix, e.g. /admin)
+// Every route requires ADMIN_TOKEN in a header; every action is audit-logged, and changes are also
+// written to the contact's UserActivities ledger with the acting admin.
+import { requireAdmin, adminActor } from '../lib/admin-auth.mjs';
+
+export default async function adminPlugin(fastify) {
+  const { findContactByPhone, normalizeDigits, setContactBlocked } = await import('../lib/contacts.mjs');
+  const {
+    ensureEntitlement, addPaidSeconds, removePaidSeconds, grantPro, revokePro, recordActivity, secondsUsedSince,
+  } = await import('../lib/license.mjs');
+  const { getFollowUpPreference, setFollowUpPreference } = await import('../lib/follow-ups.mjs');
+  const {
+    createPromoCode, listPromoCodes, disablePromoCode, promoView, giveSeconds, giftRecipient, MIN_CODE_LENGTH,
+  } = await import('../lib/promos.mjs');
+  const {
+    createPool, getPool, findPoolByNumber, setPoolMember, removePoolMember,
+  } = await import('../lib/pools.mjs');
+
+  fastify.addHook('preHandler', requireAdmin);
+
+  function audit(request, action, details = {}) {
+    fastify.log.info({ audit: true, actor: adminActor(request), action, ...details }, 'Admin action');
+  }
+
+  function page(query) {
+    const limit = Math.min(200, Math.max(1, Number(query?.limit) || 50));
+    const offset = Math.max(0, Number(query?.offset) || 0);
+    return { limit, offset };
+  }
+
+  // Optional `Idempotency-Key` header makes grants safe to retry from support tooling
+  function idempotencyKey(request, action) {
+    const key = request.headers['idempotency-key'];
+    return key ? `admin:${action}:${String(key).slice(0, 120)}` : null;
+  }
+
+  function contactView(c) {
+    return {
+      id: c.id,
+      wid: c.wid,
+      number: c.number,
+      name: c.name || null,
+      pushname: c.pushname || null,
+      is_blocked: !!c.is_blocked,
+      is_unlimited: !!c.is_unlimited,
+      rbt: c.rbt,
+      license_key: c.license_key || null,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt,
+    };
+  }
+
+  // Pool with its shared balance and each member's use of their monthly limit this (UTC) month
+  async function poolView({ pool, members }) {
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return {
+      id: pool.id,
+      name: pool.name || null,
+      owner: pool.owner_user_id,
+      balance: await ensureEntitlement(pool.owner_user_id),
+      members: await Promise.all(members.map(async m => ({
+        phone: m.user_id,
+        monthlyLimitSeconds: m.monthly_limit_seconds ?? null,
+        usedThisMonthSeconds: await secondsUsedSince(m.user_id, monthStart, { pooledOnly: true }).catch(() => null),
+      }))),
+      createdAt: pool.created_at,
+    };
+  }
+
+  fastify.get('/contacts/:phone', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    audit(request, 'contact.lookup', { phone });
+    const res = await findContactByPhone(phone);
+    if (!res.ok) return reply.code(503).send({ ok: false, error: res.reason || 'db unavailable' });
+    if (!res.contact) return reply.code(404).send({ ok: false, error: 'contact not found' });
+    const ent = await ensureEntitlement(phone);
+    const totalLeft = Math.max(0, (ent.trialLeft || 0) + (ent.paidLeft || 0));
+    const followUps = await getFollowUpPreference(phone);
+    const pool = await findPoolByNumber(phone);
+    return reply.send({
+      ok: true,
+      contact: contactView(res.contact),
+      balance: { ...ent, totalLeft },
+      followUps,
+      pool: pool ? { id: pool.pool.id, owner: pool.pool.owner_user_id } : null,
+    });
+  });
+
+  // { seconds: number (negative revokes), note?: string }
+  fastify.post('/contacts/:phone/seconds', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const seconds = Math.trunc(Number(request.body?.seconds) || 0);
+    if (!phone || !seconds) return reply.code(400).send({ ok: false, error: 'missing phone|seconds' });
+    const actor = adminActor(request);
+    const info = { actor, note: request.body?.note || null };
+    const res = seconds > 0
+      ? await addPaidSeconds(phone, seconds, { idempotencyKey: idempotencyKey(request, 'seconds'), info })
+      : await removePaidSeconds(phone, -seconds, { actionType: 'admin', outcome: 'revoke_seconds', idempotencyKey: idempotencyKey(request, 'seconds'), info });
+    audit(request, seconds > 0 ? 'seconds.grant' : 'seconds.revoke', { phone, seconds, ok: res.ok, duplicate: !!res.duplicate });
+    if (!res.ok) return reply.code(500).send({ ok: false, error: 'balance change failed' });
+    const ent = await ensureEntitlement(phone);
+    return reply.send({ ok: true, duplicate: !!res.duplicate, balance: ent });
+  });
+
+  // { unlimited: boolean, expiresAt?: ISO date, note?: string }
+  fastify.post('/contacts/:phone/unlimited', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const enable = request.body?.unlimited;
+    if (!phone || typeof enable !== 'boolean') return reply.code(400).send({ ok: false, error: 'missing phone|unlimited(boolean)' });
+    const expiresAt = request.body?.expiresAt ? new Date(request.body.expiresAt) : null;
+    if (expiresAt && Number.isNaN(expiresAt.getTime())) return reply.code(400).send({ ok: false, error: 'invalid expiresAt' });
+    const info = { actor: adminActor(request), note: request.body?.note || null };
+    const opts = { idempotencyKey: idempotencyKey(request, 'unlimited'), info };
+    const ok = enable
+      ? await grantPro(phone, null, { ...opts, expiresAt })
+      : await revokePro(phone, opts);
+    audit(request, enable ? 'unlimited.grant' : 'unlimited.revoke', { phone, expiresAt, ok });
+    if (!ok) return reply.code(500).send({ ok: false, error: 'license change failed' });
+    return reply.send({ ok: true, balance: await ensureEntitlement(phone) });
+  });
+
+  // { blocked: boolean, note?: string }
+  fastify.post('/contacts/:phone/block', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const blocked = request.body?.blocked;
+    if (!phone || typeof blocked !== 'boolean') return reply.code(400).send({ ok: false, error: 'missing phone|blocked(boolean)' });
+    const res = await setContactBlocked(phone, blocked);
+    audit(request, blocked ? 'contact.block' : 'contact.unblock', { phone, ok: res.ok });
+    if (!res.ok) return reply.code(500).send({ ok: false, error: res.reason });
+    await recordActivity(phone, {
+      actionType: 'admin',
+      outcome: blocked ? 'block' : 'unblock',
+      info: { actor: adminActor(request), note: request.body?.note || null },
+    }).catch(() => {});
+    return reply.send({ ok: true, contact: contactView(res.contact) });
+  });
+
+  // Post-call recap texts: { enabled: boolean, channel?: 'auto' | 'sms' | 'whatsapp' }
+  fastify.post('/contacts/:phone/follow-ups', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const enabled = request.body?.enabled;
+    const channel = request.body?.channel || 'auto';
+    if (!phone || typeof enabled !== 'boolean') return reply.code(400).send({ ok: false, error: 'missing phone|enabled(boolean)' });
+    if (!['auto', 'sms', 'whatsapp'].includes(channel)) return reply.code(400).send({ ok: false, error: 'channel must be auto|sms|whatsapp' });
+    const ok = await setFollowUpPreference(phone, { enabled, channel, source: 'admin' });
+    audit(request, enabled ? 'follow_ups.enable' : 'follow_ups.disable', { phone, channel, ok });
+    if (!ok) return reply.code(500).send({ ok: false, error: 'preference update failed' });
+    return reply.send({ ok: true, followUps: await getFollowUpPreference(phone) });
+  });
+
+  // Moves minutes to another number: { to: phone, seconds: number, note?: string }
+  fastify.post('/contacts/:phone/gift', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const to = giftRecipient(request.body?.to);
+    const seconds = Math.trunc(Number(request.body?.seconds) || 0);
+    if (!phone || !to || seconds <= 0) return reply.code(400).send({ ok: false, error: 'missing phone|to|seconds(>0)' });
+    const res = await giveSeconds(phone, to, seconds, {
+      idempotencyKey: idempotencyKey(request, 'gift'),
+      info: { actor: adminActor(request), note: request.body?.note || null },
+      log: fastify.log,
+    });
+    audit(request, 'gift.transfer', { phone, to, seconds, ok: res.ok, reason: res.reason, duplicate: !!res.duplicate });
+    if (!res.ok) return reply.code(res.reason === 'error' ? 500 : 409).send({ ok: false, error: res.reason });
+    return reply.send({ ok: true, duplicate: !!res.duplicate, balance: await ensureEntitlement(phone) });
+  });
+
+  // Promo codes, newest first: ?limit=50&offset=0
+  fastify.get('/promo-codes', async (request, reply) => {
+    const { limit, offset } = page(request.query);
+    audit(request, 'promo.list', { limit, offset });
+    const res = await listPromoCodes({ limit, offset });
+    if (!res) return reply.code(503).send({ ok: false, error: 'db unavailable' });
+    return reply.send({ ok: true, total: res.count, limit, offset, items: res.rows.map(promoView) });
+  });
+
+  // { seconds: number, code?: string (generated if empty), expiresAt?: ISO date, maxRedemptions?: number, note?: string }
+  fastify.post('/promo-codes', async (request, reply) => {
+    const body = request.body || {};
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (expiresAt && Number.isNaN(expiresAt.getTime())) return reply.code(400).send({ ok: false, error: 'invalid expiresAt' });
+    const res = await createPromoCode({
+      code: body.code || null,
+      seconds: body.seconds,
+      expiresAt,
+      maxRedemptions: body.maxRedemptions ?? null,
+      note: body.note || null,
+      createdBy: adminActor(request),
+    });
+    audit(request, 'promo.create', { code: res.promo?.code || body.code || null, seconds: body.seconds, ok: res.ok, reason: res.reason });
+    if (!res.ok) {
+      const status = { 'no-db': 503, exists: 409 }[res.reason] || 400;
+      const error = {
+        'no-db': 'db unavailable',
+        exists: 'promo code exists',
+        invalid: `seconds(>0) required; code needs ${MIN_CODE_LENGTH}+ letters/digits; maxRedemptions must be > 0`,
+      }[res.reason];
+      return reply.code(status).send({ ok: false, error });
+    }
+    return reply.code(201).send({ ok: true, promo: promoView(res.promo) });
+  });
+
+  // Stops further redemptions; past ones stay credited
+  fastify.post('/promo-codes/:code/disable', async (request, reply) => {
+    const promo = await disablePromoCode(request.params.code);
+    audit(request, 'promo.disable', { code: request.params.code, ok: !!promo });
+    if (!promo) return reply.code(404).send({ ok: false, error: 'promo code not found' });
+    return reply.send({ ok: true, promo: promoView(promo) });
+  });
+
+  // Shared minute pool paid from the owner's balance: { owner: phone, name?: string }
+  fastify.post('/pools', async (request, reply) => {
+    const owner = normalizeDigits(request.body?.owner);
+    if (!owner) return reply.code(400).send({ ok: false, error: 'missing owner' });
+    const res = await createPool({ owner, name: request.body?.name || null });
+    audit(request, 'pool.create', { owner, ok: res.ok, reason: res.reason, poolId: res.pool?.id });
+    if (!res.ok) {
+      const status = { 'no-db': 503, 'owner-in-pool': 409 }[res.reason] || 400;
+      return reply.code(status).send({ ok: false, error: res.reason === 'no-db' ? 'db unavailable' : 'owner already owns or belongs to a pool' });
+    }
+    return reply.code(201).send({ ok: true, pool: await poolView({ pool: res.pool, members: [] }) });
+  });
+
+  fastify.get('/pools/:id', async (request, reply) => {
+    audit(request, 'pool.lookup', { poolId: request.params.id });
+    const found = await getPool(request.params.id);
+    if (!found) return reply.code(404).send({ ok: false, error: 'pool not found' });
+    return reply.send({ ok: true, pool: await poolView(found) });
+  });
+
+  // Adds a member or changes their limit: { phone, monthlyLimitSeconds?: number | null (no limit) }
+  fastify.post('/pools/:id/members', async (request, reply) => {
+    const phone = normalizeDigits(request.body?.phone);
+    if (!phone) return reply.code(400).send({ ok: false, error: 'missing phone' });
+    const res = await setPoolMember(request.params.id, phone, { monthlyLimitSeconds: request.body?.monthlyLimitSeconds ?? null });
+    audit(request, 'pool.member.set', { poolId: request.params.id, phone, ok: res.ok, reason: res.reason });
+    if (!res.ok) {
+      const [status, error] = {
+        'no-db': [503, 'db unavailable'],
+        'not-found': [404, 'pool not found'],
+        invalid: [400, 'monthlyLimitSeconds must be >= 0 or null'],
+        'is-owner': [409, 'number owns a pool'],
+        'in-other-pool': [409, 'number belongs to another pool'],
+      }[res.reason];
+      return reply.code(status).send({ ok: false, error });
+    }
+    if (res.created) {
+      await recordActivity(phone, {
+        actionType: 'admin', outcome: 'pool_join', info: { actor: adminActor(request), pool_id: res.member.pool_id },
+      }).catch(() => {});
+    }
+    return reply.send({ ok: true, pool: await poolView(await getPool(request.params.id)) });
+  });
+
+  fastify.delete('/pools/:id/members/:phone', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const removed = await removePoolMember(request.params.id, phone);
+    audit(request, 'pool.member.remove', { poolId: request.params.id, phone, ok: removed });
+    if (!removed) return reply.code(404).send({ ok: false, error: 'not a member of this pool' });
+    await recordActivity(phone, {
+      actionType: 'admin', outcome: 'pool_leave', info: { actor: adminActor(request), pool_id: Number(request.params.id) },
+    }).catch(() => {});
+    return reply.send({ ok: true, pool: await poolView(await getPool(request.params.id)) });
+  });
+
+  // Ledger for a contact, newest first: ?limit=50&offset=0
+  fastify.get('/contacts/:phone/activities', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const { limit, offset } = page(request.query);
+    audit(request, 'activities.list', { phone, limit, offset });
+    const res = await findContactByPhone(phone);
+    if (!res.ok) return reply.code(503).send({ ok: false, error: res.reason || 'db unavailable' });
+    if (!res.contact) return reply.code(404).send({ ok: false, error: 'contact not found' });
+    const { UserActivity } = await import('../lib/db.mjs');
+    const { rows, count } = await UserActivity.findAndCountAll({
+      where: { contactId: res.contact.wid },
+      order: [['id', 'DESC']],
+      limit,
+      offset,
+    });
+    return reply.send({ ok: true, total: count, limit, offset, items: rows.map(r => r.toJSON()) });
+  });
+
+  // Call history for a caller, newest first: ?limit=50&offset=0
+  fastify.get('/contacts/:phone/calls', async (request, reply) => {
+    const phone = normalizeDigits(request.params.phone);
+    const { limit, offset } = page(request.query);
+    audit(request, 'calls.list', { phone, limit, offset });
+    const { Call } = await import('../lib/db.mjs');
+    if (!Call) return reply.code(503).send({ ok: false, error: 'db unavailable' });
+    const { rows, count } = await Call.findAndCountAll({
+      where: { caller: phone },
+      order: [['started_at', 'DESC']],
+      limit,
+      offset,
+    });
+    return reply.send({ ok: true, total: count, limit, offset, items: rows.map(r => r.toJSON()) });
+  });
+}
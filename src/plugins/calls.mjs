@@ -0,0 +1,62 @@
+// src/plugins/calls.mjs — live call admin routes (register with a prefix, e.g. /admin)
+// Backed by the CallManager passed in options; every route requires ADMIN_TOKEN and is audit-logged.
+import { requireAdmin, adminActor } from '../lib/admin-auth.mjs';
+import { normalizeDigits } from '../lib/contacts.mjs';
+import { scheduleCall } from '../lib/scheduled-calls.mjs';
+
+export default async function callsPlugin(fastify, { callManager }) {
+  fastify.addHook('preHandler', requireAdmin);
+
+  function audit(request, action, details = {}) {
+    fastify.log.info({ audit: true, actor: adminActor(request), action, ...details }, 'Admin action');
+  }
+
+  fastify.get('/calls/active', async (request, reply) => {
+    const calls = callManager.list();
+    return reply.send({ ok: true, count: calls.length, calls });
+  });
+
+  // { to, at?, note? } — schedule a callback to `to` (digits or E.164) at `at` (ISO 8601; default now).
+  // The callback scheduler dials it; see src/lib/scheduled-calls.mjs.
+  fastify.post('/calls/outbound', async (request, reply) => {
+    const to = normalizeDigits(request.body?.to || '');
+    if (!to) return reply.code(400).send({ ok: false, error: 'missing or invalid to' });
+    const runAt = request.body?.at ? new Date(request.body.at) : new Date();
+    if (Number.isNaN(runAt.getTime())) return reply.code(400).send({ ok: false, error: 'invalid at' });
+    const note = request.body?.note ? String(request.body.note) : null;
+    audit(request, 'call.outbound', { to, at: runAt.toISOString() });
+    const row = await scheduleCall({ userId: to, runAt, note, source: 'admin' });
+    if (!row) return reply.code(503).send({ ok: false, error: 'no database configured' });
+    return reply.code(201).send({
+      ok: true,
+      scheduledCall: { id: row.id, userId: row.user_id, runAt: row.run_at, status: row.status, note: row.note },
+    });
+  });
+
+  fastify.get('/calls/:id', async (request, reply) => {
+    const call = callManager.get(request.params.id);
+    if (!call) return reply.code(404).send({ ok: false, error: 'call not active' });
+    return reply.send({ ok: true, call });
+  });
+
+  // { graceful?: boolean } — graceful (default) lets the agent say goodbye before hanging up
+  fastify.post('/calls/:id/hangup', async (request, reply) => {
+    const callId = request.params.id;
+    const graceful = request.body?.graceful !== false;
+    audit(request, 'call.hangup', { callId, graceful });
+    const ok = await callManager.hangup(callId, { graceful });
+    if (!ok) return reply.code(404).send({ ok: false, error: 'call not active' });
+    return reply.send({ ok: true, callId, graceful });
+  });
+
+  // { text: string } — a private instruction to the agent; the caller never hears it verbatim
+  fastify.post('/calls/:id/whisper', async (request, reply) => {
+    const callId = request.params.id;
+    const text = String(request.body?.text || '').trim();
+    if (!text) return reply.code(400).send({ ok: false, error: 'missing text' });
+    audit(request, 'call.whisper', { callId, chars: text.length });
+    const ok = callManager.whisper(callId, text);
+    if (!ok) return reply.code(404).send({ ok: false, error: 'call not active' });
+    return reply.send({ ok: true, callId });
+  });
+}
@@ -2,24 +2,185 @@
 export default async function gumroadPlugin(fastify) {
   const sellerId = process.env.GUMROAD_SELLER_ID;
   const product  = process.env.GUMROAD_PRODUCT_PERMALINK;
-  const TOPUP_S  = Number(process.env.PAID_SECONDS_PER_PURCHASE || '1800'); // default 30 min
 
-  const { grantPro, addPaidSeconds } = await import('../lib/license.mjs');
+  const {
+    grantPro, revokePro, addPaidSeconds, removePaidSeconds, recordActivity,
+  } = await import('../lib/license.mjs');
+  const { resolvePackForSale, unlimitedExpiryFor, buildCheckoutLink } = await import('../lib/catalog.mjs');
+  const { redeemLicense, claimSale, markSaleCredited, findCreditedSale } = await import('../lib/gumroad.mjs');
+  const { redeemPromoCode } = await import('../lib/promos.mjs');
+  const { sendVerificationCode, checkVerificationCode, rateLimited } = await import('../lib/phone-verification.mjs');
+  const { normalizeDigits } = await import('../lib/contacts.mjs');
+  const { sendTemplate } = await import('../lib/sms.mjs');
+  const { gumroadWebhooks } = await import('../lib/metrics.mjs');
+
+  const isTrue = (v) => v === true || String(v).toLowerCase() === 'true';
+
+  // Gumroad pings are form-encoded (`url_params[userId]=...`); resource subscriptions may be JSON
+  function pickUserId(body) {
+    return body.url_params?.userId || body['url_params[userId]'] || body.email || body.order_id || 'unknown';
+  }
+
+  // Checkout links made for someone else carry the buyer's number (buildCheckoutLink `giftFrom`)
+  function pickGiftFrom(body) {
+    const phone = String(body.url_params?.gift_from || body['url_params[gift_from]'] || '').trim();
+    return /^\+?\d{6,}$/.test(phone) ? phone : null;
+  }
+
+  // Classify a ping / resource-subscription payload
+  function eventType(body) {
+    const resource = String(body.resource_name || '').toLowerCase();
+    if (resource === 'subscription_ended' || body.ended_at) return 'subscription_ended';
+    if (resource === 'cancellation' || isTrue(body.cancelled)) return 'cancellation';
+    if (resource === 'dispute_won') return 'dispute_won';
+    if (resource === 'refund' || isTrue(body.refunded)) return 'refunded';
+    if (resource === 'dispute' || isTrue(body.disputed)) return 'disputed';
+    return 'sale';
+  }
+
+  async function handleSale(body, saleId) {
+    const userId  = pickUserId(body);
+    const license = body.license_key;
+    const qty     = Math.max(1, Number(body.quantity || 1));
+    const giftFrom = pickGiftFrom(body);
+
+    // A replay, or a sale whose license key was redeemed first (maybe on another number)
+    const claim = saleId ? await claimSale({ saleId, userId, source: 'webhook', subscriptionId: body.subscription_id }) : { ok: true };
+    if (!claim.ok) {
+      await recordActivity(userId, {
+        actionType: 'gumroad', outcome: 'duplicate_ignored',
+        info: { sale_id: String(saleId), claimed_by: claim.userId },
+      });
+      return 'duplicate';
+    }
+
+    const pack = resolvePackForSale(body);
+    if (!pack) {
+      await recordActivity(userId, {
+        actionType: 'gumroad', outcome: 'unknown_product',
+        info: { sale_id: saleId ? String(saleId) : null, product_permalink: body.product_permalink || body.permalink || null },
+      });
+      return 'unknown_product';
+    }
+    const seconds   = pack.seconds * qty;
+    const expiresAt = unlimitedExpiryFor(pack);
+
+    // Each grant carries its own key, so a retry after a partial failure completes without double-crediting
+    const key = saleId ? `gumroad:sale:${saleId}` : null;
+    if (pack.unlimited) {
+      await grantPro(userId, license, {
+        idempotencyKey: key && `${key}:pro`,
+        expiresAt,
+        info: { sale_id: saleId || null, pack: pack.id },
+      });
+    }
+    if (seconds > 0) {
+      await addPaidSeconds(userId, seconds, { idempotencyKey: key && `${key}:seconds`, info: { sale_id: saleId || null, pack: pack.id } });
+    }
+    const details = {
+      sale_id: saleId ? String(saleId) : null,
+      subscription_id: body.subscription_id ? String(body.subscription_id) : null,
+      product_permalink: body.product_permalink || body.permalink || null,
+      pack: pack.id,
+      seconds,
+      unlimited: pack.unlimited,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      ...(giftFrom ? { gift_from: giftFrom } : {}),
+    };
+    await recordActivity(userId, { actionType: 'gumroad', outcome: 'sale', idempotencyKey: key, info: details });
+    await markSaleCredited(saleId, details);
+    if (giftFrom) {
+      // The buyer's side of the gift, so it shows in their ledger too
+      await recordActivity(giftFrom, {
+        actionType: 'gift', outcome: 'gift_purchased', idempotencyKey: key && `${key}:gift`,
+        info: { sale_id: saleId ? String(saleId) : null, to: userId, pack: pack.id, seconds, unlimited: pack.unlimited },
+      });
+    }
+    sendReceipt(body, pack, seconds, expiresAt, giftFrom);
+    return 'sale';
+  }
+
+  // Optional SMS receipt (SMS_PURCHASE_RECEIPT=true), only when the buyer came from a phone-number checkout link.
+  // A gift's recipient is told who sent it instead.
+  function sendReceipt(body, pack, seconds, expiresAt, giftFrom) {
+    if (!isTrue(process.env.SMS_PURCHASE_RECEIPT)) return;
+    const phone = String(body.url_params?.userId || body['url_params[userId]'] || '').trim();
+    if (!/^\+?\d{6,}$/.test(phone)) return;
+    if (giftFrom && seconds > 0) {
+      sendTemplate(phone, 'gift-received', { minutes: Math.round(seconds / 60), from: giftFrom }, { log: fastify.log }).catch(() => {});
+      return;
+    }
+    const template = pack.unlimited ? 'purchase-receipt-unlimited' : 'purchase-receipt';
+    const vars = {
+      minutes: Math.round(seconds / 60),
+      until: expiresAt ? expiresAt.toISOString().slice(0, 10) : '',
+      pack: pack.label || pack.id,
+    };
+    sendTemplate(phone, template, vars, { log: fastify.log }).catch(() => {});
+  }
+
+  async function handleReversal(type, body, saleId) {
+    const subscriptionId = body.subscription_id;
+    // The sale's claim tells us whom it belongs to and what was granted
+    const sale = await findCreditedSale({ saleId, subscriptionId });
+    if (!sale) {
+      fastify.log.warn({ type, saleId, subscriptionId }, 'Gumroad event for unknown sale');
+      return 'unknown_sale';
+    }
+    const userId = sale.user_id;
+    const info = { sale_id: sale.sale_id, ...sale.details };
+    const key = `gumroad:${type}:${saleId || subscriptionId}`;
+
+    if (type === 'refunded' || type === 'disputed') {
+      await removePaidSeconds(userId, info.seconds || 0, {
+        actionType: 'gumroad', outcome: `${type}_clawback`, idempotencyKey: `${key}:seconds`,
+        info: { sale_id: info.sale_id || null },
+      });
+    }
+    // A cancelled subscription stays paid until the period ends: its grant runs out at its expires_at, or
+    // Gumroad's subscription_ended ping revokes it. Refunds and disputes take it away now.
+    if (info.unlimited && type !== 'cancellation') {
+      await revokePro(userId, { idempotencyKey: `${key}:pro`, info: { sale_id: info.sale_id || null, reason: type } });
+    }
+    await recordActivity(userId, {
+      actionType: 'gumroad', outcome: type, idempotencyKey: key,
+      info: {
+        sale_id: info.sale_id || null,
+        subscription_id: subscriptionId ? String(subscriptionId) : null,
+        ...(type === 'cancellation' && info.unlimited ? { unlimited_until: info.expires_at || 'subscription_ended' } : {}),
+      },
+    });
+    return type;
+  }
 
   fastify.post('/billing/gumroad/webhook', async (req, reply) => {
-    if (req.headers['content-type'] !== 'application/json') {
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json' && contentType !== 'application/x-www-form-urlencoded') {
+      gumroadWebhooks.inc({ type: 'unknown', outcome: 'invalid_content_type' });
       return reply.code(400).send('Invalid content type');
     }
     const body = req.body || {};
     if (body.seller_id !== sellerId) {
+      gumroadWebhooks.inc({ type: 'unknown', outcome: 'invalid_seller' });
       return reply.code(400).send('Invalid seller');
     }
-    const userId   = body.url_params?.userId || body.email || body.order_id || 'unknown';
-    const license  = body.license_key;
-    const qty      = Number(body.quantity || 1);
+    const type   = eventType(body);
+    const saleId = body.sale_id || null;
 
-    await grantPro(userId, license);
-    await addPaidSeconds(userId, TOPUP_S * Math.max(1, qty));
+    let outcome;
+    if (type === 'sale') {
+      outcome = await handleSale(body, saleId);
+    } else if (type === 'dispute_won') {
+      outcome = 'ignored';
+      const sale = await findCreditedSale({ saleId });
+      if (sale) {
+        await recordActivity(sale.user_id, { actionType: 'gumroad', outcome: 'dispute_won', info: { sale_id: String(saleId) } });
+      }
+    } else {
+      outcome = await handleReversal(type, body, saleId);
+    }
+    fastify.log.info({ type, saleId, outcome }, 'Gumroad webhook processed');
+    gumroadWebhooks.inc({ type, outcome: outcome || 'ignored' });
 
     return reply.code(200).send('OK');
   });
@@ -31,28 +192,54 @@ export default async function gumroadPlugin(fastify) {
       if (!userId || !license_key || !product) {
         return reply.code(400).send({ ok:false, error:'Missing userId|license_key|product' });
       }
-      const res = await fetch('https://api.gumroad.com/v2/licenses/verify', {
-        method: 'POST',
-        headers: { 'Content-Type':'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({ product_permalink: product, license_key })
-      });
-      const json = await res.json();
-      if (json.success) {
-        await grantPro(userId, license_key);
-        await addPaidSeconds(userId, TOPUP_S);
-        return reply.send({ ok:true, purchase: json.purchase });
-      }
-      return reply.code(402).send({ ok:false, error:'License invalid', details: json });
+      const res = await redeemLicense(userId, license_key);
+      if (res.ok) return reply.send({ ok:true, purchase: res.purchase });
+      if (res.reason === 'invalid') return reply.code(402).send({ ok:false, error:'License invalid', details: res.details });
+      const status = { 'no-db': 503, 'not-configured': 503, 'already-redeemed': 409 }[res.reason] || 410;
+      return reply.code(status).send({ ok:false, error: res.reason });
     } catch (e) {
       return reply.code(500).send({ ok:false, error: e.message });
     }
   });
 
-  // Handy for clients to build the right link with their userId
+  // Code requests and redemptions together, per hour
+  function limited(req, number) {
+    const perIp = Number(process.env.REDEEM_RATE_LIMIT_PER_IP || '20') || 0;
+    const perNumber = Number(process.env.REDEEM_RATE_LIMIT_PER_NUMBER || '5') || 0;
+    const byIp = rateLimited(`ip:${req.ip}`, perIp);
+    const byNumber = rateLimited(`number:${number}`, perNumber);
+    return byIp || byNumber;
+  }
+
+  // Step 1 of a web redemption: { userId } texts that number a one-time code
+  fastify.post('/billing/redeem/code', async (req, reply) => {
+    const number = normalizeDigits(req.body?.userId || '');
+    if (!number) return reply.code(400).send({ ok:false, error:'Missing userId' });
+    if (limited(req, number)) return reply.code(429).send({ ok:false, error:'rate-limited' });
+    const sent = await sendVerificationCode(number, { log: fastify.log });
+    if (!sent) return reply.code(502).send({ ok:false, error:'code-not-sent' });
+    return reply.send({ ok:true });
+  });
+
+  // Step 2: { userId, code, verificationCode } credits the promo code's seconds once per contact
+  fastify.post('/billing/redeem', async (req, reply) => {
+    const { userId, code, verificationCode } = req.body || {};
+    const number = normalizeDigits(userId || '');
+    if (!number || !code || !verificationCode) return reply.code(400).send({ ok:false, error:'Missing userId|code|verificationCode' });
+    if (limited(req, number)) return reply.code(429).send({ ok:false, error:'rate-limited' });
+    if (!checkVerificationCode(number, verificationCode)) return reply.code(401).send({ ok:false, error:'invalid-verification-code' });
+    const res = await redeemPromoCode(userId, code, { source: 'api' });
+    if (res.ok) return reply.send({ ok:true, seconds: res.seconds });
+    const status = { 'no-db': 503, error: 500, 'already-redeemed': 409, 'not-found': 404 }[res.reason] || 410;
+    return reply.code(status).send({ ok:false, error: res.reason });
+  });
+
+  // Handy for clients to build the right link with their userId (and `giftFrom` to buy for someone else)
   fastify.get('/billing/checkout-link', async (req, reply) => {
     const userId = req.query?.userId || 'anonymous';
-    if (!product) return reply.code(500).send({ ok:false, error:'GUMROAD_PRODUCT_PERMALINK not set' });
-    const url = `https://yitzi.gumroad.com/l/${product}?wanted=true&userId=${encodeURIComponent(userId)}`;
+    const pack   = req.query?.pack || '';
+    const url = buildCheckoutLink(userId, pack, { giftFrom: req.query?.giftFrom || null });
+    if (!url) return reply.code(500).send({ ok:false, error:'No Gumroad pack configured (GUMROAD_CATALOG or GUMROAD_PRODUCT_PERMALINK)' });
     return reply.send({ ok:true, url });
   });
 }
@@ -0,0 +1,40 @@
+// src/plugins/health.mjs — GET /metrics (Prometheus), /healthz (liveness) and /readyz (readiness)
+// /healthz fails only when the config is broken, so a DB outage doesn't restart the process; /readyz also
+// fails while the DB is down or the instance is draining for shutdown, so the load balancer stops sending
+// traffic. Both list config warnings. With METRICS_TOKEN set, /metrics needs `Authorization: Bearer <token>`.
+export default async function healthPlugin(fastify, { callManager }) {
+  const { renderMetrics, activeCalls } = await import('../lib/metrics.mjs');
+  const { checkConfig, checkDb } = await import('../lib/health.mjs');
+  const { bearerToken, tokenMatches } = await import('../lib/admin-auth.mjs');
+
+  fastify.get('/metrics', async (request, reply) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !tokenMatches(bearerToken(request.headers), token)) {
+      return reply.code(401).send({ ok: false, error: 'unauthorized' });
+    }
+    activeCalls.reset();
+    const byTransport = { sip: 0, twilio: 0 };
+    for (const call of callManager.list()) byTransport[call.transport] = (byTransport[call.transport] || 0) + 1;
+    for (const [transport, n] of Object.entries(byTransport)) activeCalls.set({ transport }, n);
+    return reply.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  });
+
+  async function report() {
+    const [config, db] = await Promise.all([checkConfig(), checkDb()]);
+    const warnings = [...config.warnings];
+    if (db.status === 'not-configured') warnings.push('No database configured; calls cannot be billed');
+    return { config, db, draining: callManager.isDraining(), warnings };
+  }
+
+  fastify.get('/healthz', async (_request, reply) => {
+    const { config, db, draining, warnings } = await report();
+    const ok = config.ok;
+    return reply.code(ok ? 200 : 500).send({ ok, errors: config.errors, warnings, db, draining });
+  });
+
+  fastify.get('/readyz', async (_request, reply) => {
+    const { config, db, draining, warnings } = await report();
+    const ok = config.ok && db.status !== 'down' && !draining;
+    return reply.code(ok ? 200 : 503).send({ ok, errors: config.errors, warnings, db, draining });
+  });
+}
@@ -0,0 +1,67 @@
+// src/plugins/sms.mjs — Twilio inbound SMS webhook: STOP / START / HELP keywords
+// Point the Twilio number's "A message comes in" webhook at POST /sms/inbound. Requests must carry a valid
+// X-Twilio-Signature (TWILIO_AUTH_TOKEN) computed over SMS_INBOUND_URL (the exact URL configured in Twilio;
+// defaults to this request's URL as seen through the proxy), unless TWILIO_WEBHOOK_ALLOW_UNSIGNED=true.
+import { checkTwilioWebhook } from '../lib/webhooks.mjs';
+
+const OPT_OUT = new Set(['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT']);
+const OPT_IN = new Set(['START', 'UNSTOP', 'YES', 'OPTIN']);
+const HELP = new Set(['HELP', 'INFO']);
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+function twiml(message) {
+  const body = message ? `<Message>${escapeXml(message)}</Message>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+}
+
+export default async function smsPlugin(fastify) {
+  const { setOptOut } = await import('../lib/sms-policy.mjs');
+  const { renderTemplate } = await import('../lib/sms-templates.mjs');
+  const { recordActivity } = await import('../lib/license.mjs');
+  const { normalizeDigits } = await import('../lib/contacts.mjs');
+
+  function requestUrl(request) {
+    if (process.env.SMS_INBOUND_URL) return process.env.SMS_INBOUND_URL;
+    const proto = String(request.headers['x-forwarded-proto'] || request.protocol || 'https').split(',')[0].trim();
+    const host = request.headers['x-forwarded-host'] || request.headers.host;
+    return `${proto}://${host}${request.url}`;
+  }
+
+  fastify.post('/sms/inbound', async (request, reply) => {
+    const params = request.body || {};
+    const { ok, error } = checkTwilioWebhook({
+      url: requestUrl(request),
+      params,
+      signature: request.headers['x-twilio-signature'],
+    });
+    if (!ok) {
+      fastify.log.warn({ url: requestUrl(request) }, `Rejected /sms/inbound: ${error}`);
+      return reply.code(403).send({ ok: false, error });
+    }
+
+    const from = normalizeDigits(params.From || '');
+    const keyword = String(params.Body || '').trim().split(/\s+/)[0].toUpperCase();
+    let template = null;
+    if (from && OPT_OUT.has(keyword)) {
+      await setOptOut(from, true, { keyword });
+      template = 'opt-out';
+    } else if (from && OPT_IN.has(keyword)) {
+      await setOptOut(from, false, { keyword });
+      template = 'opt-in';
+    } else if (HELP.has(keyword)) {
+      template = 'help';
+    }
+
+    if (template && from) {
+      fastify.log.info({ from, keyword }, 'Inbound SMS keyword');
+      if (template !== 'help') {
+        recordActivity(from, { actionType: 'sms', outcome: template === 'opt-out' ? 'opt_out' : 'opt_in', info: { keyword } }).catch(() => {});
+      }
+    }
+    const message = template ? renderTemplate(template, {}, { to: from })?.text : null;
+    return reply.type('text/xml').send(twiml(message));
+  });
+}
@@ -0,0 +1,124 @@
+// src/plugins/twilio.mjs — Twilio voice: POST /incoming-call, /outbound-call and the /media-stream WebSocket
+// Point a Twilio number's "A call comes in" webhook at POST /incoming-call (instead of SIP-trunking it to
+// OpenAI). The caller is screened there; admitted calls get TwiML that opens a Media Stream to
+// /media-stream, which the CallManager bridges to the same agent session SIP calls use. Webhooks must carry
+// a valid X-Twilio-Signature (TWILIO_AUTH_TOKEN) computed over TWILIO_INCOMING_CALL_URL (defaults to this
+// request's URL as seen through the proxy); without a token they are refused unless
+// TWILIO_WEBHOOK_ALLOW_UNSIGNED=true. Streams are only bridged for calls admitted by /incoming-call.
+// Scheduled callbacks (src/lib/scheduled-calls.mjs) use POST /outbound-call when the user answers and
+// POST /outbound-call/status for the final call status; both are signed over PUBLIC_BASE_URL + path.
+import { checkTwilioWebhook } from '../lib/webhooks.mjs';
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+function twiml(inner) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${inner}</Response>`;
+}
+
+export default async function twilioPlugin(fastify, opts) {
+  const { callManager } = opts;
+  const { WebSocketServer } = await import('ws');
+  const { normalizeDigits } = await import('../lib/contacts.mjs');
+  const { getScheduledCall, markAnswered, reportOutcome } = await import('../lib/scheduled-calls.mjs');
+  const { publicBaseUrl } = await import('../lib/dialers.mjs');
+
+  function forwarded(request) {
+    const proto = String(request.headers['x-forwarded-proto'] || request.protocol || 'https').split(',')[0].trim();
+    const host = request.headers['x-forwarded-host'] || request.headers.host;
+    return { proto, host };
+  }
+
+  function requestUrl(request, configured) {
+    if (configured) return configured;
+    const { proto, host } = forwarded(request);
+    return `${proto}://${host}${request.url}`;
+  }
+
+  // Twilio signs every webhook over the exact URL it called; 403 unless it matches
+  function checkSignature(request, reply, configuredUrl) {
+    const url = requestUrl(request, configuredUrl);
+    const { ok, error } = checkTwilioWebhook({
+      url,
+      params: request.body || {},
+      signature: request.headers['x-twilio-signature'],
+    });
+    if (!ok) {
+      fastify.log.warn({ url }, `Rejected ${request.routeOptions?.url || request.url}: ${error}`);
+      reply.code(403).send({ ok: false, error });
+    }
+    return ok;
+  }
+
+  const outboundUrl = (request) => (publicBaseUrl() ? `${publicBaseUrl()}${request.url}` : null);
+
+  function streamUrl(request) {
+    if (process.env.TWILIO_MEDIA_STREAM_URL) return process.env.TWILIO_MEDIA_STREAM_URL;
+    const { proto, host } = forwarded(request);
+    return `${proto === 'http' ? 'ws' : 'wss'}://${host}/media-stream`;
+  }
+
+  fastify.post('/incoming-call', async (request, reply) => {
+    if (!checkSignature(request, reply, process.env.TWILIO_INCOMING_CALL_URL)) return reply;
+    const params = request.body || {};
+    const callSid = String(params.CallSid || '');
+    if (!callSid) return reply.code(400).send({ ok: false, error: 'missing CallSid' });
+    const userId = normalizeDigits(params.From || '') || 'anonymous';
+    fastify.log.info({ callSid, userId }, 'Twilio incoming call');
+
+    const res = await callManager.handleTwilioIncoming({ callSid, userId, dialed: normalizeDigits(params.To || '') });
+    reply.type('text/xml');
+    if (res.action === 'reject') {
+      return reply.send(twiml(`<Reject reason="${res.busy ? 'busy' : 'rejected'}"/>`));
+    }
+    return reply.send(twiml(`<Connect><Stream url="${escapeXml(streamUrl(request))}"/></Connect>`));
+  });
+
+  // A scheduled callback was answered: same admission and stream as an incoming call, with a callback greeting
+  fastify.post('/outbound-call', async (request, reply) => {
+    if (!checkSignature(request, reply, outboundUrl(request))) return reply;
+    const params = request.body || {};
+    const callSid = String(params.CallSid || '');
+    if (!callSid) return reply.code(400).send({ ok: false, error: 'missing CallSid' });
+    const userId = normalizeDigits(params.To || '') || 'anonymous';
+    const scheduled = await getScheduledCall(request.query?.id);
+    const callback = scheduled ? { id: scheduled.id, note: scheduled.note } : null;
+    if (scheduled) await markAnswered(scheduled.id, { providerCallId: callSid }).catch(() => {});
+    fastify.log.info({ callSid, userId, scheduledCallId: callback?.id }, 'Twilio outbound call answered');
+
+    const res = await callManager.handleTwilioIncoming({ callSid, userId, dialed: normalizeDigits(params.From || ''), callback });
+    reply.type('text/xml');
+    if (res.action === 'reject') return reply.send(twiml('<Hangup/>'));
+    return reply.send(twiml(`<Connect><Stream url="${escapeXml(streamUrl(request))}"/></Connect>`));
+  });
+
+  // Final status of a callback dial (both dialers): completed, or busy / no-answer / failed → retry
+  fastify.post('/outbound-call/status', async (request, reply) => {
+    if (!checkSignature(request, reply, outboundUrl(request))) return reply;
+    const params = request.body || {};
+    const id = request.query?.id;
+    const status = String(params.CallStatus || '');
+    fastify.log.info({ scheduledCallId: id, callSid: params.CallSid, status }, 'Twilio outbound call status');
+    if (id && status) await reportOutcome(id, { status, providerCallId: params.CallSid || null }).catch(() => {});
+    return reply.type('text/xml').send(twiml(''));
+  });
+
+  // Fastify doesn't handle upgrades itself; take the ones for /media-stream off the HTTP server
+  const wss = new WebSocketServer({ noServer: true });
+  function onUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/media-stream') {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      return socket.destroy();
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => callManager.handleMediaStream(ws));
+  }
+  fastify.server.on('upgrade', onUpgrade);
+
+  fastify.addHook('onClose', async () => {
+    fastify.server.off('upgrade', onUpgrade);
+    for (const ws of wss.clients) { try { ws.terminate(); } catch {} }
+    await new Promise((resolve) => wss.close(resolve));
+  });
+}
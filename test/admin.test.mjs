@@ -0,0 +1,23 @@
+// Admin API without a database: auth, and 503 rather than 404 from the contact routes.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+
+const ADMIN_TOKEN = 'admin-test-token';
+
+before(() => {
+  Object.assign(process.env, { DB_URI: '', DATABASE_URL: '', ADMIN_TOKEN });
+});
+
+test('contact routes need the admin token and report a missing database', async () => {
+  const { default: adminPlugin } = await import('../src/plugins/admin.mjs');
+  const app = Fastify();
+  app.register(adminPlugin, { prefix: '/admin' });
+  const get = (url, token = ADMIN_TOKEN) => app.inject({ url, headers: { authorization: `Bearer ${token}` } });
+
+  assert.equal((await get('/admin/contacts/15550001111', 'wrong')).statusCode, 401);
+  for (const url of ['/admin/contacts/15550001111', '/admin/contacts/15550001111/activities', '/admin/contacts/15550001111/calls']) {
+    assert.equal((await get(url)).statusCode, 503, url);
+  }
+  await app.close();
+});
@@ -0,0 +1,192 @@
+// End-to-end call flow against the local OpenAI Realtime mock (scripts/mock-openai.mjs).
+// Runs index.js as a child process. Balances and the ledger live in Postgres when TEST_DB_URI points at a
+// disposable database, and otherwise in memory (test/helpers/memory-ledger.mjs), written to a file the
+// tests read.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockOpenAI } from '../scripts/mock-openai.mjs';
+import { signWebhookPayload } from '../src/lib/webhooks.mjs';
+import { openTestDb, testNumber } from './helpers/test-db.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const API_KEY = 'sk-test-mock';
+const WEBHOOK_SECRET = `whsec_${Buffer.from('rabbot-test-secret').toString('base64')}`;
+const GREETING = 'Thank you for calling, how can I help you?';
+const FUNDED_CALLER = '15550000005';
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'rabbot-call-flow-'));
+const LEDGER_FILE = path.join(tmpDir, 'ledger.jsonl');
+
+let mock;
+let server;
+let baseUrl;
+
+function startServer(env, execArgv = []) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [...execArgv, 'index.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      OPENAI_API_KEY: API_KEY,
+      OPENAI_BASE_URL: mock.url,
+      OPENAI_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      // Empty values keep a developer's .env from leaking real credentials into the test run
+      DB_URI: '', DATABASE_URL: '', TWILIO_ACCOUNT_SID: '', TWILIO_AUTH_TOKEN: '',
+      HANGUP_POST_TURN_DELAY_MS: '50',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.output = '';
+  child.stdout.on('data', (d) => { child.output += d; });
+  child.stderr.on('data', (d) => { child.output += d; });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${child.output}`)), 10_000);
+    child.stdout.on('data', () => {
+      if (child.output.includes('server listening')) {
+        clearTimeout(timer);
+        resolve({ child, url: `http://127.0.0.1:${port}` });
+      }
+    });
+    child.on('exit', (code) => reject(new Error(`server exited (${code}):\n${child.output}`)));
+  });
+}
+
+function incomingCall(callId, caller) {
+  return {
+    object: 'event',
+    type: 'realtime.call.incoming',
+    data: {
+      call_id: callId,
+      sip_headers: [
+        { name: 'From', value: `<sip:${caller}@sip.example.com>` },
+        { name: 'X-User-Id', value: caller },
+      ],
+    },
+  };
+}
+
+async function postWebhook(payload, { sign = true, id = `wh_${Math.random().toString(36).slice(2)}`, secret = WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = { 'content-type': 'application/json' };
+  if (sign) {
+    headers['webhook-id'] = id;
+    headers['webhook-timestamp'] = String(timestamp);
+    headers['webhook-signature'] = signWebhookPayload(secret, { id, timestamp, body });
+  }
+  const res = await fetch(`${baseUrl}/openai-sip`, { method: 'POST', headers, body });
+  return { status: res.status, json: await res.json().catch(() => null) };
+}
+
+function userMessages(callId) {
+  return mock.received
+    .filter(r => r.callId === callId && r.event.type === 'conversation.item.create' && r.event.item?.role === 'user')
+    .map(r => r.event.item.content.map(c => c.text).join(' '));
+}
+
+before(async () => {
+  mock = await startMockOpenAI({ apiKey: API_KEY });
+  const billing = { RBT_TO_SECONDS: '1', TRIAL_INIT_SECONDS: '0', BILLING_TICK_SECONDS: '1' };
+  server = process.env.TEST_DB_URI
+    ? await startServer({ ...billing, DB_URI: process.env.TEST_DB_URI, DB_SSL: process.env.TEST_DB_SSL || 'disable' })
+    : await startServer({
+      ...billing,
+      MEMORY_LEDGER_BALANCES: JSON.stringify({ [FUNDED_CALLER]: 3 }),
+      MEMORY_LEDGER_FILE: LEDGER_FILE,
+    }, ['--import', './test/helpers/memory-ledger-hooks.mjs']);
+  baseUrl = server.url;
+});
+
+after(async () => {
+  server?.child.kill('SIGKILL');
+  await mock?.close();
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function memoryLedger() {
+  try {
+    return readFileSync(LEDGER_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+test('rejects unsigned and mis-signed webhooks', async () => {
+  const payload = incomingCall('rtc_unsigned', '15550000001');
+  assert.equal((await postWebhook(payload, { sign: false })).status, 400);
+  assert.equal((await postWebhook(payload, { secret: `whsec_${Buffer.from('wrong').toString('base64')}` })).status, 401);
+  assert.equal(mock.requests.filter(r => r.callId === 'rtc_unsigned').length, 0);
+});
+
+test('ignores a replayed webhook-id', async () => {
+  const payload = incomingCall('test_replay', '15550000002');
+  const first = await postWebhook(payload, { id: 'wh_replay' });
+  const second = await postWebhook(payload, { id: 'wh_replay' });
+  assert.equal(first.status, 200);
+  assert.equal(second.json?.duplicate, true);
+});
+
+test('skips dashboard test events without accepting', async () => {
+  const res = await postWebhook(incomingCall('test_dashboard', '15550000003'));
+  assert.equal(res.status, 200);
+  await new Promise(r => setTimeout(r, 300));
+  assert.equal(mock.requests.filter(r => r.callId === 'test_dashboard').length, 0);
+});
+
+test('caller without minutes: accept, out-of-minutes announcement, hangup', { skip: !!process.env.TEST_DB_URI && 'covered by the funded-call scenario' }, async () => {
+  const callId = 'rtc_no_minutes';
+  const hangup = mock.waitFor('hangup', r => r.callId === callId, 15_000);
+  const res = await postWebhook(incomingCall(callId, '15550000004'));
+  assert.equal(res.status, 200);
+
+  const accept = await mock.waitFor('accept', r => r.callId === callId);
+  assert.equal(accept.body.type, 'realtime');
+  assert.match(accept.body.instructions, /The Rabbot/);
+
+  await hangup;
+  const said = userMessages(callId);
+  assert.ok(said.some(t => /minutes have run out/.test(t)), `expected out-of-minutes prompt, got ${JSON.stringify(said)}`);
+  assert.ok(!said.includes(GREETING));
+});
+
+test('funded caller: greeting, out-of-minutes, hangup, the call charged the whole balance once', async () => {
+  let caller = FUNDED_CALLER;
+  let license;
+  const db = await openTestDb({ RBT_TO_SECONDS: '1' });
+  if (db) {
+    license = await import('../src/lib/license.mjs');
+    caller = testNumber().slice(1);
+    await license.addPaidSeconds(caller, 3);
+    await db.Contact.update({ rbt: 3 }, { where: { wid: `${caller}@c.us` } }); // new contacts start with aibot's default
+    assert.equal(await license.totalSecondsLeft(caller), 3);
+  }
+
+  const callId = `rtc_funded_${caller}`;
+  const hangup = mock.waitFor('hangup', r => r.callId === callId, 20_000);
+  await postWebhook(incomingCall(callId, caller));
+  await mock.waitFor('response', r => r.callId === callId);
+  assert.ok(userMessages(callId).includes(GREETING));
+
+  await hangup;
+  assert.ok(userMessages(callId).some(t => /minutes have run out/.test(t)));
+  await new Promise(r => setTimeout(r, 500)); // charge is written as the session disconnects
+  let charges;
+  if (db) {
+    assert.equal(await license.totalSecondsLeft(caller), 0);
+    charges = (await db.UserActivity.findAll({ where: { action_type: 'voice_call', contextual_info: { call_id: callId } } })).map(r => r.toJSON());
+    await db.sequelize.close();
+  } else {
+    charges = memoryLedger().filter(r => r.action_type === 'voice_call' && r.contextual_info.call_id === callId);
+  }
+  // Charged while running (the watchdog's check) and settled at hangup, on the call's single row
+  assert.equal(charges.length, 1);
+  assert.ok(charges[0].contextual_info.seconds >= 3);
+  assert.equal(charges[0].contextual_info.interim, undefined);
+  assert.equal(charges[0].rbt_change, -3);
+});
@@ -0,0 +1,210 @@
+// CallManager against the local OpenAI Realtime mock, without Fastify or a database.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket, WebSocketServer } from 'ws';
+import { startMockOpenAI } from '../scripts/mock-openai.mjs';
+
+const API_KEY = 'sk-test-mock';
+const quiet = { info() {}, warn() {}, error() {} };
+
+let mock;
+let createCallManager;
+let callerFromSipHeaders;
+
+before(async () => {
+  mock = await startMockOpenAI({ apiKey: API_KEY });
+  // Set before the modules load so a developer's .env can't point the test at real services
+  Object.assign(process.env, {
+    OPENAI_BASE_URL: mock.url,
+    DB_URI: '', DATABASE_URL: '', TWILIO_ACCOUNT_SID: '', TWILIO_AUTH_TOKEN: '',
+    HANGUP_POST_TURN_DELAY_MS: '50',
+  });
+  ({ createCallManager, callerFromSipHeaders } = await import('../src/lib/call-manager.mjs'));
+});
+
+after(async () => {
+  await mock?.close();
+});
+
+function manager() {
+  return createCallManager({ apiKey: API_KEY, instructions: 'You are The Rabbot.', log: quiet, sendSms: async () => false });
+}
+
+function userMessages(callId) {
+  return mock.received
+    .filter(r => r.callId === callId && r.event.type === 'conversation.item.create' && r.event.item?.role === 'user')
+    .map(r => r.event.item.content.map(c => c.text).join(' '));
+}
+
+test('callerFromSipHeaders prefers X-User-Id and falls back to From', () => {
+  assert.equal(callerFromSipHeaders([{ name: 'From', value: '<sip:+15550001111@x>' }, { name: 'X-User-Id', value: '15559990000' }]), '15559990000');
+  assert.equal(callerFromSipHeaders([{ name: 'From', value: '"Anon" <sip:+15550001111@x>' }]), '15550001111');
+  assert.equal(callerFromSipHeaders([{ name: 'From', value: '<sip:anonymous@x>' }]), '');
+});
+
+test('tracks a call from accept and ends it before the session attaches', async () => {
+  const calls = manager();
+  const callId = 'rtc_cm_early';
+  const res = await calls.handleIncoming({ callId, userId: '15550001001' });
+  assert.equal(res.ok, true);
+  assert.deepEqual(calls.list().map(c => [c.callId, c.state]), [[callId, 'accepting']]);
+
+  assert.equal(await calls.hangup(callId, { graceful: false }), true);
+  assert.ok(mock.requests.some(r => r.callId === callId && r.action === 'hangup'));
+  await new Promise(r => setTimeout(r, 300));
+  assert.equal(calls.get(callId), null);
+  assert.equal(mock.received.filter(r => r.callId === callId).length, 0);
+});
+
+test('whispers to a connected call and hangs it up', async () => {
+  const calls = manager();
+  const callId = 'rtc_cm_live';
+  const connected = mock.waitFor('connected', e => e.callId === callId);
+  await calls.handleIncoming({ callId, userId: '15550001002' });
+  await connected;
+  await mock.waitFor('event', e => e.callId === callId && e.event.type === 'session.update');
+
+  assert.equal(calls.whisper(callId, 'Ask how their week was.'), true);
+  const closed = mock.waitFor('ws_closed', e => e.callId === callId);
+  assert.equal(await calls.hangup(callId, { graceful: false }), true);
+  await closed;
+  await new Promise(r => setTimeout(r, 100));
+
+  assert.ok(userMessages(callId).some(t => t.includes('Ask how their week was.')));
+  assert.ok(mock.requests.some(r => r.callId === callId && r.action === 'hangup'));
+  assert.equal(calls.get(callId), null);
+  assert.equal(calls.whisper(callId, 'too late'), false);
+  assert.equal(await calls.hangup(callId), false);
+});
+
+test('hangup and whisper report unknown calls', async () => {
+  const calls = manager();
+  assert.equal(await calls.hangup('rtc_missing'), false);
+  assert.equal(calls.whisper('rtc_missing', 'hi'), false);
+  assert.deepEqual(calls.list(), []);
+});
+
+test('drain says goodbye to live calls and turns new ones away as busy', async () => {
+  const calls = manager();
+  const callId = 'rtc_cm_drain';
+  const connected = mock.waitFor('connected', e => e.callId === callId);
+  await calls.handleIncoming({ callId, userId: '15550001003' });
+  await connected;
+  await mock.waitFor('event', e => e.callId === callId && e.event.type === 'session.update');
+
+  const stuck = await calls.drain({ graceSeconds: 0 });
+  assert.equal(stuck, 0);
+  assert.deepEqual(calls.list(), []);
+  assert.ok(userMessages(callId).some(t => /service update/.test(t)), JSON.stringify(userMessages(callId)));
+  assert.ok(mock.requests.some(r => r.callId === callId && r.action === 'hangup'));
+
+  const late = await calls.handleIncoming({ callId: 'rtc_cm_late', userId: '15550001004' });
+  assert.equal(late.action, 'reject');
+  const reject = mock.requests.find(r => r.callId === 'rtc_cm_late');
+  assert.equal(reject?.action, 'reject');
+  assert.equal(reject.body.status_code, 486);
+});
+
+// Stand-in for Twilio's side of a media stream, connected to handleMediaStream
+async function twilioStream(calls) {
+  const wss = new WebSocketServer({ port: 0 });
+  wss.on('connection', (ws) => calls.handleMediaStream(ws));
+  await new Promise((resolve) => wss.once('listening', resolve));
+  const ws = new WebSocket(`ws://127.0.0.1:${wss.address().port}`);
+  const received = [];
+  ws.on('message', (data) => received.push(JSON.parse(String(data))));
+  await new Promise((resolve) => ws.once('open', resolve));
+  return { ws, received, close: () => new Promise((resolve) => wss.close(resolve)) };
+}
+
+test('Twilio transport forwards audio both ways, tracks marks and clears on barge-in', async () => {
+  const { EventEmitter } = await import('node:events');
+  const { TwilioMediaStreamTransport } = await import('../src/lib/twilio-media.mjs');
+  const twilio = Object.assign(new EventEmitter(), { OPEN: 1, readyState: 1, sent: [] });
+  twilio.send = (data) => twilio.sent.push(JSON.parse(data));
+  const sent = (name) => twilio.sent.filter(e => e.event === name);
+
+  const transport = new TwilioMediaStreamTransport({ twilioWebSocket: twilio, streamSid: 'MZ_cm' });
+  const connected = mock.waitFor('connected', e => e.callId.startsWith('ws_'));
+  await transport.connect({ apiKey: API_KEY, model: 'gpt-realtime', url: `${mock.url.replace('http', 'ws')}/v1/realtime?model=gpt-realtime` });
+  const { callId: sessionId } = await connected;
+
+  const replied = mock.waitFor('response', e => e.callId === sessionId);
+  transport.sendEvent({ type: 'response.create' });
+  const { responseId } = await replied;
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(sent('media').length, 1);
+  assert.equal(sent('media')[0].streamSid, 'MZ_cm');
+  assert.deepEqual(sent('mark').map(e => e.mark.name), [`${responseId}:20`]);
+
+  const appended = mock.waitFor('event', e => e.callId === sessionId && e.event.type === 'input_audio_buffer.append');
+  twilio.emit('message', JSON.stringify({ event: 'mark', streamSid: 'MZ_cm', mark: { name: `${responseId}:20` } }));
+  twilio.emit('message', JSON.stringify({ event: 'media', streamSid: 'MZ_cm', media: { payload: Buffer.alloc(160, 0xff).toString('base64') } }));
+  await appended;
+
+  const truncated = mock.waitFor('event', e => e.callId === sessionId && e.event.type === 'conversation.item.truncate');
+  mock.emitToCall(sessionId, { type: 'input_audio_buffer.speech_started', audio_start_ms: 0, item_id: 'item_caller' });
+  const { event: truncate } = await truncated;
+  assert.ok(truncate.audio_end_ms <= 20);
+  assert.equal(sent('clear').length, 1);
+
+  const closed = mock.waitFor('ws_closed', e => e.callId === sessionId);
+  twilio.emit('close');
+  await closed;
+});
+
+test('bridges an admitted Twilio call and ends it through the stream', async () => {
+  const calls = manager();
+  const callSid = 'CA_cm_twilio';
+  const admitted = await calls.handleTwilioIncoming({ callSid, userId: '15550001005' });
+  assert.equal(admitted.action, 'accept');
+  assert.equal(calls.get(callSid).transport, 'twilio');
+
+  const twilio = await twilioStream(calls);
+  const connected = mock.waitFor('connected', e => e.callId.startsWith('ws_'));
+  const streamClosed = new Promise((resolve) => twilio.ws.once('close', resolve));
+  twilio.ws.send(JSON.stringify({ event: 'start', streamSid: 'MZ_cm', start: { callSid, streamSid: 'MZ_cm' } }));
+  const { callId: sessionId } = await connected;
+
+  // No database here, so no minutes: the usual out-of-minutes goodbye, then the stream is closed
+  await streamClosed;
+  await new Promise(r => setTimeout(r, 100));
+  assert.ok(userMessages(sessionId).some(t => /minutes have run out/.test(t)), JSON.stringify(userMessages(sessionId)));
+  assert.ok(twilio.received.some(e => e.event === 'media' && e.streamSid === 'MZ_cm'));
+  assert.equal(calls.get(callSid), null);
+  await twilio.close();
+});
+
+test('closes Twilio media streams for calls that were not admitted', async () => {
+  const calls = manager();
+  const twilio = await twilioStream(calls);
+  const closed = new Promise((resolve) => twilio.ws.once('close', resolve));
+  twilio.ws.send(JSON.stringify({ event: 'start', start: { callSid: 'CA_cm_unknown', streamSid: 'MZ_x' } }));
+  await closed;
+  assert.deepEqual(calls.list(), []);
+  await twilio.close();
+});
+
+test('escalation transfers SIP calls with a refer and Twilio calls with a <Dial> redirect', async () => {
+  const { createEscalation } = await import('../src/lib/escalation.mjs');
+  Object.assign(process.env, { ESCALATION_PHONE: '+15550007777', TWILIO_ACCOUNT_SID: 'AC_esc', TWILIO_AUTH_TOKEN: 'esc-token' });
+  const realFetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: String(init.body) });
+    return new Response('{}', { status: 200 });
+  };
+  try {
+    for (const [callId, transport] of [['rtc_esc', 'sip'], ['CA_esc', 'twilio']]) {
+      const res = await createEscalation({ callId, userId: 'anonymous', transport, log: quiet }).escalate('test');
+      assert.equal(res.mode, 'transfer');
+    }
+    assert.match(requests[0].url, /\/realtime\/calls\/rtc_esc\/refer$/);
+    assert.deepEqual(JSON.parse(requests[0].body), { target_uri: 'tel:+15550007777' });
+    assert.equal(requests[1].url, 'https://api.twilio.com/2010-04-01/Accounts/AC_esc/Calls/CA_esc.json');
+    assert.match(new URLSearchParams(requests[1].body).get('Twiml'), /<Dial><Number>\+15550007777<\/Number><\/Dial>/);
+  } finally {
+    globalThis.fetch = realFetch;
+    Object.assign(process.env, { ESCALATION_PHONE: '', TWILIO_ACCOUNT_SID: '', TWILIO_AUTH_TOKEN: '' });
+  }
+});
@@ -0,0 +1,110 @@
+// Post-call recaps: opt-in, channel choice, the template, SMS fallback and WhatsApp addressing, without a database.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dir;
+let followUps;
+let sms;
+const quiet = { info() {}, warn() {} };
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rabbot-recaps-'));
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    SMS_PROVIDER: 'outbox',
+    SMS_OUTBOX_FILE: path.join(dir, 'sms.jsonl'),
+    SMS_QUIET_HOURS: '',
+    CALL_RECAPS_DEFAULT: 'off',
+  });
+  followUps = await import('../src/lib/follow-ups.mjs');
+  sms = await import('../src/lib/sms.mjs');
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('recaps are off until the caller opts in with set_call_recaps', async () => {
+  assert.equal(await followUps.recapChannel('+15550001111'), null);
+  assert.equal(await followUps.recapChannel('anonymous'), null);
+
+  const t = followUps.createFollowUpTool({ callId: 'c1', userId: '+15550001111', log: quiet });
+  assert.match(String(await t.invoke({}, JSON.stringify({ enabled: true }))), /Recaps are on/);
+  // Opted in, but nothing shows they use WhatsApp
+  assert.equal(await followUps.recapChannel('+15550001111'), 'sms');
+
+  assert.ok(await followUps.setFollowUpPreference('+15550001111', { enabled: true, channel: 'whatsapp', source: 'admin' }));
+  assert.equal(await followUps.recapChannel('+15550001111'), 'whatsapp');
+  // Turning recaps off and on again from the call keeps the pinned channel
+  await t.invoke({}, JSON.stringify({ enabled: false }));
+  assert.equal(await followUps.recapChannel('+15550001111'), null);
+  await t.invoke({}, JSON.stringify({ enabled: true }));
+  assert.equal(await followUps.recapChannel('+15550001111'), 'whatsapp');
+
+  assert.equal(await followUps.setFollowUpPreference('+15550001111', { enabled: true, channel: 'fax' }), false);
+});
+
+test('the caller can ask for recaps on WhatsApp or as a regular text', async () => {
+  const t = followUps.createFollowUpTool({ callId: 'c5', userId: '+15550005555', log: quiet });
+  await t.invoke({}, JSON.stringify({ enabled: true, channel: 'whatsapp' }));
+  // A first recap can go on WhatsApp once they asked for it (no contact record says the number isn't on WhatsApp)
+  assert.equal(await followUps.recapChannel('+15550005555'), 'whatsapp');
+  await t.invoke({}, JSON.stringify({ enabled: true, channel: 'sms' }));
+  assert.equal(await followUps.recapChannel('+15550005555'), 'sms');
+  await t.invoke({}, JSON.stringify({ enabled: true, channel: null }));
+  assert.deepEqual(await followUps.getFollowUpPreference('+15550005555'), { enabled: true, channel: 'sms', chosen: true });
+});
+
+test('the recap renders the next step and goes out on the chosen channel', async () => {
+  const sent = [];
+  const ok = await followUps.sendCallRecap({
+    callId: 'c2', userId: '+15550002222', nextStep: 'Call the landlord on Monday', channel: 'whatsapp',
+    sendSms: async (uid, body, opts) => { sent.push({ uid, body, opts }); return true; },
+  });
+  assert.equal(ok, true);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /Call the landlord on Monday/);
+  assert.equal(sent[0].opts.template, 'call-recap');
+  assert.equal(sent[0].opts.channel, 'whatsapp');
+
+  assert.equal(await followUps.sendCallRecap({ callId: 'c3', userId: '+15550002222', nextStep: null, channel: 'sms', sendSms: async () => true }), false);
+
+  assert.ok(await sms.sendSms('+15550002222', 'Next step: rest', { log: quiet, template: 'call-recap', channel: 'whatsapp' }));
+  const lines = (await fs.readFile(process.env.SMS_OUTBOX_FILE, 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+  assert.equal(lines.at(-1).channel, 'whatsapp');
+});
+
+test('a WhatsApp recap the provider refuses goes out as an SMS', async () => {
+  const channels = [];
+  const ok = await followUps.sendCallRecap({
+    callId: 'c4', userId: '+15550004444', nextStep: 'Rest', channel: 'whatsapp',
+    sendSms: async (uid, body, opts) => { channels.push(opts.channel); return opts.channel === 'sms'; },
+  });
+  assert.equal(ok, true);
+  assert.deepEqual(channels, ['whatsapp', 'sms']);
+});
+
+test('Twilio sends WhatsApp from TWILIO_WHATSAPP_FROM with whatsapp: addresses', async () => {
+  const saved = { ...process.env };
+  const realFetch = globalThis.fetch;
+  const bodies = [];
+  Object.assign(process.env, {
+    SMS_PROVIDER: 'twilio', TWILIO_ACCOUNT_SID: 'AC123', TWILIO_AUTH_TOKEN: 'token',
+    TWILIO_WHATSAPP_FROM: '+15557654321', TWILIO_FROM: '+15550009999',
+  });
+  globalThis.fetch = async (_url, init) => {
+    bodies.push(new URLSearchParams(init.body));
+    return new Response(JSON.stringify({ sid: 'SM1', status: 'queued' }), { status: 201 });
+  };
+  try {
+    assert.ok(await sms.sendSms('+15550003333', 'Next step: rest', { log: quiet, template: 'call-recap', channel: 'whatsapp' }));
+    assert.equal(bodies[0].get('To'), 'whatsapp:+15550003333');
+    assert.equal(bodies[0].get('From'), 'whatsapp:+15557654321');
+  } finally {
+    globalThis.fetch = realFetch;
+    process.env = saved;
+  }
+});
@@ -0,0 +1,75 @@
+// Monitoring: the Prometheus text format and the /metrics, /healthz and /readyz routes, without a database.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+
+let metrics;
+
+before(async () => {
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    OPENAI_API_KEY: 'sk-test', OPENAI_WEBHOOK_SECRET: 'whsec_test', TWILIO_AUTH_TOKEN: 'twilio', ADMIN_TOKEN: 'admin', GUMROAD_SELLER_ID: 'seller',
+    PERSONAS_DIR: 'personas', DEFAULT_PERSONA: 'rabbot',
+    METRICS_TOKEN: 'metrics-token',
+  });
+  metrics = await import('../src/lib/metrics.mjs');
+});
+
+function app(callManager) {
+  const fastify = Fastify();
+  return import('../src/plugins/health.mjs').then(({ default: healthPlugin }) => {
+    fastify.register(healthPlugin, { callManager });
+    return fastify;
+  });
+}
+
+test('counters and histograms render in the Prometheus text format', () => {
+  const c = metrics.counter('test_events_total', 'Test events');
+  c.inc({ kind: 'a "quoted" one' });
+  c.inc({ kind: 'a "quoted" one' }, 2);
+  const h = metrics.histogram('test_latency_seconds', 'Test latency', [1, 0.5]);
+  h.observe({}, 0.7);
+  h.observe({}, 3);
+
+  const text = metrics.renderMetrics();
+  assert.match(text, /# TYPE test_events_total counter\ntest_events_total\{kind="a \\"quoted\\" one"\} 3\n/);
+  assert.match(text, /test_latency_seconds_bucket\{le="0.5"\} 0\ntest_latency_seconds_bucket\{le="1"\} 1\ntest_latency_seconds_bucket\{le="\+Inf"\} 2\ntest_latency_seconds_sum 3.7\ntest_latency_seconds_count 2\n/);
+  assert.match(text, /# TYPE rabbot_call_duration_seconds histogram/);
+});
+
+test('/metrics needs METRICS_TOKEN and counts active calls by transport', async () => {
+  const fastify = await app({ list: () => [{ transport: 'sip' }, { transport: 'twilio' }, { transport: 'sip' }], isDraining: () => false });
+  assert.equal((await fastify.inject({ url: '/metrics' })).statusCode, 401);
+  assert.equal((await fastify.inject({ url: '/metrics', headers: { authorization: 'Bearer metrics-tokex' } })).statusCode, 401);
+  const res = await fastify.inject({ url: '/metrics', headers: { authorization: 'Bearer metrics-token' } });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/plain; version=0.0.4/);
+  assert.match(res.body, /rabbot_active_calls\{transport="sip"\} 2\nrabbot_active_calls\{transport="twilio"\} 1\n/);
+  await fastify.close();
+});
+
+test('/healthz stays up while draining; /readyz does not', async () => {
+  let draining = false;
+  const fastify = await app({ list: () => [], isDraining: () => draining });
+
+  let res = await fastify.inject({ url: '/readyz' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json().errors, []);
+  assert.deepEqual(res.json().warnings, ['No database configured; calls cannot be billed']);
+  assert.equal(res.json().db.status, 'not-configured');
+
+  draining = true;
+  assert.equal((await fastify.inject({ url: '/readyz' })).statusCode, 503);
+  assert.equal((await fastify.inject({ url: '/healthz' })).statusCode, 200);
+
+  // Broken config: neither is healthy
+  process.env.PERSONA_BY_CALLER = '{nope';
+  try {
+    res = await fastify.inject({ url: '/healthz' });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.json().errors, ['PERSONA_BY_CALLER is not valid JSON']);
+  } finally {
+    delete process.env.PERSONA_BY_CALLER;
+  }
+  await fastify.close();
+});
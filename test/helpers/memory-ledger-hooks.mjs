@@ -0,0 +1,17 @@
+// Module hooks: every import of src/lib/license.mjs gets memory-ledger.mjs instead, except memory-ledger.mjs's
+// own import of the real module. Use with `node --import ./test/helpers/memory-ledger-hooks.mjs`.
+import { register } from 'node:module';
+
+const STUB = new URL('./memory-ledger.mjs', import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  const resolved = await next(specifier, context);
+  if (resolved.url.endsWith('/src/lib/license.mjs') && context.parentURL !== STUB) return { ...resolved, url: STUB };
+  return resolved;
+}
+
+// Imported with --import this registers itself; loaded by register() it only provides the hook
+if (!process.env.MEMORY_LEDGER_HOOKS_LOADED) {
+  process.env.MEMORY_LEDGER_HOOKS_LOADED = '1';
+  register(import.meta.url);
+}
@@ -0,0 +1,76 @@
+// In-memory stand-in for the balance side of src/lib/license.mjs, for running index.js end to end without
+// Postgres (test/call-flow.test.mjs). Loaded through memory-ledger-hooks.mjs in place of license.mjs; what
+// isn't overridden here is the real module. Balances start from MEMORY_LEDGER_BALANCES ({ "<digits>": seconds }),
+// seconds are 1:1 with RBT, and the ledger is written to MEMORY_LEDGER_FILE as JSON lines after every change.
+import { writeFileSync } from 'node:fs';
+import { normalizeDigits } from '../../src/lib/contacts.mjs';
+
+export * from '../../src/lib/license.mjs';
+
+const balances = new Map(Object.entries(JSON.parse(process.env.MEMORY_LEDGER_BALANCES || '{}')));
+const rows = [];
+
+// `amend(prior)` as in applyLedgerChange: the change is added to that row in place
+function record(userId, { actionType, outcome, rbtChange = 0, info = {}, idempotencyKey = null, amend = null }) {
+  const contactId = normalizeDigits(userId);
+  const prior = idempotencyKey && rows.find(r => r.contactId === contactId && r.idempotency_key === idempotencyKey);
+  if (prior && !amend?.(prior)) return { ok: true, applied: false, duplicate: true };
+  const before = Number(balances.get(contactId) || 0);
+  const after = Math.max(0, before + rbtChange);
+  balances.set(contactId, after);
+  if (prior) {
+    Object.assign(prior, { action_outcome: outcome, rbt_change: prior.rbt_change + after - before, contextual_info: info });
+  } else {
+    rows.push({ contactId, action_type: actionType, action_outcome: outcome, rbt_change: after - before, contextual_info: info, idempotency_key: idempotencyKey, timestamp: new Date().toISOString() });
+  }
+  if (process.env.MEMORY_LEDGER_FILE) writeFileSync(process.env.MEMORY_LEDGER_FILE, rows.map(r => `${JSON.stringify(r)}\n`).join(''));
+  return { ok: true, applied: true, rbtChange: after - before };
+}
+
+export async function ensureEntitlement(userId) {
+  return { trialLeft: 0, paidLeft: Number(balances.get(normalizeDigits(userId)) || 0) };
+}
+
+export async function totalSecondsLeft(userId) {
+  return (await ensureEntitlement(userId)).paidLeft;
+}
+
+export async function isPro() {
+  return false;
+}
+
+export async function ensureInitialTrialTopup() {
+  return { ok: false, reason: 'disabled' };
+}
+
+export async function addPaidSeconds(userId, seconds, opts = {}) {
+  const res = record(userId, { actionType: 'topup', outcome: 'seconds_to_rbt', rbtChange: seconds, info: { seconds }, idempotencyKey: opts.idempotencyKey });
+  return { ok: true, duplicate: !!res.duplicate };
+}
+
+// Like the real one: one row per call, amended while the call runs and settled when it ends
+export async function chargeCall(userId, { callId, seconds, final = true } = {}) {
+  const contactId = normalizeDigits(userId);
+  const idempotencyKey = callId ? `call:${callId}` : null;
+  const prior = idempotencyKey && rows.find(r => r.contactId === contactId && r.idempotency_key === idempotencyKey);
+  const had = prior?.contextual_info.seconds || 0;
+  if (!prior && !seconds) return { ok: true, rbtChange: 0 };
+  const res = record(userId, {
+    actionType: 'voice_call', outcome: 'call', rbtChange: -Math.max(0, seconds - had),
+    info: { seconds: Math.max(seconds, had), call_id: callId, ...(final ? {} : { interim: true }) },
+    idempotencyKey,
+    amend: (row) => !!row.contextual_info.interim,
+  });
+  return { ok: true, duplicate: !!res.duplicate, rbtChange: res.rbtChange || 0 };
+}
+
+export async function recordActivity(userId, { actionType, outcome, info, idempotencyKey } = {}) {
+  return record(userId, { actionType, outcome, info, idempotencyKey });
+}
+
+export async function secondsUsedSince(userId, since) {
+  const contactId = normalizeDigits(userId);
+  return rows
+    .filter(r => r.contactId === contactId && r.action_type === 'voice_call' && new Date(r.timestamp) >= since)
+    .reduce((sum, r) => sum + (Number(r.contextual_info?.seconds) || 0), 0);
+}
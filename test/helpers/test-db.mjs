@@ -0,0 +1,35 @@
+// Disposable Postgres for the ledger tests: TEST_DB_URI (TEST_DB_SSL, default disable). Our own tables come from
+// the migrations in initDb(); the shared Contacts/UserActivities tables, which aibot owns in production, are
+// created here.
+import { randomInt } from 'node:crypto';
+
+// `skip` option for tests that need the database
+export const NO_TEST_DB = !process.env.TEST_DB_URI && 'set TEST_DB_URI to a disposable Postgres database';
+
+// Resolves to src/lib/db.mjs, or null when TEST_DB_URI is not set. `env` is applied before the first import.
+export async function openTestDb(env = {}) {
+  if (!process.env.TEST_DB_URI) return null;
+  Object.assign(process.env, { DB_URI: process.env.TEST_DB_URI, DATABASE_URL: '', DB_SSL: process.env.TEST_DB_SSL || 'disable', ...env });
+  const db = await import('../../src/lib/db.mjs');
+  await db.initDb();
+  // Test files run in parallel: one creates the tables, the others wait on the lock
+  await db.sequelize.transaction(async (transaction) => {
+    await db.sequelize.query('SELECT pg_advisory_xact_lock(72616263)', { transaction });
+    // Contacts.gender is an ENUM whose value Sequelize can't quote in CREATE TYPE; a string column does here
+    await db.sequelize.query(`CREATE TABLE IF NOT EXISTS "Contacts" (
+      id SERIAL PRIMARY KEY, wid VARCHAR(255) NOT NULL UNIQUE,
+      is_blocked BOOLEAN, is_business BOOLEAN, is_enterprise BOOLEAN, is_group BOOLEAN, is_me BOOLEAN,
+      is_my_contact BOOLEAN, is_user BOOLEAN, is_wa_contact BOOLEAN,
+      name VARCHAR(255), number VARCHAR(255), gender VARCHAR(255) NOT NULL DEFAULT 'Unset(use your best guess)',
+      pushname VARCHAR(255), short_name VARCHAR(255), is_unlimited BOOLEAN DEFAULT false, license_key VARCHAR(255),
+      rbt INTEGER NOT NULL DEFAULT 80, streak INTEGER NOT NULL DEFAULT 0,
+      "createdAt" TIMESTAMPTZ NOT NULL, "updatedAt" TIMESTAMPTZ NOT NULL)`, { transaction });
+    await db.UserActivity.sync({ transaction });
+  });
+  return db;
+}
+
+// A fresh caller number (12 digits), so runs against the same database don't share balances
+export function testNumber() {
+  return `+1555${String(randomInt(1e8)).padStart(8, '0')}`;
+}
@@ -0,0 +1,315 @@
+// Ledger under concurrency and Gumroad pings: parallel call charges (while calls run and at hangup), top-ups,
+// webhook replays, license keys and gifts, pools (owner billing, monthly limits, members leaving), subscription
+// cancellations vs refunds, and the recap channel a contact's records pick, against a real Postgres (TEST_DB_URI).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import fastifyFormBody from '@fastify/formbody';
+import { openTestDb, testNumber, NO_TEST_DB } from './helpers/test-db.mjs';
+
+let db;
+let license;
+
+before(async () => {
+  db = await openTestDb({ RBT_TO_SECONDS: '1', GUMROAD_SELLER_ID: 'seller-test', GUMROAD_CATALOG: '{"min30":{"permalink":"rabbot-minutes","seconds":1800},"monthly":{"permalink":"rabbot-unlimited","unlimited":true,"periodDays":31}}' });
+  if (db) license = await import('../src/lib/license.mjs');
+});
+
+after(async () => { await db?.sequelize?.close(); });
+
+async function rbtOf(phone) {
+  const { contact } = await (await import('../src/lib/contacts.mjs')).findContactByPhone(phone);
+  return contact.rbt;
+}
+
+function rows(phone, where = {}) {
+  return db.UserActivity.findAll({ where: { contactId: `${phone.slice(1)}@c.us`, ...where }, order: [['id', 'ASC']] });
+}
+
+test('parallel charges for the same call bill it once', { skip: NO_TEST_DB }, async () => {
+  const caller = testNumber();
+  await license.addPaidSeconds(caller, 100, { idempotencyKey: 'seed' });
+  const start = await rbtOf(caller);
+  const results = await Promise.all(Array.from({ length: 8 }, () => license.chargeCall(caller, { callId: 'rtc_same', seconds: 30 })));
+  assert.equal(results.filter(r => r.ok && !r.duplicate).length, 1);
+  assert.equal(await rbtOf(caller), start - 30);
+  assert.equal((await rows(caller, { action_type: 'voice_call' })).length, 1);
+});
+
+test('calls charged while they run show in the balance and are settled once at hangup', { skip: NO_TEST_DB }, async () => {
+  const caller = testNumber();
+  await license.addPaidSeconds(caller, 100, { idempotencyKey: 'seed' });
+  const start = await rbtOf(caller);
+  // Two live calls on one balance: each sees the other's charges so far
+  await Promise.all([
+    license.chargeCall(caller, { callId: 'rtc_a', seconds: 10, final: false }),
+    license.chargeCall(caller, { callId: 'rtc_a', seconds: 10, final: false }),
+    license.chargeCall(caller, { callId: 'rtc_b', seconds: 20, final: false }),
+  ]);
+  assert.equal(await license.totalSecondsLeft(caller), start - 30);
+  // Hangup charges only the rest; a late check and a replayed hangup add nothing
+  await license.chargeCall(caller, { callId: 'rtc_a', seconds: 15 });
+  await license.chargeCall(caller, { callId: 'rtc_a', seconds: 12, final: false });
+  await license.chargeCall(caller, { callId: 'rtc_a', seconds: 15 });
+  assert.equal(await rbtOf(caller), start - 35);
+  // One row per call, settled in place
+  const charges = (await rows(caller, { action_type: 'voice_call' })).filter(r => r.contextual_info.call_id === 'rtc_a');
+  assert.deepEqual(charges.map(r => [r.contextual_info.seconds, r.rbt_change, r.contextual_info.interim]), [[15, -15, undefined]]);
+});
+
+test('a pool member\'s running call keeps one row under the owner and one pooled row under the member', { skip: NO_TEST_DB }, async () => {
+  const [owner, member] = [testNumber(), testNumber()];
+  await poolWith(owner, member, { monthlyLimitSeconds: 60 });
+  const start = await rbtOf(owner);
+  const callId = `rtc_live_${member}`;
+  for (const seconds of [10, 20, 30]) await license.chargeCall(member, { callId, seconds, final: false });
+  assert.equal(await license.totalSecondsLeft(member), 30);
+  await license.chargeCall(member, { callId, seconds: 34 });
+  assert.equal(await rbtOf(owner), start - 34);
+  const [charge] = await rows(owner, { action_type: 'voice_call' });
+  const pooled = await rows(member, { action_type: 'voice_call' });
+  assert.deepEqual([charge.rbt_change, charge.contextual_info.seconds, charge.contextual_info.interim], [-34, 34, undefined]);
+  assert.deepEqual(pooled.map(r => [r.action_outcome, r.contextual_info.seconds, r.contextual_info.interim]), [['pooled', 34, undefined]]);
+  assert.equal((await rows(owner, { action_type: 'voice_call' })).length, 1);
+});
+
+test('a call stays billed to the pool it started on when the member leaves mid-call', { skip: NO_TEST_DB }, async () => {
+  const pools = await import('../src/lib/pools.mjs');
+  const [owner, member] = [testNumber(), testNumber()];
+  for (const n of [owner, member]) await license.addPaidSeconds(n, 100, { idempotencyKey: 'seed' });
+  const start = { owner: await rbtOf(owner), member: await rbtOf(member) };
+  const { pool } = await pools.createPool({ owner });
+  await pools.setPoolMember(pool.id, member);
+  await license.chargeCall(member, { callId: `rtc_leave_${member}`, seconds: 10, final: false });
+  await pools.removePoolMember(pool.id, member);
+  await license.chargeCall(member, { callId: `rtc_leave_${member}`, seconds: 15 });
+  assert.deepEqual([await rbtOf(owner), await rbtOf(member)], [start.owner - 15, start.member]);
+  assert.deepEqual((await rows(member, { action_type: 'voice_call' })).map(r => [r.action_outcome, r.contextual_info.seconds]), [['pooled', 15]]);
+});
+
+async function poolWith(owner, member, opts = {}) {
+  const pools = await import('../src/lib/pools.mjs');
+  for (const n of [owner, member]) await license.addPaidSeconds(n, 100, { idempotencyKey: 'seed' });
+  const { pool } = await pools.createPool({ owner });
+  await pools.setPoolMember(pool.id, member, opts);
+  return { pools, pool };
+}
+
+test('a pool member\'s calls are charged to the owner, with a pooled row under the member', { skip: NO_TEST_DB }, async () => {
+  const [owner, member] = [testNumber(), testNumber()];
+  await poolWith(owner, member);
+  const start = { owner: await rbtOf(owner), member: await rbtOf(member) };
+  assert.equal(await license.totalSecondsLeft(member), start.owner);
+
+  await license.chargeCall(member, { callId: `rtc_pool_${member}`, seconds: 30 });
+  assert.deepEqual([await rbtOf(owner), await rbtOf(member)], [start.owner - 30, start.member]);
+  const [charge] = await rows(owner, { action_type: 'voice_call' });
+  assert.deepEqual([charge.rbt_change, charge.contextual_info.member], [-30, member.slice(1)]);
+  const [pooled] = await rows(member, { action_type: 'voice_call' });
+  assert.deepEqual([pooled.action_outcome, pooled.rbt_change, pooled.contextual_info.billed_to], ['pooled', 0, owner.slice(1)]);
+  // Members' calls aren't the owner's own usage
+  assert.equal(await license.secondsUsedSince(owner, new Date(Date.now() - 60_000)), 0);
+});
+
+test('a member\'s monthly limit caps what they can use of the pool', { skip: NO_TEST_DB }, async () => {
+  const [owner, member] = [testNumber(), testNumber()];
+  await poolWith(owner, member, { monthlyLimitSeconds: 60 });
+  assert.equal(await license.totalSecondsLeft(member), 60);
+  await license.chargeCall(member, { callId: `rtc_m1_${member}`, seconds: 45 });
+  const ent = await license.ensureEntitlement(member);
+  assert.deepEqual([ent.paidLeft, ent.monthlyLeft], [15, 15]);
+  // The owner's own calls don't count against it
+  await license.chargeCall(owner, { callId: `rtc_o1_${owner}`, seconds: 20 });
+  assert.equal(await license.totalSecondsLeft(member), 15);
+  await license.chargeCall(member, { callId: `rtc_m2_${member}`, seconds: 30 });
+  assert.equal(await license.totalSecondsLeft(member), 0);
+});
+
+test('a member who leaves mid-month pays for themselves, and rejoining doesn\'t reset their limit', { skip: NO_TEST_DB }, async () => {
+  const [owner, member] = [testNumber(), testNumber()];
+  const { pools, pool } = await poolWith(owner, member, { monthlyLimitSeconds: 60 });
+  await license.chargeCall(member, { callId: `rtc_in_${member}`, seconds: 40 });
+  const start = { owner: await rbtOf(owner), member: await rbtOf(member) };
+
+  assert.equal(await pools.removePoolMember(pool.id, member), true);
+  assert.equal(await license.totalSecondsLeft(member), start.member);
+  await license.chargeCall(member, { callId: `rtc_out_${member}`, seconds: 10 });
+  assert.deepEqual([await rbtOf(owner), await rbtOf(member)], [start.owner, start.member - 10]);
+
+  await pools.setPoolMember(pool.id, member, { monthlyLimitSeconds: 60 });
+  assert.equal(await license.totalSecondsLeft(member), 20);
+});
+
+test('parallel top-ups and charges all land, and the balance matches the ledger', { skip: NO_TEST_DB }, async () => {
+  const caller = testNumber();
+  await license.addPaidSeconds(caller, 1, { idempotencyKey: 'create' });
+  const start = await rbtOf(caller);
+  await Promise.all([
+    ...Array.from({ length: 10 }, (_, i) => license.addPaidSeconds(caller, 60, { idempotencyKey: `topup:${i}` })),
+    ...Array.from({ length: 10 }, (_, i) => license.chargeCall(caller, { callId: `rtc_${i}`, seconds: 20 })),
+    // Replays of the same top-ups
+    ...Array.from({ length: 10 }, (_, i) => license.addPaidSeconds(caller, 60, { idempotencyKey: `topup:${i}` })),
+  ]);
+  assert.equal(await rbtOf(caller), start + 10 * 60 - 10 * 20);
+  const ledger = await rows(caller);
+  assert.equal(ledger.filter(r => r.action_type === 'topup').length, 11);
+  assert.equal(ledger.filter(r => r.action_type === 'voice_call').length, 10);
+  // Every change is in the ledger: the rows add up to the balance over the initial default
+  const sum = ledger.reduce((s, r) => s + r.rbt_change, 0);
+  assert.equal(await rbtOf(caller), start - 1 + sum);
+});
+
+test('a charge larger than the balance floors it at zero and records what was taken', { skip: NO_TEST_DB }, async () => {
+  const caller = testNumber();
+  await license.addPaidSeconds(caller, 1, { idempotencyKey: 'create' });
+  const start = await rbtOf(caller);
+  await license.chargeCall(caller, { callId: 'rtc_big', seconds: start + 500 });
+  assert.equal(await rbtOf(caller), 0);
+  const [charge] = await rows(caller, { action_type: 'voice_call' });
+  assert.equal(charge.rbt_change, -start);
+});
+
+async function gumroadApp() {
+  const { default: gumroadPlugin } = await import('../src/plugins/gumroad.mjs');
+  const app = Fastify();
+  app.register(fastifyFormBody);
+  app.register(gumroadPlugin);
+  app.ping = (fields) => app.inject({
+    method: 'POST',
+    url: '/billing/gumroad/webhook',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    payload: new URLSearchParams({ seller_id: 'seller-test', ...fields }).toString(),
+  });
+  return app;
+}
+
+test('Gumroad webhook replays credit a sale once', { skip: NO_TEST_DB }, async () => {
+  const buyer = testNumber();
+  const app = await gumroadApp();
+  await license.addPaidSeconds(buyer, 1, { idempotencyKey: 'create' });
+  const start = await rbtOf(buyer);
+  const saleId = `sale_${buyer.slice(1)}`;
+  const ping = () => app.ping({ sale_id: saleId, product_permalink: 'rabbot-minutes', 'url_params[userId]': buyer });
+  const res = await Promise.all(Array.from({ length: 6 }, ping));
+  assert.ok(res.every(r => r.statusCode === 200));
+  assert.equal(await rbtOf(buyer), start + 1800);
+  assert.equal((await rows(buyer, { action_type: 'topup' })).filter(r => r.contextual_info.sale_id === saleId).length, 1);
+  assert.equal((await rows(buyer, { action_type: 'gumroad', action_outcome: 'sale' })).length, 1);
+  const claim = await db.GumroadSaleClaim.findOne({ where: { sale_id: saleId } });
+  assert.ok(claim.credited_at);
+  assert.deepEqual([claim.user_id, claim.details.seconds], [buyer.slice(1), 1800]);
+
+  // One sale delivered for two numbers at once is credited to one of them
+  const [a, b] = [testNumber(), testNumber()];
+  const both = { a: await rbtOf(a).catch(() => 80), b: await rbtOf(b).catch(() => 80) };
+  await Promise.all([a, b].map(n => app.ping({ sale_id: `sale_${a.slice(1)}_${b.slice(1)}`, product_permalink: 'rabbot-minutes', 'url_params[userId]': n })));
+  assert.equal((await rbtOf(a)) - both.a + (await rbtOf(b)) - both.b, 1800);
+  await app.close();
+});
+
+test('a cancelled subscription stays unlimited until it ends; a refund ends it now', { skip: NO_TEST_DB }, async () => {
+  const app = await gumroadApp();
+  const [cancelled, refunded] = [testNumber(), testNumber()];
+  for (const buyer of [cancelled, refunded]) {
+    await app.ping({ sale_id: `sale_${buyer.slice(1)}`, subscription_id: `sub_${buyer.slice(1)}`, product_permalink: 'rabbot-unlimited', 'url_params[userId]': buyer });
+    assert.equal(await license.isPro(buyer), true);
+  }
+  await app.ping({ resource_name: 'cancellation', subscription_id: `sub_${cancelled.slice(1)}`, cancelled: 'true' });
+  assert.equal(await license.isPro(cancelled), true);
+  await app.ping({ resource_name: 'subscription_ended', subscription_id: `sub_${cancelled.slice(1)}`, ended_at: new Date().toISOString() });
+  assert.equal(await license.isPro(cancelled), false);
+
+  await app.ping({ resource_name: 'refund', sale_id: `sale_${refunded.slice(1)}`, refunded: 'true' });
+  assert.equal(await license.isPro(refunded), false);
+  await app.close();
+});
+
+test('a license key credits its sale once, to one number, and never after a refund', { skip: NO_TEST_DB }, async () => {
+  const { redeemLicense } = await import('../src/lib/gumroad.mjs');
+  const app = await gumroadApp();
+  const [buyer, other, third] = [testNumber(), testNumber(), testNumber()];
+  const purchases = {
+    WEBHOOKED: { sale_id: `sale_w_${buyer.slice(1)}` },
+    FRESH: { sale_id: `sale_f_${buyer.slice(1)}` },
+    REFUNDED: { sale_id: `sale_r_${buyer.slice(1)}`, refunded: true },
+  };
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (_url, init) => {
+    const purchase = purchases[new URLSearchParams(init.body).get('license_key')];
+    return new Response(JSON.stringify({ success: true, purchase: { product_permalink: 'rabbot-minutes', ...purchase } }));
+  };
+  process.env.GUMROAD_PRODUCT_PERMALINK = 'rabbot-minutes';
+  try {
+    for (const n of [buyer, other, third]) await license.addPaidSeconds(n, 1, { idempotencyKey: 'create' });
+    const start = { buyer: await rbtOf(buyer), other: await rbtOf(other), third: await rbtOf(third) };
+
+    // Credited by the webhook: its key adds nothing, on the buyer's number or another
+    await app.ping({ sale_id: purchases.WEBHOOKED.sale_id, product_permalink: 'rabbot-minutes', 'url_params[userId]': buyer });
+    assert.equal((await redeemLicense(buyer, 'WEBHOOKED')).reason, 'already-redeemed');
+    assert.equal((await redeemLicense(other, 'WEBHOOKED')).reason, 'already-redeemed');
+
+    // Redeemed on two numbers at once: one gets it, and a retry gets nothing
+    const res = await Promise.all([redeemLicense(other, 'FRESH'), redeemLicense(third, 'FRESH')]);
+    assert.deepEqual(res.map(r => r.ok).sort(), [false, true]);
+    assert.equal((await redeemLicense(other, 'FRESH')).ok, false);
+    assert.equal((await rbtOf(other)) + (await rbtOf(third)), start.other + start.third + 1800);
+
+    // The sale's own webhook, arriving late, doesn't credit it again
+    await app.ping({ sale_id: purchases.FRESH.sale_id, product_permalink: 'rabbot-minutes', 'url_params[userId]': buyer });
+    assert.equal(await rbtOf(buyer), start.buyer + 1800);
+
+    assert.equal((await redeemLicense(other, 'REFUNDED')).reason, 'refunded');
+    assert.equal((await rows(other, { action_type: 'gumroad', action_outcome: 'sale' })).length + (await rows(third, { action_type: 'gumroad', action_outcome: 'sale' })).length, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+    delete process.env.GUMROAD_PRODUCT_PERMALINK;
+    await app.close();
+  }
+});
+
+test('gifts in both directions at once neither deadlock nor lose seconds', { skip: NO_TEST_DB }, async () => {
+  const [a, b] = [testNumber(), testNumber()];
+  await license.addPaidSeconds(a, 100, { idempotencyKey: 'seed' });
+  await license.addPaidSeconds(b, 100, { idempotencyKey: 'seed' });
+  const total = (await rbtOf(a)) + (await rbtOf(b));
+  const res = await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2
+    ? license.transferSeconds(a, b, 10, { idempotencyKey: `gift:${i}` })
+    : license.transferSeconds(b, a, 10, { idempotencyKey: `gift:${i}` }))));
+  assert.ok(res.every(r => r.ok), JSON.stringify(res));
+  assert.equal((await rbtOf(a)) + (await rbtOf(b)), total);
+  assert.equal(await rbtOf(a), total / 2);
+  // A replayed gift moves nothing
+  assert.equal((await license.transferSeconds(a, b, 10, { idempotencyKey: 'gift:1' })).duplicate, true);
+  assert.equal(await rbtOf(a), total / 2);
+});
+
+test('recaps go on WhatsApp to WhatsApp contacts who asked for it or were reached there before', { skip: NO_TEST_DB }, async () => {
+  const followUps = await import('../src/lib/follow-ups.mjs');
+  const saved = process.env.SMS_PROVIDER;
+  process.env.SMS_PROVIDER = 'outbox';
+  try {
+    const [waContact, lidContact] = [testNumber(), testNumber()];
+    await license.addPaidSeconds(waContact, 1, { idempotencyKey: 'create' }); // creates <digits>@c.us
+    await db.Contact.create({ wid: `${lidContact.slice(1)}@lid`, number: lidContact.slice(1) });
+    for (const n of [waContact, lidContact]) await followUps.setFollowUpPreference(n, { enabled: true, channel: 'auto' });
+
+    // auto: SMS until a WhatsApp message has gone out to them, and never WhatsApp for a non-@c.us contact
+    assert.deepEqual([await followUps.recapChannel(waContact), await followUps.recapChannel(lidContact)], ['sms', 'sms']);
+    for (const n of [waContact, lidContact]) {
+      await db.SmsMessage.create({ to: n, provider: 'outbox', body: 'hi', status: 'sent', channel: 'whatsapp' });
+    }
+    assert.deepEqual([await followUps.recapChannel(waContact), await followUps.recapChannel(lidContact)], ['whatsapp', 'sms']);
+
+    // asked for WhatsApp: the first recap goes there, for WhatsApp contacts only
+    const [asked, askedLid] = [testNumber(), testNumber()];
+    await license.addPaidSeconds(asked, 1, { idempotencyKey: 'create' });
+    await db.Contact.create({ wid: `${askedLid.slice(1)}@lid`, number: askedLid.slice(1) });
+    for (const n of [asked, askedLid]) {
+      await followUps.createFollowUpTool({ callId: `c_${n}`, userId: n, log: { info() {} } }).invoke({}, JSON.stringify({ enabled: true, channel: 'whatsapp' }));
+    }
+    assert.deepEqual([await followUps.recapChannel(asked), await followUps.recapChannel(askedLid)], ['whatsapp', 'sms']);
+  } finally {
+    if (saved === undefined) delete process.env.SMS_PROVIDER;
+    else process.env.SMS_PROVIDER = saved;
+  }
+});
@@ -0,0 +1,69 @@
+// Caller memory: instructions and greeting from stored summaries, the post-call summarizer and the forget tool.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let memory;
+
+before(async () => {
+  Object.assign(process.env, { DB_URI: '', DATABASE_URL: '', OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: 'http://openai.test' });
+  memory = await import('../src/lib/memory.mjs');
+});
+
+test('known callers get a memory block and a greeting by name', () => {
+  const remembered = {
+    name: 'Dana',
+    summaries: [{ at: new Date('2025-03-01T12:00:00Z'), topics: ['job interview nerves'], nextStep: 'practice answers', followUps: ['how the interview went'] }],
+  };
+  const block = memory.memoryInstructions(remembered);
+  assert.match(block, /^# Caller Memory/);
+  assert.match(block, /name is Dana/);
+  assert.match(block, /2025-03-01: talked about job interview nerves\. agreed next step: practice answers\. follow up on: how the interview went\./);
+  assert.match(block, /forget_caller_memory/);
+  assert.match(memory.memoryGreeting(remembered), /by name \(Dana\).*pick up where you left off/);
+
+  assert.equal(memory.memoryInstructions({ name: null, summaries: [] }), '');
+  assert.equal(memory.memoryGreeting({ name: null, summaries: [] }), null);
+});
+
+test('the summarizer sends only what was said and keeps the structured result', async () => {
+  const realFetch = globalThis.fetch;
+  let request;
+  globalThis.fetch = async (url, init) => {
+    request = { url, body: JSON.parse(init.body) };
+    const content = JSON.stringify({ topics: ['sleep'], next_step: null, follow_ups: ['bedtime routine'] });
+    return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 });
+  };
+  try {
+    const summary = await memory.summarizeTranscript([
+      { role: 'user', text: 'Thank you for calling, how can I help you?', injected: true },
+      { role: 'assistant', text: 'Hi, how can I help?' },
+      { role: 'user', text: 'I keep waking up at night.', injected: false },
+    ], { log: { warn() {} } });
+    assert.deepEqual(summary, { topics: ['sleep'], next_step: null, follow_ups: ['bedtime routine'] });
+    assert.equal(request.url, 'http://openai.test/v1/chat/completions');
+    assert.equal(request.body.response_format.type, 'json_schema');
+    const transcript = request.body.messages[1].content;
+    assert.equal(transcript, 'The Rabbot: Hi, how can I help?\nCaller: I keep waking up at night.');
+    assert.match(request.body.messages[0].content, /between a caller and The Rabbot,/);
+
+    // Another persona's call is summarized under its own name
+    await memory.summarizeTranscript([{ role: 'assistant', text: 'Hi!' }, { role: 'user', text: 'Hello.' }], { log: { warn() {} }, assistant: 'Dana' });
+    assert.match(request.body.messages[0].content, /between a caller and Dana,/);
+    assert.equal(request.body.messages[1].content, 'Dana: Hi!\nCaller: Hello.');
+
+    // Nothing the caller said: no request at all
+    request = null;
+    assert.equal(await memory.summarizeTranscript([{ role: 'assistant', text: 'Hello?' }]), null);
+    assert.equal(request, null);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('forget_caller_memory flags the call even without a database', async () => {
+  let forgot = false;
+  const forget = memory.createForgetTool({ callId: 'rtc_mem', userId: '15550001111', log: { info() {} }, onForget: () => { forgot = true; } });
+  assert.equal(forget.name, 'forget_caller_memory');
+  assert.match(await forget.invoke({}, '{}'), /^Done/);
+  assert.equal(forgot, true);
+});
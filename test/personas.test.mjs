@@ -0,0 +1,104 @@
+// Personas: versioned files, defaults and per-call selection by SIP header, caller and dialed number.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+let personas;
+let dir;
+
+function writePersona(name, config) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(config));
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+  writePersona('rabbot.v1.json', { id: 'rabbot', version: 1, instructionsFile: 'rabbot.v1.md', voice: 'cedar' });
+  fs.writeFileSync(path.join(dir, 'rabbot.v1.md'), 'You are The Rabbot.');
+  writePersona('rabbot.v2.json', { id: 'rabbot', version: 2, instructions: 'You are The Rabbot, v2.', greeting: 'Shalom!', farewells: { 'call-cap': 'Say goodbye.' }, tools: ['escalate_to_human'] });
+  writePersona('rabbot-he.v1.json', { id: 'rabbot-he', version: 1, name: 'הרבוט', instructions: 'Speak Hebrew.' });
+  writePersona('broken.v1.json', { id: 'broken', version: 1 });
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    PERSONAS_DIR: dir,
+    DEFAULT_PERSONA: 'rabbot',
+    PERSONA_BY_CALLER: JSON.stringify({ '+972': 'rabbot-he' }),
+    PERSONA_BY_DIALED: JSON.stringify({ '+15550002222': 'rabbot@1', '+15550003333': 'nobody' }),
+  });
+  personas = await import('../src/lib/personas.mjs');
+});
+
+test('persona files load with their instructions and defaults filled in', async () => {
+  const all = await personas.loadPersonas({ refresh: true });
+  assert.deepEqual([...all.keys()].sort(), ['rabbot-he@1', 'rabbot@1', 'rabbot@2']);
+
+  const v1 = all.get('rabbot@1');
+  assert.equal(v1.instructions, 'You are The Rabbot.');
+  assert.equal(v1.name, 'The Rabbot');
+  assert.equal(v1.greeting, personas.DEFAULT_GREETING);
+  assert.equal(v1.tools, null);
+
+  const v2 = all.get('rabbot@2');
+  assert.equal(v2.greeting, 'Shalom!');
+  assert.equal(v2.farewells['call-cap'], 'Say goodbye.');
+  assert.equal(v2.farewells['out-of-minutes'], personas.DEFAULT_FAREWELLS['out-of-minutes']);
+  assert.deepEqual(v2.tools, ['escalate_to_human']);
+});
+
+test('selection: SIP header, then caller prefix, then dialed number, then the default', async () => {
+  const pick = async (ctx) => (await personas.selectPersona(ctx)).key;
+  assert.equal(await pick({ userId: '15550001111' }), 'rabbot@2');
+  assert.equal(await pick({ userId: '972501234567' }), 'rabbot-he@1');
+  assert.equal(await pick({ userId: '15550001111', dialed: '15550002222' }), 'rabbot@1');
+  assert.equal(await pick({ userId: '972501234567', dialed: '15550002222' }), 'rabbot-he@1');
+  assert.equal(await pick({ userId: '972501234567', sipHeaders: [{ name: 'X-Persona', value: 'rabbot@1' }] }), 'rabbot@1');
+  // Unknown references fall through to the next rule
+  assert.equal(await pick({ dialed: '15550003333', sipHeaders: [{ name: 'X-Persona', value: 'rabbot@9' }] }), 'rabbot@2');
+});
+
+test('a version extends another file and joins its instruction files in order', async () => {
+  writePersona('rabbot.v3.json', { id: 'rabbot', version: 3, extends: 'rabbot.v2.json', instructionsFile: ['rabbot.v1.md', 'extra.md'] });
+  fs.writeFileSync(path.join(dir, 'extra.md'), 'Also check the balance.\n');
+  writePersona('rabbot.v4.json', { id: 'rabbot', version: 4, extends: 'rabbot.v3.json', instructions: 'Inline wins.' });
+  writePersona('loop.v1.json', { id: 'loop', version: 1, extends: 'loop.v2.json' });
+  writePersona('loop.v2.json', { id: 'loop', version: 2, extends: 'loop.v1.json' });
+  try {
+    const all = await personas.loadPersonas({ refresh: true });
+    const v3 = all.get('rabbot@3');
+    assert.equal(v3.instructions, 'You are The Rabbot.\n\nAlso check the balance.');
+    assert.equal(v3.greeting, 'Shalom!');
+    assert.deepEqual(v3.tools, ['escalate_to_human']);
+    assert.equal(all.get('rabbot@4').instructions, 'Inline wins.');
+    assert.equal(all.get('rabbot@4').greeting, 'Shalom!');
+    assert.equal(all.has('loop@1') || all.has('loop@2'), false);
+  } finally {
+    for (const name of ['rabbot.v3.json', 'rabbot.v4.json', 'extra.md', 'loop.v1.json', 'loop.v2.json']) fs.rmSync(path.join(dir, name));
+    await personas.loadPersonas({ refresh: true });
+  }
+});
+
+test('every persona version shipped with the repo loads', async () => {
+  const saved = process.env.PERSONAS_DIR;
+  process.env.PERSONAS_DIR = path.resolve('personas');
+  try {
+    const all = await personas.loadPersonas({ refresh: true });
+    const files = fs.readdirSync('personas').filter(n => /\.v\d+\.json$/.test(n));
+    assert.ok(files.length > 0);
+    for (const name of files) {
+      const { id, version, tools } = JSON.parse(fs.readFileSync(path.join('personas', name), 'utf8'));
+      const persona = all.get(`${id}@${version}`);
+      assert.ok(persona, `${name} loads`);
+      assert.match(persona.instructions, /^# Role & Objective/);
+      assert.deepEqual(persona.tools, tools);
+      // Each enabled account tool is described in the prompt
+      for (const tool of tools.filter(t => ['get_balance', 'redeem_promo_code', 'gift_minutes'].includes(t))) {
+        assert.match(persona.instructions, new RegExp(`## ${tool}\\(`), `${name} describes ${tool}`);
+      }
+    }
+    assert.deepEqual(all.get('rabbot@1').tools, ['escalate_to_human', 'schedule_callback', 'forget_caller_memory']);
+    assert.doesNotMatch(all.get('rabbot@2').instructions, /get_balance/);
+  } finally {
+    process.env.PERSONAS_DIR = saved;
+  }
+});
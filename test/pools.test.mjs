@@ -0,0 +1,42 @@
+// Shared minute pools: lookups and the admin routes, without a database.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+
+const ADMIN_TOKEN = 'admin-test-token';
+let pools;
+
+before(async () => {
+  Object.assign(process.env, { DB_URI: '', DATABASE_URL: '', ADMIN_TOKEN });
+  pools = await import('../src/lib/pools.mjs');
+});
+
+test('numbers outside a pool pay for themselves', async () => {
+  assert.equal(await pools.poolFor('+15550001111'), null);
+  assert.equal(await pools.poolFor('anonymous'), null);
+  assert.equal(await pools.topupUserFor('+15550001111'), '+15550001111');
+  assert.equal(await pools.findPoolByNumber('+15550001111'), null);
+});
+
+test('pool changes need a database and valid input', async () => {
+  assert.deepEqual(await pools.createPool({ owner: '' }), { ok: false, reason: 'invalid' });
+  assert.deepEqual(await pools.createPool({ owner: '+15550001111' }), { ok: false, reason: 'no-db' });
+  assert.deepEqual(await pools.setPoolMember(1, '+15550002222', { monthlyLimitSeconds: -60 }), { ok: false, reason: 'invalid' });
+  assert.deepEqual(await pools.setPoolMember(1, '+15550002222', { monthlyLimitSeconds: 3600 }), { ok: false, reason: 'no-db' });
+  assert.equal(await pools.removePoolMember(1, '+15550002222'), false);
+});
+
+test('admin pool routes', async () => {
+  const { default: adminPlugin } = await import('../src/plugins/admin.mjs');
+  const app = Fastify();
+  app.register(adminPlugin, { prefix: '/admin' });
+  const req = (method, url, payload) => app.inject({ method, url, headers: { 'x-admin-token': ADMIN_TOKEN }, payload });
+
+  assert.equal((await req('POST', '/admin/pools', {})).statusCode, 400);
+  assert.equal((await req('POST', '/admin/pools', { owner: '+15550001111' })).statusCode, 503);
+  assert.equal((await req('GET', '/admin/pools/1')).statusCode, 404);
+  assert.equal((await req('POST', '/admin/pools/1/members', {})).statusCode, 400);
+  assert.equal((await req('POST', '/admin/pools/1/members', { phone: '+15550002222' })).statusCode, 503);
+  assert.equal((await req('DELETE', '/admin/pools/1/members/15550002222')).statusCode, 404);
+  await app.close();
+});
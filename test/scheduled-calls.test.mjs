@@ -0,0 +1,83 @@
+// Callback scheduling: retry backoff, the schedule_callback tool, dialers and the admin route, without a database.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+
+const ADMIN_TOKEN = 'admin-test-token';
+let scheduled;
+let dialers;
+
+before(async () => {
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    ADMIN_TOKEN,
+    OUTBOUND_RETRY_BASE_SECONDS: '600',
+    OUTBOUND_RETRY_MAX_SECONDS: '3600',
+    OUTBOUND_DIALER: 'sip',
+    TWILIO_ACCOUNT_SID: 'AC_test', TWILIO_AUTH_TOKEN: 'twilio-test-token', TWILIO_NUMBER: '+15550009999',
+    PUBLIC_BASE_URL: 'https://rabbot.example.com/',
+    OPENAI_PROJECT_ID: 'proj_test',
+  });
+  scheduled = await import('../src/lib/scheduled-calls.mjs');
+  dialers = await import('../src/lib/dialers.mjs');
+});
+
+test('retries back off exponentially up to the cap', () => {
+  assert.deepEqual([1, 2, 3, 4].map(scheduled.retryDelaySeconds), [600, 1200, 2400, 3600]);
+});
+
+test('schedule_callback refuses hidden numbers, past and far-off times', async () => {
+  const now = () => new Date('2025-03-03T20:00:00Z');
+  const invoke = (userId, args) => scheduled
+    .createScheduleCallbackTool({ callId: 'rtc_cb', userId, now, log: { info() {} } })
+    .invoke({}, JSON.stringify({ note: 'follow up', ...args }));
+
+  const tool = scheduled.createScheduleCallbackTool({ callId: 'rtc_cb', userId: '15550001111', now });
+  assert.equal(tool.name, 'schedule_callback');
+  assert.match(tool.description, /America\/New_York/);
+
+  assert.match(await invoke('anonymous', { when: '2025-03-04T09:00:00-05:00' }), /hidden/);
+  assert.match(await invoke('15550001111', { when: 'tomorrow morning' }), /could not be understood/);
+  assert.match(await invoke('15550001111', { when: '2025-03-03T14:00:00-05:00' }), /already passed/);
+  assert.match(await invoke('15550001111', { when: '2025-06-01T09:00:00-05:00' }), /30 days/);
+  // Valid, but there's nowhere to store it
+  assert.equal((await invoke('15550001111', { when: '2025-03-04T09:00:00-05:00' })).ok, false);
+});
+
+test('the SIP dialer rings through Twilio and hands the answered leg to OpenAI', async () => {
+  const dialer = dialers.getDialer();
+  assert.equal(dialer.name, 'sip');
+  const realFetch = globalThis.fetch;
+  let request;
+  globalThis.fetch = async (url, init) => {
+    request = { url, body: new URLSearchParams(init.body) };
+    return new Response(JSON.stringify({ sid: 'CA_dialed' }), { status: 201 });
+  };
+  try {
+    const res = await dialer.dial({ userId: '15550001111', scheduledCallId: 7 });
+    assert.deepEqual(res, { ok: true, id: 'CA_dialed' });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  assert.match(request.url, /\/Accounts\/AC_test\/Calls\.json$/);
+  assert.equal(request.body.get('To'), '+15550001111');
+  assert.equal(request.body.get('From'), '+15550009999');
+  assert.equal(request.body.get('StatusCallback'), 'https://rabbot.example.com/outbound-call/status?id=7');
+  assert.match(request.body.get('Twiml'), /<Sip>sip:proj_test@sip\.api\.openai\.com;transport=tls\?X-User-Id=15550001111&amp;X-Scheduled-Call-Id=7<\/Sip>/);
+
+  assert.equal(dialers.getDialer('nope'), null);
+});
+
+test('POST /admin/calls/outbound validates input and needs a database', async () => {
+  const { default: callsPlugin } = await import('../src/plugins/calls.mjs');
+  const app = Fastify();
+  app.register(callsPlugin, { prefix: '/admin', callManager: {} });
+  const post = (body) => app.inject({ method: 'POST', url: '/admin/calls/outbound', headers: { 'x-admin-token': ADMIN_TOKEN }, payload: body });
+
+  assert.equal((await post({})).statusCode, 400);
+  assert.equal((await post({ to: '+15550001111', at: 'soon' })).statusCode, 400);
+  const res = await post({ to: '+15550001111', at: '2030-01-01T09:00:00Z', note: 'check in' });
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.json().error, 'no database configured');
+  await app.close();
+});
@@ -0,0 +1,150 @@
+// Account self-service tools: hidden numbers, top-up and gift links, license and promo code redemption and
+// gift checks, and the web redeem route's texted code and rate limits, without a database.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Fastify from 'fastify';
+
+let createSelfServiceTools;
+const quiet = { info() {}, warn() {} };
+
+before(async () => {
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    GUMROAD_PRODUCT_PERMALINK: 'rabbot-minutes',
+    GUMROAD_CATALOG: '{"min30":{"permalink":"rabbot-minutes","seconds":1800}}',
+    TOPUP_SMS_PACK: '',
+    REDEEM_ATTEMPTS_PER_CALL: '2',
+  });
+  ({ createSelfServiceTools } = await import('../src/lib/self-service.mjs'));
+});
+
+function toolsFor(userId, sent = []) {
+  const tools = createSelfServiceTools({
+    callId: 'c1', userId, log: quiet,
+    sendSms: async (uid, body, opts) => { sent.push({ uid, body, opts }); return true; },
+  });
+  return Object.fromEntries(tools.map(t => [t.name, t]));
+}
+
+test('hidden numbers get no account actions', async () => {
+  const sent = [];
+  const tools = toolsFor('anonymous', sent);
+  assert.deepEqual(Object.keys(tools), ['get_balance', 'send_topup_link', 'redeem_license', 'redeem_promo_code', 'gift_minutes', 'update_my_name']);
+  for (const [name, args] of [['get_balance', {}], ['send_topup_link', { gift_to: null }], ['gift_minutes', { to_phone: '+15557654321', minutes: 5 }], ['update_my_name', { name: 'Dana' }]]) {
+    assert.match(String(await tools[name].invoke({}, JSON.stringify(args))), /number is hidden/);
+  }
+  assert.equal(sent.length, 0);
+});
+
+test('send_topup_link texts the caller a checkout link for their own number', async () => {
+  const sent = [];
+  const tools = toolsFor('+15550001111', sent);
+  assert.match(String(await tools.send_topup_link.invoke({}, JSON.stringify({ gift_to: null }))), /on its way/);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].uid, '+15550001111');
+  assert.equal(sent[0].opts.template, 'topup-link');
+  assert.match(sent[0].body, /\/l\/rabbot-minutes\?wanted=true&userId=%2B15550001111/);
+
+  // A gift link is for the recipient, marked with the buyer, and still texted to the caller
+  assert.match(String(await tools.send_topup_link.invoke({}, JSON.stringify({ gift_to: '+44 7700 900123' }))), /on its way/);
+  assert.equal(sent[1].uid, '+15550001111');
+  assert.match(sent[1].body, /userId=%2B447700900123&gift_from=%2B15550001111/);
+  assert.match(String(await tools.send_topup_link.invoke({}, JSON.stringify({ gift_to: '1111' }))), /not a full phone number/);
+  assert.equal(sent.length, 2);
+});
+
+test('gifts need another full number and a positive amount', async () => {
+  const tools = toolsFor('+15550001111');
+  const gift = (args) => tools.gift_minutes.invoke({}, JSON.stringify(args)).then(String);
+  assert.match(await gift({ to_phone: '+1 555 000 1111', minutes: 5 }), /not a full phone number for someone else/);
+  assert.match(await gift({ to_phone: '555', minutes: 5 }), /not a full phone number/);
+  assert.match(await gift({ to_phone: '+15557654321', minutes: 0 }), /how many minutes/);
+});
+
+test('redeem_license uses the Gumroad check and limits attempts per call', async () => {
+  const realFetch = globalThis.fetch;
+  const keys = [];
+  globalThis.fetch = async (_url, init) => {
+    const key = new URLSearchParams(init.body).get('license_key');
+    keys.push(key);
+    const success = key === 'ABCD1234-EF567890';
+    return new Response(JSON.stringify(success ? { success, purchase: { product_permalink: 'rabbot-minutes' } } : { success, message: 'not found' }));
+  };
+  try {
+    const tools = toolsFor('+15550002222');
+    const redeem = (k) => tools.redeem_license.invoke({}, JSON.stringify({ license_key: k })).then(String);
+    // Accepted by Gumroad, but there is no database here to credit it in
+    const accepted = await tools.redeem_license.invoke({}, JSON.stringify({ license_key: 'abcd 1234-ef56 7890' }));
+    assert.match(accepted.error, /cannot be redeemed right now/);
+    assert.equal(keys[0], 'ABCD1234-EF567890');
+    assert.match(await redeem('WRONG123-KEY'), /not accepted/);
+    assert.match(await redeem('WRONG456-KEY'), /Too many attempts/);
+    // Promo codes share the per-call limit
+    assert.match(String(await tools.redeem_promo_code.invoke({}, JSON.stringify({ code: 'SPRING30' }))), /Too many attempts/);
+    assert.equal(keys.length, 2);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('promo codes are normalized and at least 8 characters', async () => {
+  const { normalizeCode, redeemPromoCode } = await import('../src/lib/promos.mjs');
+  assert.equal(normalizeCode(' spring-30 '), 'SPRING30');
+  assert.deepEqual(await redeemPromoCode('+15550003333', 'SPRING'), { ok: false, reason: 'not-found' });
+  assert.deepEqual(await redeemPromoCode('+15550003333', 'SPRING30'), { ok: false, reason: 'no-db' });
+});
+
+test('POST /billing/redeem needs a code texted to the number, and is rate limited', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rabbot-redeem-'));
+  Object.assign(process.env, {
+    SMS_PROVIDER: 'outbox', SMS_OUTBOX_FILE: path.join(dir, 'sms.jsonl'), SMS_QUIET_HOURS: '',
+    REDEEM_RATE_LIMIT_PER_NUMBER: '4', REDEEM_RATE_LIMIT_PER_IP: '0',
+  });
+  const fastify = Fastify();
+  const { default: gumroadPlugin } = await import('../src/plugins/gumroad.mjs');
+  fastify.register(gumroadPlugin);
+  const post = (url, payload) => fastify.inject({ method: 'POST', url, payload });
+  const textedCode = async () => {
+    const lines = (await fs.readFile(process.env.SMS_OUTBOX_FILE, 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+    return lines.at(-1).body.match(/\d{6}/)[0];
+  };
+  try {
+    const userId = '+15550003333';
+    assert.equal((await post('/billing/redeem', { userId, code: 'SPRING30' })).statusCode, 400);
+    assert.equal((await post('/billing/redeem', { userId, code: 'SPRING30', verificationCode: '000000' })).statusCode, 401);
+
+    assert.equal((await post('/billing/redeem/code', { userId })).statusCode, 200);
+    const verificationCode = await textedCode();
+    const res = await post('/billing/redeem', { userId, code: 'SPRING30', verificationCode });
+    assert.equal(res.statusCode, 503);
+    assert.deepEqual(res.json(), { ok: false, error: 'no-db' });
+    // Used up; then the number's hourly limit is reached
+    assert.equal((await post('/billing/redeem', { userId, code: 'SPRING30', verificationCode })).statusCode, 401);
+    assert.equal((await post('/billing/redeem/code', { userId })).statusCode, 429);
+    assert.equal((await post('/billing/redeem/code', { userId: '+15550004444' })).statusCode, 200);
+  } finally {
+    await fastify.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the per-address limit counts the address the proxy saw, not forged X-Forwarded-For entries', async () => {
+  Object.assign(process.env, { REDEEM_RATE_LIMIT_PER_NUMBER: '0', REDEEM_RATE_LIMIT_PER_IP: '2' });
+  const fastify = Fastify({ trustProxy: 1 });
+  const { default: gumroadPlugin } = await import('../src/plugins/gumroad.mjs');
+  fastify.register(gumroadPlugin);
+  const post = (forged) => fastify.inject({
+    method: 'POST', url: '/billing/redeem', payload: { userId: '+15550005555', code: 'SPRING30', verificationCode: '000000' },
+    headers: { 'x-forwarded-for': `${forged}, 203.0.113.9` },
+  });
+  try {
+    assert.equal((await post('10.0.0.1')).statusCode, 401);
+    assert.equal((await post('10.0.0.2')).statusCode, 401);
+    assert.equal((await post('10.0.0.3')).statusCode, 429);
+  } finally {
+    await fastify.close();
+  }
+});
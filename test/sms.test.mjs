@@ -0,0 +1,134 @@
+// SMS templates, the outbox provider, send policy and the inbound keyword webhook, without a database.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Fastify from 'fastify';
+import fastifyFormBody from '@fastify/formbody';
+import { signTwilioRequest } from '../src/lib/webhooks.mjs';
+
+let dir;
+let sms;
+let templates;
+let policy;
+const quiet = { info() {}, warn() {} };
+const TWILIO_TOKEN = 'twilio-test-token';
+
+async function outboxLines() {
+  const text = await fs.readFile(process.env.SMS_OUTBOX_FILE, 'utf8').catch(() => '');
+  return text.trim().split('\n').filter(Boolean).map(l => JSON.parse(l));
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rabbot-sms-'));
+  Object.assign(process.env, {
+    DB_URI: '', DATABASE_URL: '',
+    SMS_PROVIDER: 'outbox',
+    SMS_OUTBOX_FILE: path.join(dir, 'sms.jsonl'),
+    SMS_LOCALE_BY_PREFIX: '{"+972":"he"}',
+    SMS_TEMPLATES: '{"en":{"low-balance":"Running low! Top up: {link}"}}',
+    SMS_COOLDOWN_SECONDS: '3600',
+    SMS_QUIET_HOURS: '',
+    TWILIO_AUTH_TOKEN: TWILIO_TOKEN,
+  });
+  sms = await import('../src/lib/sms.mjs');
+  templates = await import('../src/lib/sms-templates.mjs');
+  policy = await import('../src/lib/sms-policy.mjs');
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('templates pick the locale from the number and allow overrides', () => {
+  assert.equal(templates.localeFor('972501234567'), 'he');
+  assert.equal(templates.localeFor('+15551234567'), 'en');
+  assert.equal(templates.renderTemplate('low-balance', { link: 'https://x.test/a' }, { to: '15551234567' }).text, 'Running low! Top up: https://x.test/a');
+  assert.match(templates.renderTemplate('out-of-minutes', { link: 'L' }, { to: '972501234567' }).text, /^נגמרו.*L$/);
+  // Missing in the override locale → built-in text of that locale
+  assert.match(templates.renderTemplate('out-of-minutes', { link: 'L' }, { to: '15551234567' }).text, /out of minutes/);
+  assert.equal(templates.renderTemplate('no-such-template'), null);
+});
+
+test('outbox provider writes each message to disk', async () => {
+  assert.equal(await sms.sendTemplate('15551234567', 'out-of-minutes', { link: 'https://x.test/b' }, { log: quiet }), true);
+  assert.equal(await sms.sendSms('', 'nobody', { log: quiet }), false);
+  const lines = await outboxLines();
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].to, '+15551234567');
+  assert.equal(lines[0].template, 'out-of-minutes');
+  assert.equal(lines[0].locale, 'en');
+  assert.match(lines[0].body, /https:\/\/x\.test\/b/);
+});
+
+test('cooldown holds back a repeat of the same template; urgent and transactional templates go through', async () => {
+  const to = '15552220000';
+  assert.equal(await sms.sendTemplate(to, 'out-of-minutes', { link: 'L' }, { log: quiet }), true);
+  assert.equal(await sms.sendTemplate(to, 'out-of-minutes', { link: 'L' }, { log: quiet }), false);
+  assert.equal(await sms.sendTemplate(to, 'low-balance', { link: 'L' }, { log: quiet }), true);
+  assert.equal(await sms.sendTemplate(to, 'low-balance', { link: 'L' }, { log: quiet }), false);
+  assert.equal(await sms.sendSms(to, 'crisis', { log: quiet, template: 'crisis-line' }), true);
+  assert.equal(await sms.sendSms(to, 'crisis', { log: quiet, template: 'crisis-line' }), true);
+  assert.equal(await sms.sendTemplate(to, 'topup-link', { link: 'L' }, { log: quiet }), true);
+  assert.equal(await sms.sendTemplate(to, 'topup-link', { link: 'L' }, { log: quiet }), true);
+  assert.equal(await sms.sendTemplate(to, 'verify-code', { code: '123456', minutes: 10 }, { log: quiet }), true);
+  assert.equal(await sms.sendTemplate(to, 'verify-code', { code: '654321', minutes: 10 }, { log: quiet }), true);
+});
+
+test('quiet hours follow the recipient country time zone', async () => {
+  process.env.SMS_QUIET_HOURS = '21-8';
+  try {
+    const at = new Date('2026-03-10T20:30:00Z'); // 22:30 in Jerusalem, 16:30 in New York
+    assert.equal(policy.timeZoneFor('972501234567'), 'Asia/Jerusalem');
+    assert.equal(policy.inQuietHours('972501234567', at), true);
+    assert.equal(policy.inQuietHours('15551234567', at), false);
+    for (const template of ['call-recap', 'out-of-minutes', 'low-balance', 'verify-code']) {
+      assert.deepEqual(await policy.checkSendPolicy({ to: '972501234567', template, now: at }), { ok: false, reason: 'quiet-hours' }, template);
+    }
+    // Something the caller just asked for or bought still goes out
+    assert.deepEqual(await policy.checkSendPolicy({ to: '972501234567', template: 'purchase-receipt', now: at }), { ok: true });
+  } finally {
+    process.env.SMS_QUIET_HOURS = '';
+  }
+});
+
+test('inbound STOP / START / HELP keep the opt-out flag and reply with TwiML', async () => {
+  const { default: smsPlugin } = await import('../src/plugins/sms.mjs');
+  const app = Fastify();
+  app.register(fastifyFormBody);
+  app.register(smsPlugin);
+  await app.ready();
+  const url = 'https://rabbot.example.com/sms/inbound';
+  process.env.SMS_INBOUND_URL = url;
+  const from = '+15553330000';
+  const inbound = (Body, signature) => {
+    const params = { From: from, To: '+15550000000', Body };
+    return app.inject({
+      method: 'POST',
+      url: '/sms/inbound',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'x-twilio-signature': signature ?? signTwilioRequest(TWILIO_TOKEN, url, params),
+      },
+      payload: new URLSearchParams(params).toString(),
+    });
+  };
+  try {
+    assert.equal((await inbound('STOP', 'forged')).statusCode, 403);
+
+    const stop = await inbound('stop please');
+    assert.equal(stop.statusCode, 200);
+    assert.match(stop.body, /<Message>You will no longer receive texts/);
+    assert.equal(await policy.isOptedOut(from), true);
+    assert.equal(await sms.sendTemplate(from, 'low-balance', { link: 'L' }, { log: quiet }), false);
+
+    assert.match((await inbound('HELP')).body, /Reply STOP to unsubscribe/);
+    assert.match((await inbound('START')).body, /subscribed to texts again/);
+    assert.equal(await policy.isOptedOut(from), false);
+    assert.equal((await inbound('thanks!')).body.includes('<Message>'), false);
+  } finally {
+    delete process.env.SMS_INBOUND_URL;
+    await app.close();
+  }
+});
@@ -0,0 +1,121 @@
+// Webhook signatures: Standard Webhooks fixtures for /openai-sip (signed with openssl, see below), replays,
+// and the server refusing webhooks when no signing secret is configured.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { verifyWebhook, signWebhookPayload } from '../src/lib/webhooks.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// printf '%s' 'wh_fixture.1760000000.<BODY>' | openssl dgst -sha256 -hmac 'rabbot-fixture-secret' -binary | base64
+// (oldSignature: the same with 'rabbot-old-secret')
+const FIXTURE = {
+  secret: 'whsec_cmFiYm90LWZpeHR1cmUtc2VjcmV0',
+  id: 'wh_fixture',
+  timestamp: 1760000000,
+  body: '{"object":"event","id":"evt_fixture","type":"realtime.call.incoming","data":{"call_id":"rtc_fixture","sip_headers":[{"name":"From","value":"<sip:+15550001111@sip.example.com>"}]}}',
+  signature: 'v1,Gepa26DbK7LgSCoUNeoI/ADXINZ2ewbWnJJB1P9LCQQ=',
+  oldSignature: 'v1,+gQJaPhLB8XZb9zQqQJ40YPWb5Kvx9TYQCw7rb8eaDE=',
+};
+const NOW = FIXTURE.timestamp * 1000 + 5000;
+
+function check({ id = FIXTURE.id, timestamp = FIXTURE.timestamp, signature = FIXTURE.signature, body = FIXTURE.body, now = NOW } = {}) {
+  return verifyWebhook({
+    secret: FIXTURE.secret,
+    headers: { 'webhook-id': id, 'webhook-timestamp': String(timestamp), 'webhook-signature': signature },
+    rawBody: body,
+    toleranceSeconds: 300,
+    now,
+  });
+}
+
+test('signs the fixture like openssl does', () => {
+  assert.equal(signWebhookPayload(FIXTURE.secret, FIXTURE), FIXTURE.signature);
+});
+
+test('accepts the signed fixture, also next to a rotated-out signature', () => {
+  assert.deepEqual(check(), { ok: true, id: FIXTURE.id });
+  const rotated = signWebhookPayload(FIXTURE.secret, { ...FIXTURE, id: 'wh_rotated' });
+  assert.equal(check({ id: 'wh_rotated', signature: `${FIXTURE.oldSignature} ${rotated}` }).ok, true);
+});
+
+test('rejects missing headers, tampered bodies, other secrets and stale timestamps', () => {
+  const missing = verifyWebhook({ secret: FIXTURE.secret, headers: {}, rawBody: FIXTURE.body, now: NOW });
+  assert.deepEqual([missing.ok, missing.status], [false, 400]);
+  assert.equal(check({ id: 'wh_tampered', body: FIXTURE.body.replace('+15550001111', '+15559999999') }).status, 401);
+  assert.equal(check({ id: 'wh_old_secret', signature: FIXTURE.oldSignature }).status, 401);
+  assert.equal(check({ id: 'wh_stale', now: NOW + 10 * 60 * 1000 }).error, 'webhook timestamp outside tolerance');
+  assert.equal(check({ id: 'wh_no_v1', signature: FIXTURE.signature.slice(3) }).status, 401);
+});
+
+test('a replayed webhook-id is a duplicate, after a valid first delivery only', () => {
+  const signature = signWebhookPayload(FIXTURE.secret, { ...FIXTURE, id: 'wh_replayed' });
+  assert.equal(check({ id: 'wh_replayed', signature: 'v1,bm90LWEtc2lnbmF0dXJl' }).status, 401);
+  assert.equal(check({ id: 'wh_replayed', signature }).ok, true);
+  const again = check({ id: 'wh_replayed', signature });
+  assert.deepEqual([again.ok, again.duplicate], [false, true]);
+});
+
+function startServer(env) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH, PORT: String(port), OPENAI_API_KEY: 'sk-test',
+      DB_URI: '', DATABASE_URL: '', TWILIO_ACCOUNT_SID: '', TWILIO_AUTH_TOKEN: '',
+      OPENAI_WEBHOOK_SECRET: '',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill('SIGKILL'); reject(new Error(`server did not start:\n${output}`)); }, 10_000);
+    const onData = (d) => {
+      output += d;
+      if (output.includes('server listening')) {
+        clearTimeout(timer);
+        resolve({ child, url: `http://127.0.0.1:${port}` });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+}
+
+test('without OPENAI_WEBHOOK_SECRET, /openai-sip refuses webhooks unless unsigned ones are allowed', async () => {
+  const post = (url) => fetch(`${url}/openai-sip`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ type: 'realtime.call.incoming', data: { call_id: 'test_unsigned' } }),
+  });
+  for (const [env, status] of [[{}, 503], [{ OPENAI_WEBHOOK_ALLOW_UNSIGNED: 'true' }, 200]]) {
+    const server = await startServer(env);
+    try {
+      assert.equal((await post(server.url)).status, status);
+    } finally {
+      server.child.kill('SIGKILL');
+    }
+  }
+});
+
+test('without TWILIO_AUTH_TOKEN, Twilio webhooks are refused unless unsigned ones are allowed', async () => {
+  const post = (url, path, params) => fetch(`${url}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+  for (const [env, refused] of [[{}, true], [{ TWILIO_WEBHOOK_ALLOW_UNSIGNED: 'true' }, false]]) {
+    const server = await startServer(env);
+    try {
+      const call = await post(server.url, '/incoming-call', { CallSid: 'CA_unsigned', From: '+15550001111', To: '+15550002222' });
+      const sms = await post(server.url, '/sms/inbound', { From: '+15550001111', Body: 'STOP' });
+      assert.deepEqual([call.status === 403, sms.status === 403], [refused, refused]);
+    } finally {
+      server.child.kill('SIGKILL');
+    }
+  }
+});